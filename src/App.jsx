@@ -13,47 +13,60 @@ import { Login } from './components/user_management/Login';
 import { Signup } from './components/user_management/Signup';
 
 import { ProfileSettings } from './components/user_management/ProfileSettings';
+import { SessionExpiredModal } from './components/user_management/SessionExpiredModal';
 import { InterviewView } from './components/layout/InterviewView';
 import { BackendStatus } from './components/layout/BackendStatus';
+import { ResumeInterviewPrompt } from './components/layout/ResumeInterviewPrompt';
 import { AdminPanel } from './components/admin/AdminPanel';
+import { InterviewHistory } from './components/history/InterviewHistory';
+import { CompareAttempts } from './components/history/CompareAttempts';
+import { ProtectedRoute } from './components/routing/ProtectedRoute';
 
 import { livekitService } from './services/LiveKitService';
 import { useStreamingSession } from './hooks/useStreamingSession';
-import { heygenService } from './services/HeyGenService';
+import { useInterviewLifecycle } from './hooks/useInterviewLifecycle';
+import { INTERVIEW_STATES, SETUP_STATES, SESSION_STATES } from './managers/InterviewStateMachine';
 import { authService } from './services/AuthService';
+import { preferencesService } from './services/PreferencesService';
+import { conversationOutbox } from './services/ConversationOutbox';
+import { interviewResumeService } from './services/InterviewResumeService';
+import { runInterviewSetup } from './managers/InterviewSetup';
 import './index.css';
 
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [sessionExpired, setSessionExpired] = useState(false);
   const [selectedAvatar, setSelectedAvatar] = useState(null);
-  const [view, setView] = useState('dashboard'); // 'dashboard', 'loading', or 'interview'
-  const [loadingStatus, setLoadingStatus] = useState('Initializing...');
   const [backendReady, setBackendReady] = useState(false);
   const [livekitRoom, setLivekitRoom] = useState(null);
+  // Interview interrupted by a reload (offered once after sign-in) and the one being resumed
+  const [interruptedInterview, setInterruptedInterview] = useState(null);
+  const [resumeState, setResumeState] = useState(null);
 
-  // Debug: Log view state changes and force reset if stuck
-  useEffect(() => { 
-    // If stuck in loading/interview for more than 30 seconds, reset to dashboard
-    if ((view === 'loading' || view === 'interview') && !livekitRoom) {
-      const timeout = setTimeout(() => {
-        console.warn('⚠️ View stuck in', view, '- resetting to dashboard');
-        setView('dashboard');
-        setSelectedAvatar(null);
-        setLoadingStatus('Initializing...');
-      }, 30000); // 30 seconds
-      
-      return () => clearTimeout(timeout);
-    }
-  }, [view, selectedAvatar, livekitRoom]);
+  // Interview lifecycle (setup steps, timeouts and cancellation live in InterviewStateMachine)
+  const {
+    state: interviewState,
+    context: interviewContext,
+    steps: setupSteps,
+    machine: interviewMachine,
+  } = useInterviewLifecycle();
 
-  // HeyGen streaming session hook (for video)
+  // Avatar streaming session hook (for video)
   const {
     sessionInfo,
     peerConnection,
+    mediaStream: avatarStream,
     isConnected: heygenConnected,
+    connectionState: avatarConnectionState,
+    quality: avatarQuality,
     createNewSession,
     startSession,
+    sendTask: sendAvatarTask,
+    changeQuality: changeAvatarQuality,
     closeSession,
+    closeSessionSync,
+    sharesSessionWithAgent,
   } = useStreamingSession();
 
   /**
@@ -67,10 +80,49 @@ function App() {
           setIsAuthenticated(true);
         }
       }
+      setAuthChecked(true);
     };
     checkAuth();
   }, []);
 
+  /**
+   * Upload interviews that were saved on this device but never reached the backend
+   */
+  useEffect(() => {
+    if (isAuthenticated) {
+      conversationOutbox.start();
+      conversationOutbox.flush();
+    }
+  }, [isAuthenticated]);
+
+  /**
+   * Look for an interview interrupted by a page reload
+   */
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setInterruptedInterview(null);
+      return;
+    }
+    let cancelled = false;
+    interviewResumeService.findInterrupted()
+      .then((interrupted) => {
+        if (!cancelled) setInterruptedInterview(interrupted);
+      })
+      .catch((error) => {
+        console.warn('Could not check for an interrupted interview:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated]);
+
+  /**
+   * Show the re-login prompt when AuthService can't renew the session
+   */
+  useEffect(() => {
+    return authService.onSessionExpired(setSessionExpired);
+  }, []);
+
   const navigate = useNavigate();
 
   /**
@@ -78,7 +130,6 @@ function App() {
    */
   const handleAuthenticated = useCallback(() => {
     setIsAuthenticated(true);
-    setView('dashboard');
     navigate('/dashboard');
   }, [navigate]);
 
@@ -89,9 +140,9 @@ function App() {
     authService.signOut();
     setIsAuthenticated(false);
     setSelectedAvatar(null);
-    setView('dashboard');
+    interviewMachine.cancel();
     navigate('/');
-  }, [navigate]);
+  }, [navigate, interviewMachine]);
 
   /**
    * Handle backend status change
@@ -106,9 +157,9 @@ function App() {
    */
   useEffect(() => {
     const handleBeforeUnload = () => {
-      // Cleanup HeyGen session
+      // Cleanup avatar session
       if (sessionInfo && sessionInfo.session_id) {
-        heygenService.stopSessionSync(sessionInfo.session_id);
+        closeSessionSync();
       }
       // Cleanup LiveKit room
       if (livekitRoom) {
@@ -123,101 +174,58 @@ function App() {
     return () => {
       window.removeEventListener('beforeunload', handleBeforeUnload);
     };
-  }, [sessionInfo, livekitRoom]);
+  }, [sessionInfo, livekitRoom, closeSessionSync]);
+
+  /**
+   * Release whatever a setup or session has created so far
+   */
+  const releaseInterviewResources = useCallback(async () => {
+    try {
+      await livekitService.disconnect();
+      await closeSession();
+    } catch (error) {
+      // Error closing sessions - silently fail
+    }
+    setLivekitRoom(null);
+  }, [closeSession]);
 
   /**
    * Handle avatar selection - Connect to both HeyGen (video) and LiveKit (audio/text)
+   * The steps run in runInterviewSetup and move the interview state machine forward;
+   * a cancel, failure or step timeout aborts `signal` and the remaining steps are skipped
+   * @param {Object} avatar - Persona to interview
+   * @param {Object|null} resume - Interrupted interview to continue ({ roomName, draftId, messages, startedAt })
    */
-  const handleAvatarSelect = useCallback(async (avatar) => {
+  const handleAvatarSelect = useCallback(async (avatar, resume = null) => {
     if (!backendReady) {
       alert('Backend is not ready. Please wait for backend initialization to complete.');
       return;
     }
+    if (!interviewMachine.is(INTERVIEW_STATES.IDLE, INTERVIEW_STATES.FAILED)) {
+      return;
+    }
 
     setSelectedAvatar(avatar);
-    setView('loading');
-    setLoadingStatus('Creating HeyGen session...');
+    setResumeState(resume);
+    const signal = interviewMachine.start({ avatarId: avatar.id });
 
     try {
-      // Step 1: Create HeyGen session for video
-      setLoadingStatus('Connecting to HeyGen avatar...');
-      await createNewSession(
-        avatar.heygenAvatarId,
-        avatar.heygenVoiceId,
-        'low' // quality
-      );
-
-      setLoadingStatus('Starting HeyGen video stream...');
-      
-      // Start the HeyGen session
-      const onDataChannel = (event) => {
-        const dataChannel = event.channel;
-        dataChannel.onmessage = () => {
-          // Handle WebSocket messages if needed
-        };
-      };
-
-      await startSession(null, onDataChannel);
-      setLoadingStatus('HeyGen video connected ✓');
-
-      // Step 2: Connect to LiveKit for audio/text
-      setLoadingStatus('Connecting to LiveKit agent...');
-      // Use a fixed room name for testing (easier for agent to connect)
-      // Change back to dynamic name once agent auto-join is configured
-      const roomName = `room-avatar-${avatar.id}`; // Fixed room name per avatar
-      // const roomName = `room-${avatar.id}-${Date.now()}`; // Dynamic (original)
-      const participantName = `user-${Date.now()}`;
-      
-      // Get HeyGen session_id to pass to LiveKit agent
-      const heygenSessionId = sessionInfo?.session_id || null;
-      
-      // Connect to LiveKit room
-      const room = await livekitService.connectToRoom(
-        roomName,
-        participantName,
-        avatar.id,
-        heygenSessionId,
-        () => {
-          // Track handling is done in InterviewView component
-        },
-        () => {
-          setLoadingStatus('LiveKit agent connected ✓');
-        },
-        () => {
+      await runInterviewSetup({
+        avatar,
+        resume,
+        machine: interviewMachine,
+        signal,
+        createNewSession,
+        startSession,
+        sharesSessionWithAgent,
+        release: releaseInterviewResources,
+        onRoomJoined: setLivekitRoom,
+        onRoomLost: () => {
+          // Only called once LiveKitService has given up rejoining the room
           setLivekitRoom(null);
-        }
-      );
-
-      setLivekitRoom(room);
-      
-      // Agent will auto-join via roomConfig in the token (no manual dispatch needed)
-      setLoadingStatus('Waiting for agent to join...');
-      
-      // Wait for agent to join (check every second, timeout after 10 seconds)
-      let checkCount = 0;
-      const maxChecks = 10;
-      const agentCheckInterval = setInterval(() => {
-        checkCount++;
-        const agentCount = room.remoteParticipants.size;
-        
-        if (agentCount > 0) {
-          clearInterval(agentCheckInterval);
-          setLoadingStatus('Agent connected ✓');
-          setTimeout(() => {
-            setView('interview');
-          }, 500);
-        } else if (checkCount >= maxChecks) {
-          clearInterval(agentCheckInterval);
-          setLoadingStatus('⚠️ Agent did not join - check LIVEKIT_AGENT_NAME in .env');
-          // Still transition to interview so user can see the issue
-          setTimeout(() => {
-            setView('interview');
-          }, 2000);
-        } else {
-          setLoadingStatus(`Waiting for agent to join... (${checkCount}/${maxChecks})`);
-        }
-      }, 1000);
-
+          interviewMachine.fail('Lost connection to the interview room');
+        },
+      });
     } catch (error) {
       // Extract error message properly
       let errorMessage = 'Unknown error';
@@ -230,59 +238,89 @@ function App() {
       } else {
         errorMessage = String(error);
       }
-      
-      alert(`Failed to create interview session: ${errorMessage}`);
-      // Reset all state to ensure clean dashboard view
-      setView('dashboard');
-      setSelectedAvatar(null);
-      setLivekitRoom(null);
-      setLoadingStatus('Initializing...');
+
+      interviewMachine.fail(errorMessage);
+      await releaseInterviewResources();
+    }
+  }, [createNewSession, startSession, backendReady, sharesSessionWithAgent, interviewMachine, releaseInterviewResources]);
+
+  /**
+   * Keep LiveKit rejoin tokens pointing at the live HeyGen session after the avatar
+   * session is recreated (connection recovery or quality change)
+   */
+  useEffect(() => {
+    if (livekitRoom && sharesSessionWithAgent && sessionInfo?.session_id) {
+      livekitService.updateHeyGenSessionId(sessionInfo.session_id);
     }
-  }, [createNewSession, startSession, backendReady, sessionInfo]);
+  }, [livekitRoom, sessionInfo, sharesSessionWithAgent]);
 
   /**
    * Handle exiting the interview
    */
   const handleExitInterview = useCallback(async () => {
-    try {
-      // Disconnect from LiveKit
-      await livekitService.disconnect();
-      // Close HeyGen session
-      await closeSession();
-    } catch (error) {
-      // Error closing sessions - silently fail
-    }
-    
-    setLivekitRoom(null);
+    await releaseInterviewResources();
     setSelectedAvatar(null);
-    setView('dashboard');
-  }, [closeSession]);
+    setResumeState(null);
+    interviewMachine.reset();
+  }, [releaseInterviewResources, interviewMachine]);
 
   /**
-   * Handle canceling during loading
+   * Handle canceling during loading (or leaving the failure screen)
    */
   const handleCancelLoading = useCallback(async () => {
-    try {
-      if (livekitRoom) {
-        await livekitService.disconnect();
-      }
-      if (sessionInfo) {
-        await closeSession();
-      }
-    } catch (error) {
-      // Error canceling - silently fail
-    }
-    
-    setLivekitRoom(null);
+    // Cancel first so the running setup stops before we tear things down
+    interviewMachine.cancel();
+    await releaseInterviewResources();
     setSelectedAvatar(null);
-    setView('dashboard');
-  }, [livekitRoom, sessionInfo, closeSession]);
+    setResumeState(null);
+  }, [interviewMachine, releaseInterviewResources]);
+
+  /**
+   * Continue an interview interrupted by a page reload
+   * The offer stays up until the setup can actually start
+   */
+  const handleResumeInterview = useCallback(() => {
+    if (!backendReady) {
+      return;
+    }
+    const { avatar, descriptor, draft } = interruptedInterview;
+    setInterruptedInterview(null);
+    handleAvatarSelect(avatar, {
+      roomName: descriptor.roomName,
+      draftId: draft.id,
+      messages: draft.messages,
+      speechSegments: draft.speech_segments || [],
+      startedAt: draft.started_at,
+    });
+  }, [interruptedInterview, backendReady, handleAvatarSelect]);
+
+  /**
+   * Drop an interrupted interview, optionally keeping its transcript for scoring
+   */
+  const handleDiscardInterrupted = useCallback(async (keepTranscript) => {
+    await interviewResumeService.discard(interruptedInterview, keepTranscript);
+    setInterruptedInterview(null);
+  }, [interruptedInterview]);
+
+  /**
+   * Sign out from the re-login prompt, closing any running interview first
+   */
+  const handleSessionExpiredSignOut = useCallback(async () => {
+    interviewMachine.cancel();
+    await releaseInterviewResources();
+    handleLogout();
+  }, [interviewMachine, releaseInterviewResources, handleLogout]);
+
+  const isSettingUp = SETUP_STATES.includes(interviewState) || interviewState === INTERVIEW_STATES.FAILED;
+  const isInSession = SESSION_STATES.includes(interviewState);
 
   // Hide navbar during interview or loading
-  const showNavbar = view !== 'interview' && view !== 'loading';
+  const showNavbar = !isSettingUp && !isInSession;
 
   return (
     <div className="app">
+      {sessionExpired && <SessionExpiredModal onSignOut={handleSessionExpiredSignOut} />}
+
       {/* Navbar - hidden during interview */}
       {showNavbar && (
         <Navbar 
@@ -323,11 +361,9 @@ function App() {
         <Route
           path="/settings"
           element={
-            isAuthenticated ? (
+            <ProtectedRoute isAuthenticated={isAuthenticated} authChecked={authChecked}>
               <ProfileSettings onLogout={handleLogout} />
-            ) : (
-              <Navigate to="/" replace />
-            )
+            </ProtectedRoute>
           }
         />
 
@@ -335,24 +371,36 @@ function App() {
         <Route
           path="/dashboard"
           element={
-            isAuthenticated ? (
+            <ProtectedRoute isAuthenticated={isAuthenticated} authChecked={authChecked}>
               <Dashboard 
                 onAvatarSelect={handleAvatarSelect}
                 backendReady={backendReady}
               />
-            ) : (
-              <Navigate to="/" replace />
-            )
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/history"
+          element={
+            <ProtectedRoute isAuthenticated={isAuthenticated} authChecked={authChecked}>
+              <InterviewHistory />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/history/compare"
+          element={
+            <ProtectedRoute isAuthenticated={isAuthenticated} authChecked={authChecked}>
+              <CompareAttempts />
+            </ProtectedRoute>
           }
         />
         <Route
           path="/admin"
           element={
-            isAuthenticated ? (
+            <ProtectedRoute isAuthenticated={isAuthenticated} authChecked={authChecked} roles={['admin', 'manager']}>
               <AdminPanel />
-            ) : (
-              <Navigate to="/" replace />
-            )
+            </ProtectedRoute>
           }
         />
       </Routes>
@@ -360,21 +408,41 @@ function App() {
       {/* Interview views - shown when authenticated */}
       {isAuthenticated && (
         <>
-          {view === 'loading' && selectedAvatar && (
+          {interruptedInterview && interviewState === INTERVIEW_STATES.IDLE && (
+            <ResumeInterviewPrompt
+              interrupted={interruptedInterview}
+              backendReady={backendReady}
+              onResume={handleResumeInterview}
+              onDiscard={handleDiscardInterrupted}
+            />
+          )}
+
+          {isSettingUp && selectedAvatar && (
             <LoadingScreen 
               avatar={selectedAvatar}
-              status={loadingStatus}
+              steps={setupSteps}
+              error={interviewState === INTERVIEW_STATES.FAILED ? interviewContext.error : null}
               onCancel={handleCancelLoading}
             />
           )}
           
-          {view === 'interview' && selectedAvatar && livekitRoom && (
+          {isInSession && selectedAvatar && livekitRoom && (
             <InterviewView 
               avatar={selectedAvatar}
               peerConnection={peerConnection || null}
+              avatarStream={avatarStream || null}
               isConnected={heygenConnected}
+              avatarConnectionState={avatarConnectionState}
+              avatarQuality={avatarQuality}
+              adaptiveQuality={preferencesService.get().avatarQuality === 'auto'}
+              onAvatarQualityChange={changeAvatarQuality}
               livekitRoom={livekitRoom}
-              heygenSessionId={sessionInfo?.session_id || null}
+              avatarSessionId={sessionInfo?.session_id || null}
+              onAvatarSpeak={sendAvatarTask}
+              startupWarning={interviewContext.warning}
+              onScoring={() => interviewMachine.transition(INTERVIEW_STATES.SCORING)}
+              onEnded={() => interviewMachine.transition(INTERVIEW_STATES.ENDED)}
+              resumeFrom={resumeState}
               onExit={handleExitInterview}
             />
           )}
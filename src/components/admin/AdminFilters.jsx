@@ -0,0 +1,147 @@
+/**
+ * Filter bars for the admin tables
+ * Edits are kept locally and applied to the URL query on submit
+ */
+import { useState, useEffect } from 'react';
+import { AVATARS } from '../../data/avatarData';
+import { TIERS } from '../../data/scoringCategories';
+
+/**
+ * Local copy of the filter fields, re-synced when the URL changes (e.g. back button)
+ */
+function useFilterDraft(query, fields) {
+  const pick = () => Object.fromEntries(fields.map(field => [field, query[field]]));
+  const [draft, setDraft] = useState(pick);
+  const key = fields.map(field => query[field]).join('|');
+
+  useEffect(() => {
+    setDraft(pick());
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [key]);
+
+  const bind = (field) => ({
+    value: draft[field],
+    onChange: (e) => setDraft(current => ({ ...current, [field]: e.target.value })),
+  });
+
+  return { draft, bind };
+}
+
+function FilterActions({ onReset }) {
+  return (
+    <div className="filter-actions">
+      <button type="submit" className="btn-primary">Apply</button>
+      <button type="button" className="btn-secondary" onClick={onReset}>Reset</button>
+    </div>
+  );
+}
+
+export function UserFilters({ query, onApply, onReset }) {
+  const { draft, bind } = useFilterDraft(query, ['search', 'role', 'email', 'created_from', 'created_to']);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(draft);
+  };
+
+  return (
+    <form className="admin-filters" onSubmit={handleSubmit}>
+      <label>
+        Search
+        <input type="search" placeholder="Name or email" {...bind('search')} />
+      </label>
+      <label>
+        Role
+        <select {...bind('role')}>
+          <option value="">All roles</option>
+          <option value="user">User</option>
+          <option value="manager">Manager</option>
+          <option value="admin">Admin</option>
+        </select>
+      </label>
+      <label>
+        Email
+        <input type="text" placeholder="e.g. @acme.com" {...bind('email')} />
+      </label>
+      <label>
+        Created from
+        <input type="date" {...bind('created_from')} />
+      </label>
+      <label>
+        Created to
+        <input type="date" {...bind('created_to')} />
+      </label>
+      <FilterActions onReset={onReset} />
+    </form>
+  );
+}
+
+export function ConversationFilters({ query, teams = [], onApply, onReset }) {
+  const { draft, bind } = useFilterDraft(
+    query,
+    ['search', 'team_id', 'user', 'agent_id', 'tier', 'min_score', 'max_score', 'date_from', 'date_to']
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(draft);
+  };
+
+  return (
+    <form className="admin-filters" onSubmit={handleSubmit}>
+      <label>
+        Search
+        <input type="search" placeholder="Transcript or feedback" {...bind('search')} />
+      </label>
+      {teams.length > 0 && (
+        <label>
+          Team
+          <select {...bind('team_id')}>
+            <option value="">All teams</option>
+            {teams.map(team => (
+              <option key={team.id} value={team.id}>{team.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      <label>
+        User
+        <input type="text" placeholder="Username or email" {...bind('user')} />
+      </label>
+      <label>
+        Agent
+        <select {...bind('agent_id')}>
+          <option value="">All agents</option>
+          {AVATARS.map(avatar => (
+            <option key={avatar.id} value={avatar.id}>{avatar.name}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Tier
+        <select {...bind('tier')}>
+          <option value="">All tiers</option>
+          {TIERS.map(tier => (
+            <option key={tier} value={tier}>{tier}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Score
+        <span className="filter-range">
+          <input type="number" min="0" max="100" placeholder="Min" {...bind('min_score')} />
+          <input type="number" min="0" max="100" placeholder="Max" {...bind('max_score')} />
+        </span>
+      </label>
+      <label>
+        From
+        <input type="date" {...bind('date_from')} />
+      </label>
+      <label>
+        To
+        <input type="date" {...bind('date_to')} />
+      </label>
+      <FilterActions onReset={onReset} />
+    </form>
+  );
+}
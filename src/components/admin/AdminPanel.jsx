@@ -1,13 +1,57 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { authService } from '../../services/AuthService';
+import { adminService, USER_QUERY_DEFAULTS, CONVERSATION_QUERY_DEFAULTS } from '../../services/AdminService';
+import { useTableQuery } from '../../hooks/useTableQuery';
+import { SortableHeader, Pagination } from './TableControls';
+import { UserFilters, ConversationFilters } from './AdminFilters';
+import { TeamsTab } from './TeamsTab';
+import { TeamLeaderboard } from './TeamLeaderboard';
+import { AssignmentsTab } from './AssignmentsTab';
+import { ConversationCoaching } from './ConversationCoaching';
+import { teamService } from '../../services/TeamService';
+import {
+  downloadFile,
+  fileTimestamp,
+  toExportRow,
+  toCsv,
+  transcriptToText,
+  transcriptToMarkdown,
+} from '../../utils/exportUtils';
 import { config } from '../../config';
 import '../../styles/adminPanel.css';
 
+// Managers work with their own teams; user accounts stay admin-only
+const ADMIN_TABS = ['users', 'teams', 'assignments', 'conversations', 'leaderboard'];
+const MANAGER_TABS = ['teams', 'assignments', 'conversations', 'leaderboard'];
+const TAB_LABELS = {
+  users: 'Users',
+  teams: 'Teams',
+  assignments: 'Assignments',
+  conversations: 'Conversations',
+  leaderboard: 'Leaderboard',
+};
+// Tabs whose page, sort and filters live in the URL here (the leaderboard keeps its own)
+const TAB_QUERY_DEFAULTS = {
+  users: USER_QUERY_DEFAULTS,
+  conversations: CONVERSATION_QUERY_DEFAULTS,
+};
+const NO_QUERY = {};
+
 export function AdminPanel() {
-  const [activeTab, setActiveTab] = useState('users'); // 'users' or 'conversations'
+  const isAdmin = authService.hasRole('admin');
+  const tabs = isAdmin ? ADMIN_TABS : MANAGER_TABS;
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeTab = tabs.includes(searchParams.get('tab')) ? searchParams.get('tab') : tabs[0];
+  const { query, updateQuery, resetQuery } = useTableQuery(TAB_QUERY_DEFAULTS[activeTab] || NO_QUERY);
+  const [teams, setTeams] = useState([]);
   const [users, setUsers] = useState([]);
   const [conversations, setConversations] = useState([]);
+  // Totals across all pages; null until the tab has been loaded once
+  const [userTotal, setUserTotal] = useState(null);
+  const [conversationTotal, setConversationTotal] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [tableLoading, setTableLoading] = useState(false);
   const [error, setError] = useState(null);
   
   // User CRUD states
@@ -18,63 +62,69 @@ export function AdminPanel() {
   // Conversation states
   const [selectedConversation, setSelectedConversation] = useState(null);
   const [showConversationModal, setShowConversationModal] = useState(false);
+  const [exportProgress, setExportProgress] = useState(null); // null when no export is running
   
-  // Fetch users
-  const fetchUsers = async () => {
+  // Fetch the current page of users
+  const fetchUsers = useCallback(async () => {
     try {
-      const response = await fetch(`${config.backend.baseUrl}/api/admin/users`, {
-        headers: authService.getAuthHeader()
-      });
-      if (!response.ok) {
-        if (response.status === 403) {
-          setError('Admin access required');
-          return;
-        }
-        throw new Error('Failed to fetch users');
-      }
-      const data = await response.json();
-      setUsers(data);
+      const result = await adminService.listUsers(query);
+      setUsers(result.items);
+      setUserTotal(result.total);
     } catch (err) {
       setError(err.message);
     }
-  };
+  }, [query]);
   
-  // Fetch conversations
-  const fetchConversations = async () => {
+  // Fetch the current page of conversations
+  const fetchConversations = useCallback(async () => {
     try {
-      const response = await fetch(`${config.backend.baseUrl}/api/admin/conversations`, {
-        headers: authService.getAuthHeader()
-      });
-      if (!response.ok) {
-        if (response.status === 403) {
-          setError('Admin access required');
-          return;
-        }
-        throw new Error('Failed to fetch conversations');
-      }
-      const data = await response.json();
-      setConversations(data);
+      const result = await adminService.listConversations(query);
+      setConversations(result.items);
+      setConversationTotal(result.total);
     } catch (err) {
       setError(err.message);
     }
-  };
+  }, [query]);
+  
+  // Teams visible to the current user (all for admins, their own for managers)
+  const fetchTeams = useCallback(async () => {
+    try {
+      setTeams(await teamService.listTeams());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+  
+  useEffect(() => {
+    fetchTeams();
+  }, [fetchTeams]);
   
+  // Reload the active table whenever its page, sort or filters change
   useEffect(() => {
     const loadData = async () => {
-      setLoading(true);
+      setTableLoading(true);
       setError(null);
-      await fetchUsers();
-      await fetchConversations();
+      if (activeTab === 'users') {
+        await fetchUsers();
+      } else if (activeTab === 'conversations') {
+        await fetchConversations();
+      }
+      setTableLoading(false);
       setLoading(false);
     };
     loadData();
-  }, []);
+  }, [activeTab, fetchUsers, fetchConversations]);
+  
+  // Switching tabs starts the other table from its defaults
+  const setActiveTab = (tab) => {
+    setSearchParams(tab === tabs[0] ? {} : { tab });
+  };
   
   // User CRUD handlers
   const handleCreateUser = async (e) => {
     e.preventDefault();
     try {
-      const response = await fetch(`${config.backend.baseUrl}/api/admin/users`, {
+      const response = await authService.authFetch(`${config.backend.baseUrl}/api/admin/users`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -98,7 +148,7 @@ export function AdminPanel() {
   const handleUpdateUser = async (e) => {
     e.preventDefault();
     try {
-      const response = await fetch(`${config.backend.baseUrl}/api/admin/users/${editingUser.id}`, {
+      const response = await authService.authFetch(`${config.backend.baseUrl}/api/admin/users/${editingUser.id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -125,7 +175,7 @@ export function AdminPanel() {
       return;
     }
     try {
-      const response = await fetch(`${config.backend.baseUrl}/api/admin/users/${userId}`, {
+      const response = await authService.authFetch(`${config.backend.baseUrl}/api/admin/users/${userId}`, {
         method: 'DELETE',
         headers: authService.getAuthHeader()
       });
@@ -134,7 +184,6 @@ export function AdminPanel() {
         throw new Error(errorData.detail || 'Failed to delete user');
       }
       await fetchUsers();
-      await fetchConversations();
       setError(null);
     } catch (err) {
       setError(err.message);
@@ -161,11 +210,7 @@ export function AdminPanel() {
   // Conversation handlers
   const handleViewConversation = async (convId) => {
     try {
-      const response = await fetch(`${config.backend.baseUrl}/api/admin/conversations/${convId}`, {
-        headers: authService.getAuthHeader()
-      });
-      if (!response.ok) throw new Error('Failed to fetch conversation');
-      const data = await response.json();
+      const data = await adminService.getConversation(convId);
       setSelectedConversation(data);
       setShowConversationModal(true);
     } catch (err) {
@@ -178,7 +223,7 @@ export function AdminPanel() {
       return;
     }
     try {
-      const response = await fetch(`${config.backend.baseUrl}/api/admin/conversations/${convId}`, {
+      const response = await authService.authFetch(`${config.backend.baseUrl}/api/admin/conversations/${convId}`, {
         method: 'DELETE',
         headers: authService.getAuthHeader()
       });
@@ -193,31 +238,61 @@ export function AdminPanel() {
     }
   };
   
+  // Export every conversation matching the current filters (not just this page)
+  const handleExportConversations = async (format) => {
+    setExportProgress({ loaded: 0, total: null });
+    try {
+      const conversations = await adminService.listAllConversations(query, (loaded, total) => {
+        setExportProgress({ loaded, total });
+      });
+      const filename = `conversations-${fileTimestamp()}`;
+      if (format === 'csv') {
+        downloadFile(`${filename}.csv`, toCsv(conversations.map(toExportRow)), 'text/csv;charset=utf-8');
+      } else {
+        const rows = conversations.map(conv => ({ ...toExportRow(conv), score_data: conv.score_data ?? null }));
+        downloadFile(`${filename}.json`, JSON.stringify(rows, null, 2), 'application/json');
+      }
+    } catch (err) {
+      setError(`Export failed: ${err.message}`);
+    } finally {
+      setExportProgress(null);
+    }
+  };
+  
+  const handleExportTranscript = (format) => {
+    const filename = `conversation-${selectedConversation.id}-transcript`;
+    if (format === 'md') {
+      downloadFile(`${filename}.md`, transcriptToMarkdown(selectedConversation), 'text/markdown;charset=utf-8');
+    } else {
+      downloadFile(`${filename}.txt`, transcriptToText(selectedConversation), 'text/plain;charset=utf-8');
+    }
+  };
+  
   if (loading) {
     return <div className="admin-loading">Loading admin panel...</div>;
   }
   
   if (error && error === 'Admin access required') {
-    return <div className="admin-error">Access Denied: Admin privileges required</div>;
+    return <div className="admin-error">Access Denied: Admin or manager privileges required</div>;
   }
   
   return (
     <div className="admin-panel">
       <div className="admin-header">
-        <h1>Admin Panel</h1>
+        <h1>{isAdmin ? 'Admin Panel' : 'Team Management'}</h1>
         <div className="admin-tabs">
-          <button 
-            className={activeTab === 'users' ? 'active' : ''}
-            onClick={() => setActiveTab('users')}
-          >
-            Users ({users.length})
-          </button>
-          <button 
-            className={activeTab === 'conversations' ? 'active' : ''}
-            onClick={() => setActiveTab('conversations')}
-          >
-            Conversations ({conversations.length})
-          </button>
+          {tabs.map(tab => (
+            <button 
+              key={tab}
+              className={activeTab === tab ? 'active' : ''}
+              onClick={() => setActiveTab(tab)}
+            >
+              {TAB_LABELS[tab]}
+              {tab === 'users' && userTotal !== null && ` (${userTotal})`}
+              {tab === 'teams' && ` (${teams.length})`}
+              {tab === 'conversations' && conversationTotal !== null && ` (${conversationTotal})`}
+            </button>
+          ))}
         </div>
       </div>
       
@@ -231,19 +306,26 @@ export function AdminPanel() {
             </button>
           </div>
           
-          <table className="admin-table">
+          <UserFilters query={query} onApply={updateQuery} onReset={resetQuery} />
+          
+          <table className={`admin-table${tableLoading ? ' is-loading' : ''}`}>
             <thead>
               <tr>
-                <th>ID</th>
-                <th>Email</th>
-                <th>Username</th>
-                <th>Role</th>
-                <th>Conversations</th>
-                <th>Created</th>
+                <SortableHeader field="id" label="ID" query={query} onSort={updateQuery} />
+                <SortableHeader field="email" label="Email" query={query} onSort={updateQuery} />
+                <SortableHeader field="username" label="Username" query={query} onSort={updateQuery} />
+                <SortableHeader field="role" label="Role" query={query} onSort={updateQuery} />
+                <SortableHeader field="conversation_count" label="Conversations" query={query} onSort={updateQuery} />
+                <SortableHeader field="created_at" label="Created" query={query} onSort={updateQuery} />
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
+              {users.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="admin-empty">No users match these filters</td>
+                </tr>
+              )}
               {users.map(user => (
                 <tr key={user.id}>
                   <td>{user.id}</td>
@@ -264,25 +346,56 @@ export function AdminPanel() {
               ))}
             </tbody>
           </table>
+          
+          <Pagination page={query.page} pageSize={query.page_size} total={userTotal ?? 0} onChange={updateQuery} />
         </div>
       )}
       
       {activeTab === 'conversations' && (
         <div className="admin-content">
-          <table className="admin-table">
+          <div className="admin-actions">
+            {exportProgress && (
+              <span className="export-progress">
+                Preparing export{exportProgress.total !== null && ` (${exportProgress.loaded}/${exportProgress.total})`}...
+              </span>
+            )}
+            <button
+              className="btn-secondary"
+              onClick={() => handleExportConversations('csv')}
+              disabled={!!exportProgress || conversationTotal === 0}
+            >
+              Export CSV
+            </button>
+            <button
+              className="btn-secondary"
+              onClick={() => handleExportConversations('json')}
+              disabled={!!exportProgress || conversationTotal === 0}
+            >
+              Export JSON
+            </button>
+          </div>
+          
+          <ConversationFilters query={query} teams={teams} onApply={updateQuery} onReset={resetQuery} />
+          
+          <table className={`admin-table${tableLoading ? ' is-loading' : ''}`}>
             <thead>
               <tr>
-                <th>ID</th>
-                <th>User</th>
-                <th>Agent</th>
-                <th>Score</th>
-                <th>Tier</th>
-                <th>Messages</th>
-                <th>Date</th>
+                <SortableHeader field="id" label="ID" query={query} onSort={updateQuery} />
+                <SortableHeader field="user" label="User" query={query} onSort={updateQuery} />
+                <SortableHeader field="agent_name" label="Agent" query={query} onSort={updateQuery} />
+                <SortableHeader field="final_score" label="Score" query={query} onSort={updateQuery} />
+                <SortableHeader field="tier" label="Tier" query={query} onSort={updateQuery} />
+                <SortableHeader field="message_count" label="Messages" query={query} onSort={updateQuery} />
+                <SortableHeader field="created_at" label="Date" query={query} onSort={updateQuery} />
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
+              {conversations.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="admin-empty">No conversations match these filters</td>
+                </tr>
+              )}
               {conversations.map(conv => (
                 <tr key={conv.id}>
                   <td>{conv.id}</td>
@@ -318,9 +431,23 @@ export function AdminPanel() {
               ))}
             </tbody>
           </table>
+          
+          <Pagination page={query.page} pageSize={query.page_size} total={conversationTotal ?? 0} onChange={updateQuery} />
         </div>
       )}
       
+      {activeTab === 'teams' && (
+        <TeamsTab teams={teams} isAdmin={isAdmin} onTeamsChanged={fetchTeams} onError={setError} />
+      )}
+      
+      {activeTab === 'assignments' && (
+        <AssignmentsTab teams={teams} onError={setError} />
+      )}
+      
+      {activeTab === 'leaderboard' && (
+        <TeamLeaderboard teams={teams} onError={setError} />
+      )}
+      
       {/* User Modal */}
       {showUserModal && (
         <div className="modal-overlay" onClick={() => setShowUserModal(false)}>
@@ -361,6 +488,7 @@ export function AdminPanel() {
                   onChange={(e) => setUserForm({ ...userForm, role: e.target.value })}
                 >
                   <option value="user">User</option>
+                  <option value="manager">Manager</option>
                   <option value="admin">Admin</option>
                 </select>
               </div>
@@ -409,20 +537,15 @@ export function AdminPanel() {
                 </div>
               )}
               
-              <div className="detail-section">
-                <h3>Messages ({selectedConversation.messages.length})</h3>
-                <div className="messages-list">
-                  {selectedConversation.messages.map(msg => (
-                    <div key={msg.id} className={`message-item message-${msg.sender}`}>
-                      <strong>{msg.sender === 'user' ? 'User' : 'Agent'}:</strong>
-                      <p>{msg.text}</p>
-                      <small>{new Date(msg.timestamp_ms).toLocaleString()}</small>
-                    </div>
-                  ))}
-                </div>
-              </div>
+              <ConversationCoaching conversation={selectedConversation} onError={setError} />
             </div>
             <div className="modal-actions">
+              <button className="btn-view" onClick={() => handleExportTranscript('txt')}>
+                Download .txt
+              </button>
+              <button className="btn-view" onClick={() => handleExportTranscript('md')}>
+                Download .md
+              </button>
               <button className="btn-secondary" onClick={() => setShowConversationModal(false)}>
                 Close
               </button>
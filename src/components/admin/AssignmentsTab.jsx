@@ -0,0 +1,223 @@
+/**
+ * Assignments Tab
+ * Managers assign personas to a team with a target tier and due date
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { assignmentService, parseDueDate } from '../../services/AssignmentService';
+import { AVATARS, getAvatarById } from '../../data/avatarData';
+import { TIERS } from '../../data/scoringCategories';
+import '../../styles/teams.css';
+
+const EMPTY_FORM = {
+  title: '',
+  persona_ids: [],
+  target_tier: 'Strong',
+  due_date: '',
+  team_id: '',
+  coach_mode_disabled: false,
+};
+
+export function AssignmentsTab({ teams, onError }) {
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const fetchAssignments = useCallback(async () => {
+    setLoading(true);
+    try {
+      setAssignments(await assignmentService.listAssignments());
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    fetchAssignments();
+  }, [fetchAssignments]);
+
+  const openCreate = () => {
+    setForm({ ...EMPTY_FORM, team_id: teams[0]?.id ?? '' });
+    setShowModal(true);
+  };
+
+  const togglePersona = (personaId) => {
+    setForm(current => ({
+      ...current,
+      persona_ids: current.persona_ids.includes(personaId)
+        ? current.persona_ids.filter(id => id !== personaId)
+        : [...current.persona_ids, personaId],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (form.persona_ids.length === 0) {
+      onError('Pick at least one persona for the assignment');
+      return;
+    }
+    try {
+      await assignmentService.createAssignment({ ...form, team_id: Number(form.team_id) });
+      setShowModal(false);
+      onError(null);
+      await fetchAssignments();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleDelete = async (assignment) => {
+    if (!confirm(`Delete the assignment "${assignment.title}"?`)) {
+      return;
+    }
+    try {
+      await assignmentService.deleteAssignment(assignment.id);
+      await fetchAssignments();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const teamName = (teamId) => teams.find(team => team.id === teamId)?.name || '-';
+
+  return (
+    <div className="admin-content">
+      <div className="admin-actions">
+        <button className="btn-primary" onClick={openCreate} disabled={teams.length === 0}>
+          + New Assignment
+        </button>
+      </div>
+      {teams.length === 0 && (
+        <p className="teams-empty">Create a team first - assignments go to every rep on a team.</p>
+      )}
+
+      <table className={`admin-table${loading ? ' is-loading' : ''}`}>
+        <thead>
+          <tr>
+            <th>Assignment</th>
+            <th>Team</th>
+            <th>Personas</th>
+            <th>Target</th>
+            <th>Due</th>
+            <th>Completed</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {assignments.length === 0 && (
+            <tr>
+              <td colSpan={7} className="admin-empty">No assignments yet</td>
+            </tr>
+          )}
+          {assignments.map(assignment => (
+            <tr key={assignment.id}>
+              <td>
+                {assignment.title}
+                {assignment.coach_mode_disabled && (
+                  <span className="assignment-graded" title="Coach mode is off for this assignment">Graded</span>
+                )}
+              </td>
+              <td>{teamName(assignment.team_id)}</td>
+              <td>{assignment.persona_ids.map(id => getAvatarById(id)?.name).filter(Boolean).join(', ')}</td>
+              <td>{assignment.target_tier}</td>
+              <td>{assignment.due_date ? parseDueDate(assignment.due_date).toLocaleDateString() : '-'}</td>
+              <td>
+                {assignment.progress
+                  ? `${assignment.progress.filter(rep => rep.status === 'completed').length} / ${assignment.progress.length} reps`
+                  : '-'}
+              </td>
+              <td>
+                <button className="btn-delete" onClick={() => handleDelete(assignment)}>Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {showModal && (
+        <div className="modal-overlay" onClick={() => setShowModal(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h2>New Assignment</h2>
+            <form onSubmit={handleCreate}>
+              <div className="form-group">
+                <label>Title</label>
+                <input
+                  type="text"
+                  placeholder="e.g. Master the skeptics"
+                  value={form.title}
+                  onChange={(e) => setForm({ ...form, title: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Team</label>
+                <select
+                  value={form.team_id}
+                  onChange={(e) => setForm({ ...form, team_id: e.target.value })}
+                  required
+                >
+                  {teams.map(team => (
+                    <option key={team.id} value={team.id}>{team.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Personas</label>
+                <div className="assignment-persona-picker">
+                  {AVATARS.map(avatar => (
+                    <label key={avatar.id}>
+                      <input
+                        type="checkbox"
+                        checked={form.persona_ids.includes(avatar.id)}
+                        onChange={() => togglePersona(avatar.id)}
+                      />
+                      {avatar.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Minimum tier</label>
+                <select
+                  value={form.target_tier}
+                  onChange={(e) => setForm({ ...form, target_tier: e.target.value })}
+                >
+                  {TIERS.map(tier => (
+                    <option key={tier} value={tier}>{tier}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Due date</label>
+                <input
+                  type="date"
+                  value={form.due_date}
+                  onChange={(e) => setForm({ ...form, due_date: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label className="assignment-checkbox" title="Reps get no objection hints while practicing these personas">
+                  <input
+                    type="checkbox"
+                    checked={form.coach_mode_disabled}
+                    onChange={(e) => setForm({ ...form, coach_mode_disabled: e.target.checked })}
+                  />
+                  Graded - turn off coach mode
+                </label>
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={() => setShowModal(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">Assign</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+/**
+ * Conversation Coaching Component
+ * Transcript of a saved conversation with the manager's comments and overall note,
+ * synced to the rep's uploaded recording when there is one
+ */
+import { useState, useEffect } from 'react';
+import { feedbackService } from '../../services/FeedbackService';
+import { recordingService } from '../../services/RecordingService';
+import { AnnotatedTranscript } from '../history/AnnotatedTranscript';
+
+export function ConversationCoaching({ conversation, onError }) {
+  const [comments, setComments] = useState([]);
+  const [note, setNote] = useState(null);
+  const [noteText, setNoteText] = useState('');
+  const [savingNote, setSavingNote] = useState(false);
+  const [recording, setRecording] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    feedbackService.getFeedbackAsCoach(conversation.id)
+      .then(feedback => {
+        if (cancelled) return;
+        setComments(feedback.comments);
+        setNote(feedback.note);
+        setNoteText(feedback.note?.text || '');
+      })
+      .catch(err => {
+        if (!cancelled) onError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [conversation.id, onError]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setRecording(null);
+    recordingService.getRecordingAsCoach(conversation)
+      .then(uploaded => {
+        if (!cancelled) setRecording(uploaded);
+      })
+      .catch(err => {
+        // The transcript is still useful without the recording
+        console.warn('Could not load recording:', err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [conversation]);
+
+  const handleAddComment = async (message, text) => {
+    try {
+      const saved = await feedbackService.addComment(conversation.id, {
+        timestamp_ms: message.timestamp_ms,
+        participant_id: message.participant_id ?? null,
+        text,
+      });
+      setComments(current => [...current, saved]);
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleDeleteComment = async (comment) => {
+    if (!confirm('Delete this comment?')) {
+      return;
+    }
+    try {
+      await feedbackService.deleteComment(conversation.id, comment.id);
+      setComments(current => current.filter(c => c.id !== comment.id));
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleSaveNote = async () => {
+    setSavingNote(true);
+    try {
+      setNote(await feedbackService.saveNote(conversation.id, noteText.trim()));
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setSavingNote(false);
+    }
+  };
+
+  const noteChanged = noteText.trim() !== (note?.text || '');
+
+  return (
+    <>
+      <div className="detail-section">
+        <h3>Coaching Note</h3>
+        <div className="coaching-note">
+          <textarea
+            value={noteText}
+            onChange={(e) => setNoteText(e.target.value)}
+            placeholder="Overall feedback for the rep on this conversation"
+            rows={3}
+          />
+          <div className="coaching-note-actions">
+            {note?.updated_at && !noteChanged && (
+              <span>Saved {new Date(note.updated_at).toLocaleString()}</span>
+            )}
+            <button className="btn-primary" onClick={handleSaveNote} disabled={savingNote || !noteChanged}>
+              {savingNote ? 'Saving...' : 'Save Note'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="detail-section">
+        <h3>Messages ({conversation.messages.length})</h3>
+        <AnnotatedTranscript
+          messages={conversation.messages}
+          startedAt={conversation.started_at}
+          recording={recording}
+          speakerName={(msg) => (msg.sender === 'user' ? 'User' : 'Agent')}
+          comments={comments}
+          editable
+          onAddComment={handleAddComment}
+          onDeleteComment={handleDeleteComment}
+        />
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,61 @@
+/**
+ * Shared admin table controls: sortable column headers and pagination
+ */
+import { PAGE_SIZES } from '../../services/AdminService';
+
+/**
+ * Column header that sorts by `field`; clicking the active column flips the order
+ */
+export function SortableHeader({ field, label, query, onSort }) {
+  const isActive = query.sort === field;
+  const handleClick = () => {
+    onSort({
+      sort: field,
+      order: isActive && query.order === 'asc' ? 'desc' : 'asc',
+    });
+  };
+
+  return (
+    <th
+      className={`sortable${isActive ? ' sorted' : ''}`}
+      aria-sort={isActive ? (query.order === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      <button type="button" onClick={handleClick}>
+        {label}
+        <span className="sort-indicator">{isActive ? (query.order === 'asc' ? '▲' : '▼') : '↕'}</span>
+      </button>
+    </th>
+  );
+}
+
+/**
+ * Page navigation with a page-size picker
+ */
+export function Pagination({ page, pageSize, total, onChange }) {
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, total);
+
+  return (
+    <div className="admin-pagination">
+      <span className="pagination-summary">
+        {first}-{last} of {total}
+      </span>
+      <div className="pagination-buttons">
+        <button type="button" onClick={() => onChange({ page: 1 })} disabled={page <= 1}>«</button>
+        <button type="button" onClick={() => onChange({ page: page - 1 })} disabled={page <= 1}>‹ Prev</button>
+        <span>Page {page} of {pageCount}</span>
+        <button type="button" onClick={() => onChange({ page: page + 1 })} disabled={page >= pageCount}>Next ›</button>
+        <button type="button" onClick={() => onChange({ page: pageCount })} disabled={page >= pageCount}>»</button>
+      </div>
+      <label className="pagination-size">
+        Rows
+        <select value={pageSize} onChange={(e) => onChange({ page_size: Number(e.target.value) })}>
+          {PAGE_SIZES.map(size => (
+            <option key={size} value={size}>{size}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+/**
+ * Team Leaderboard
+ * Ranks a team's reps by the scores saved with their conversations
+ */
+import { useState, useEffect, useMemo } from 'react';
+import {
+  adminService,
+  CONVERSATION_QUERY_DEFAULTS,
+  LEADERBOARD_QUERY_DEFAULTS,
+} from '../../services/AdminService';
+import { useTableQuery } from '../../hooks/useTableQuery';
+import { buildLeaderboard, buildProgressSeries, averageByCategory } from '../../utils/scoreAnalytics';
+import { getTierColor } from '../../data/scoringCategories';
+import '../../styles/teams.css';
+
+const formatScore = (value) => (value === null ? '-' : Math.round(value));
+
+export function TeamLeaderboard({ teams, onError }) {
+  const { query, updateQuery } = useTableQuery(LEADERBOARD_QUERY_DEFAULTS);
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const all = await adminService.listAllConversations({ ...CONVERSATION_QUERY_DEFAULTS, ...query });
+        if (!cancelled) setConversations(all);
+      } catch (err) {
+        if (!cancelled) onError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [query, onError]);
+
+  const leaderboard = useMemo(() => buildLeaderboard(conversations), [conversations]);
+  const categoryAverages = useMemo(
+    () => averageByCategory(buildProgressSeries(conversations)),
+    [conversations]
+  );
+  const scoredCount = leaderboard.reduce((sum, rep) => sum + rep.scoredSessions, 0);
+  const teamAverage = scoredCount > 0
+    ? leaderboard.reduce((sum, rep) => sum + (rep.averageScore ?? 0) * rep.scoredSessions, 0) / scoredCount
+    : null;
+
+  return (
+    <div className="admin-content team-leaderboard">
+      <div className="admin-filters">
+        <label>
+          Team
+          <select value={query.team_id} onChange={(e) => updateQuery({ team_id: e.target.value })}>
+            <option value="">All my teams</option>
+            {teams.map(team => (
+              <option key={team.id} value={team.id}>{team.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          From
+          <input type="date" value={query.date_from} onChange={(e) => updateQuery({ date_from: e.target.value })} />
+        </label>
+        <label>
+          To
+          <input type="date" value={query.date_to} onChange={(e) => updateQuery({ date_to: e.target.value })} />
+        </label>
+      </div>
+
+      <div className="leaderboard-summary">
+        <div>
+          <span className="leaderboard-stat">{leaderboard.length}</span>
+          <small>Reps</small>
+        </div>
+        <div>
+          <span className="leaderboard-stat">{scoredCount}</span>
+          <small>Scored sessions</small>
+        </div>
+        <div>
+          <span className="leaderboard-stat">{formatScore(teamAverage)}</span>
+          <small>Team average</small>
+        </div>
+      </div>
+
+      <div className="leaderboard-categories">
+        {categoryAverages.map(category => (
+          <div key={category.key} className="leaderboard-category">
+            <span>{category.label}</span>
+            <div className="leaderboard-category-bar">
+              <div style={{ width: `${category.average ?? 0}%`, background: category.color }} />
+            </div>
+            <small>{category.average === null ? '-' : `${Math.round(category.average)}%`}</small>
+          </div>
+        ))}
+      </div>
+
+      <table className={`admin-table${loading ? ' is-loading' : ''}`}>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Rep</th>
+            <th>Sessions</th>
+            <th>Average</th>
+            <th>Best</th>
+            <th>Latest</th>
+            <th>Weakest Area</th>
+            <th>Last Active</th>
+          </tr>
+        </thead>
+        <tbody>
+          {leaderboard.length === 0 && (
+            <tr>
+              <td colSpan={8} className="admin-empty">
+                {loading ? 'Loading...' : 'No conversations for this team yet'}
+              </td>
+            </tr>
+          )}
+          {leaderboard.map((rep, index) => (
+            <tr key={rep.userId ?? rep.email}>
+              <td>{rep.averageScore === null ? '-' : index + 1}</td>
+              <td>
+                <div>{rep.username}</div>
+                <small>{rep.email}</small>
+              </td>
+              <td>{rep.sessions}</td>
+              <td><strong>{formatScore(rep.averageScore)}</strong></td>
+              <td>{formatScore(rep.bestScore)}</td>
+              <td>
+                {rep.latestScore === null ? '-' : (
+                  <span style={{ color: getTierColor(rep.latestTier) }}>
+                    {Math.round(rep.latestScore)} · {rep.latestTier}
+                  </span>
+                )}
+              </td>
+              <td>{rep.weakestCategory?.label || '-'}</td>
+              <td>{rep.lastActive ? rep.lastActive.toLocaleDateString() : '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,301 @@
+/**
+ * Teams Tab
+ * Team CRUD and rep membership for admins and sales managers
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { teamService } from '../../services/TeamService';
+import { adminService } from '../../services/AdminService';
+import '../../styles/teams.css';
+
+const EMPTY_TEAM_FORM = { name: '', description: '', manager_id: '' };
+
+export function TeamsTab({ teams, isAdmin, onTeamsChanged, onError }) {
+  const [selectedTeamId, setSelectedTeamId] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [membersLoading, setMembersLoading] = useState(false);
+  const [managers, setManagers] = useState([]);
+
+  // Team form (create or edit)
+  const [showTeamModal, setShowTeamModal] = useState(false);
+  const [editingTeam, setEditingTeam] = useState(null);
+  const [teamForm, setTeamForm] = useState(EMPTY_TEAM_FORM);
+
+  // Rep search for adding members
+  const [memberSearch, setMemberSearch] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+
+  const selectedTeam = teams.find(team => team.id === selectedTeamId) || null;
+
+  useEffect(() => {
+    if (!selectedTeam && teams.length > 0) {
+      setSelectedTeamId(teams[0].id);
+    }
+  }, [teams, selectedTeam]);
+
+  // Admins pick a team's manager; managers always manage the teams they create
+  useEffect(() => {
+    if (!isAdmin) return;
+    adminService.listUsers({ role: 'manager', page: 1, page_size: 100, sort: 'username', order: 'asc' })
+      .then(result => setManagers(result.items))
+      .catch(err => console.warn('Could not load managers:', err));
+  }, [isAdmin]);
+
+  const fetchMembers = useCallback(async () => {
+    if (!selectedTeamId) {
+      setMembers([]);
+      return;
+    }
+    setMembersLoading(true);
+    try {
+      setMembers(await teamService.listMembers(selectedTeamId));
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setMembersLoading(false);
+    }
+  }, [selectedTeamId, onError]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  const openCreateTeam = () => {
+    setEditingTeam(null);
+    setTeamForm(EMPTY_TEAM_FORM);
+    setShowTeamModal(true);
+  };
+
+  const openEditTeam = (team) => {
+    setEditingTeam(team);
+    setTeamForm({
+      name: team.name,
+      description: team.description || '',
+      manager_id: team.manager_id ?? '',
+    });
+    setShowTeamModal(true);
+  };
+
+  const handleSaveTeam = async (e) => {
+    e.preventDefault();
+    const payload = { name: teamForm.name, description: teamForm.description };
+    if (isAdmin && teamForm.manager_id !== '') {
+      payload.manager_id = Number(teamForm.manager_id);
+    }
+    try {
+      const saved = editingTeam
+        ? await teamService.updateTeam(editingTeam.id, payload)
+        : await teamService.createTeam(payload);
+      setShowTeamModal(false);
+      await onTeamsChanged();
+      if (saved?.id) setSelectedTeamId(saved.id);
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleDeleteTeam = async (team) => {
+    if (!confirm(`Delete team "${team.name}"? Its reps and their conversations are kept.`)) {
+      return;
+    }
+    try {
+      await teamService.deleteTeam(team.id);
+      setSelectedTeamId(null);
+      await onTeamsChanged();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleSearchMembers = async (e) => {
+    e.preventDefault();
+    if (!memberSearch.trim()) {
+      setSearchResults([]);
+      return;
+    }
+    try {
+      const result = await adminService.listUsers({
+        search: memberSearch.trim(),
+        page: 1,
+        page_size: 10,
+        sort: 'username',
+        order: 'asc',
+      });
+      setSearchResults(result.items);
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleAddMember = async (user) => {
+    try {
+      await teamService.addMember(selectedTeamId, user.id);
+      setSearchResults(results => results.filter(result => result.id !== user.id));
+      await fetchMembers();
+      await onTeamsChanged();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleRemoveMember = async (user) => {
+    if (!confirm(`Remove ${user.username} from ${selectedTeam.name}?`)) {
+      return;
+    }
+    try {
+      await teamService.removeMember(selectedTeamId, user.id);
+      await fetchMembers();
+      await onTeamsChanged();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const memberIds = new Set(members.map(member => member.id));
+
+  return (
+    <div className="admin-content teams-tab">
+      <div className="teams-list">
+        <div className="teams-list-header">
+          <h3>Teams</h3>
+          <button className="btn-primary" onClick={openCreateTeam}>+ New Team</button>
+        </div>
+        {teams.length === 0 && <p className="teams-empty">No teams yet.</p>}
+        <ul>
+          {teams.map(team => (
+            <li key={team.id}>
+              <button
+                className={`team-item${team.id === selectedTeamId ? ' active' : ''}`}
+                onClick={() => setSelectedTeamId(team.id)}
+              >
+                <span className="team-name">{team.name}</span>
+                <small>{team.member_count ?? 0} reps{team.manager_username ? ` · ${team.manager_username}` : ''}</small>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="team-detail">
+        {selectedTeam ? (
+          <>
+            <div className="team-detail-header">
+              <div>
+                <h3>{selectedTeam.name}</h3>
+                {selectedTeam.description && <p>{selectedTeam.description}</p>}
+              </div>
+              <div>
+                <button className="btn-edit" onClick={() => openEditTeam(selectedTeam)}>Edit</button>
+                <button className="btn-delete" onClick={() => handleDeleteTeam(selectedTeam)}>Delete</button>
+              </div>
+            </div>
+
+            <form className="team-member-search" onSubmit={handleSearchMembers}>
+              <input
+                type="search"
+                placeholder="Find a rep by name or email"
+                value={memberSearch}
+                onChange={(e) => setMemberSearch(e.target.value)}
+              />
+              <button type="submit" className="btn-secondary">Search</button>
+            </form>
+            {searchResults.length > 0 && (
+              <ul className="team-search-results">
+                {searchResults.map(user => (
+                  <li key={user.id}>
+                    <span>{user.username} <small>{user.email}</small></span>
+                    {memberIds.has(user.id) ? (
+                      <span className="team-member-tag">Member</span>
+                    ) : (
+                      <button className="btn-view" onClick={() => handleAddMember(user)}>Add</button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <table className={`admin-table${membersLoading ? ' is-loading' : ''}`}>
+              <thead>
+                <tr>
+                  <th>Username</th>
+                  <th>Email</th>
+                  <th>Role</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {members.length === 0 && (
+                  <tr>
+                    <td colSpan={4} className="admin-empty">No reps on this team yet</td>
+                  </tr>
+                )}
+                {members.map(member => (
+                  <tr key={member.id}>
+                    <td>{member.username}</td>
+                    <td>{member.email}</td>
+                    <td>
+                      <span className={`role-badge role-${member.role}`}>{member.role}</span>
+                    </td>
+                    <td>
+                      <button className="btn-delete" onClick={() => handleRemoveMember(member)}>Remove</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <p className="teams-empty">Select or create a team to manage its reps.</p>
+        )}
+      </div>
+
+      {showTeamModal && (
+        <div className="modal-overlay" onClick={() => setShowTeamModal(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h2>{editingTeam ? 'Edit Team' : 'Create Team'}</h2>
+            <form onSubmit={handleSaveTeam}>
+              <div className="form-group">
+                <label>Name</label>
+                <input
+                  type="text"
+                  value={teamForm.name}
+                  onChange={(e) => setTeamForm({ ...teamForm, name: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Description</label>
+                <input
+                  type="text"
+                  value={teamForm.description}
+                  onChange={(e) => setTeamForm({ ...teamForm, description: e.target.value })}
+                />
+              </div>
+              {isAdmin && (
+                <div className="form-group">
+                  <label>Manager</label>
+                  <select
+                    value={teamForm.manager_id}
+                    onChange={(e) => setTeamForm({ ...teamForm, manager_id: e.target.value })}
+                  >
+                    <option value="">No manager</option>
+                    {managers.map(manager => (
+                      <option key={manager.id} value={manager.id}>{manager.username}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={() => setShowTeamModal(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  {editingTeam ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
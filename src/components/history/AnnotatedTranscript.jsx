@@ -0,0 +1,121 @@
+/**
+ * Annotated Transcript Component
+ * Transcript viewer with coaching comments under the messages they are anchored to.
+ * Coaches (editable) can add and delete comments; reps see them read-only.
+ */
+import { useState } from 'react';
+import { isCommentOnMessage } from '../../services/FeedbackService';
+import { TranscriptViewer } from './TranscriptViewer';
+import '../../styles/annotatedTranscript.css';
+
+function CommentList({ comments, onDelete }) {
+  return (
+    <ul className="coaching-comments">
+      {comments.map(comment => (
+        <li key={comment.id} className="coaching-comment">
+          <div className="coaching-comment-meta">
+            <strong>{comment.author_username || 'Coach'}</strong>
+            {comment.created_at && <small>{new Date(comment.created_at).toLocaleString()}</small>}
+            {onDelete && (
+              <button className="coaching-comment-delete" onClick={() => onDelete(comment)} title="Delete comment">
+                ✕
+              </button>
+            )}
+          </div>
+          <p>{comment.text}</p>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export function AnnotatedTranscript({
+  messages = [],
+  startedAt,
+  speakerName,
+  recording = null,
+  onDeleteRecording,
+  onRetryUpload,
+  comments = [],
+  editable = false,
+  onAddComment,
+  onDeleteComment,
+}) {
+  const [draftFor, setDraftFor] = useState(null); // index of the message being commented on
+  const [draftText, setDraftText] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const openDraft = (idx) => {
+    setDraftFor(idx);
+    setDraftText('');
+  };
+
+  const handleSubmit = async (e, message) => {
+    e.preventDefault();
+    if (!draftText.trim()) return;
+    setSaving(true);
+    try {
+      await onAddComment(message, draftText.trim());
+      setDraftFor(null);
+      setDraftText('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderExtras = (msg, idx) => {
+    const messageComments = comments.filter(comment => isCommentOnMessage(comment, msg));
+    return (
+      <>
+        {editable && draftFor !== idx && (
+          <button className="coaching-comment-add" onClick={() => openDraft(idx)}>
+            💬 Comment
+          </button>
+        )}
+        {messageComments.length > 0 && (
+          <CommentList comments={messageComments} onDelete={editable ? onDeleteComment : null} />
+        )}
+        {editable && draftFor === idx && (
+          <form className="coaching-comment-form" onSubmit={(e) => handleSubmit(e, msg)}>
+            <textarea
+              value={draftText}
+              onChange={(e) => setDraftText(e.target.value)}
+              placeholder="Coaching comment on this message"
+              rows={2}
+              autoFocus
+            />
+            <div>
+              <button type="button" className="btn-secondary" onClick={() => setDraftFor(null)}>Cancel</button>
+              <button type="submit" className="btn-primary" disabled={saving || !draftText.trim()}>
+                {saving ? 'Saving...' : 'Add'}
+              </button>
+            </div>
+          </form>
+        )}
+      </>
+    );
+  };
+
+  // Comments whose message is no longer in the transcript are still shown
+  const unanchored = comments.filter(comment => !messages.some(msg => isCommentOnMessage(comment, msg)));
+
+  return (
+    <div className="annotated-transcript">
+      <TranscriptViewer
+        messages={messages}
+        startedAt={startedAt}
+        speakerName={speakerName}
+        recording={recording}
+        onDeleteRecording={onDeleteRecording}
+        onRetryUpload={onRetryUpload}
+        renderMessageExtras={renderExtras}
+      />
+      {unanchored.length > 0 && (
+        <div className="coaching-unanchored">
+          <h4>Other comments</h4>
+          <CommentList comments={unanchored} onDelete={editable ? onDeleteComment : null} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+/**
+ * Compare Attempts Component
+ * Two saved interviews side by side: score and tier change, per-category deltas,
+ * strengths/coaching items and transcripts that scroll together
+ */
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { conversationService } from '../../services/ConversationService';
+import { getAvatarById } from '../../data/avatarData';
+import { getTierColor, toScorePayload } from '../../data/scoringCategories';
+import { compareScores } from '../../utils/scoreAnalytics';
+import '../../styles/interviewHistory.css';
+import '../../styles/compareAttempts.css';
+
+const formatPoints = (value) => (value === null ? '-' : value.toFixed(1));
+
+function Delta({ value, digits = 1 }) {
+  if (value === null) return <span className="compare-delta">-</span>;
+  const rounded = Number(value.toFixed(digits));
+  const direction = rounded > 0 ? 'up' : rounded < 0 ? 'down' : 'same';
+  return (
+    <span className={`compare-delta compare-delta-${direction}`}>
+      {rounded > 0 ? '+' : ''}{rounded.toFixed(digits)}
+    </span>
+  );
+}
+
+function AttemptHeader({ label, conversation, score }) {
+  const persona = getAvatarById(conversation.agent_id);
+  return (
+    <div className="compare-attempt-header">
+      <small>{label}</small>
+      <div className="compare-attempt-persona">
+        {persona?.imageUrl && <img src={persona.imageUrl} alt={conversation.agent_name} />}
+        <div>
+          <strong>{conversation.agent_name}</strong>
+          <div>{new Date(conversation.started_at || conversation.created_at).toLocaleString()}</div>
+        </div>
+      </div>
+      {score ? (
+        <div className="compare-attempt-score">
+          <span>{Math.round(score.final_score)}</span>/100
+          <span className="compare-tier" style={{ background: getTierColor(score.tier) }}>{score.tier}</span>
+        </div>
+      ) : (
+        <div className="compare-attempt-score">Not scored</div>
+      )}
+    </div>
+  );
+}
+
+function ItemList({ items }) {
+  if (!items || items.length === 0) {
+    return <p className="compare-empty">None</p>;
+  }
+  return (
+    <ul>
+      {items.map((item, idx) => <li key={idx}>{item}</li>)}
+    </ul>
+  );
+}
+
+export function CompareAttempts() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const idA = searchParams.get('a');
+  const idB = searchParams.get('b');
+  const [attempts, setAttempts] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Synchronized transcript scrolling
+  const leftRef = useRef(null);
+  const rightRef = useRef(null);
+  const syncingRef = useRef(false);
+
+  useEffect(() => {
+    if (!idA || !idB) {
+      setError('Pick two interviews in your history to compare them.');
+      return;
+    }
+    let cancelled = false;
+    setAttempts(null);
+    setError(null);
+    Promise.all([conversationService.getConversation(idA), conversationService.getConversation(idB)])
+      .then(([a, b]) => {
+        if (cancelled) return;
+        // Earlier attempt on the left so deltas read as progress
+        const date = (conv) => new Date(conv.started_at || conv.created_at);
+        setAttempts(date(a) <= date(b) ? [a, b] : [b, a]);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [idA, idB]);
+
+  const handleScroll = useCallback((source, target) => {
+    if (syncingRef.current || !source.current || !target.current) return;
+    const from = source.current;
+    const to = target.current;
+    const ratio = from.scrollTop / Math.max(1, from.scrollHeight - from.clientHeight);
+    syncingRef.current = true;
+    to.scrollTop = ratio * (to.scrollHeight - to.clientHeight);
+    // Let the scroll event caused by the line above pass before listening again
+    requestAnimationFrame(() => {
+      syncingRef.current = false;
+    });
+  }, []);
+
+  if (error) {
+    return (
+      <div className="interview-history compare-attempts">
+        <button className="btn-secondary" onClick={() => navigate('/history')}>← Back to History</button>
+        <div className="history-error-banner">{error}</div>
+      </div>
+    );
+  }
+
+  if (!attempts) {
+    return <div className="history-loading">Loading interviews...</div>;
+  }
+
+  const [before, after] = attempts;
+  const beforeScore = toScorePayload(before);
+  const afterScore = toScorePayload(after);
+  const comparison = compareScores(beforeScore, afterScore);
+  const tierChanged = comparison.tierBefore && comparison.tierAfter && comparison.tierBefore !== comparison.tierAfter;
+
+  const renderTranscript = (conversation) => (conversation.messages || []).map((msg, idx) => (
+    <div key={msg.id || idx} className={`message-item message-${msg.sender}`}>
+      <strong>{msg.sender === 'user' ? 'You' : conversation.agent_name || 'Agent'}:</strong>
+      <p>{msg.text}</p>
+    </div>
+  ));
+
+  return (
+    <div className="interview-history compare-attempts">
+      <div className="history-detail-actions">
+        <button className="btn-secondary" onClick={() => navigate('/history')}>← Back to History</button>
+      </div>
+
+      <div className="compare-summary">
+        <AttemptHeader label="Earlier attempt" conversation={before} score={beforeScore} />
+        <div className="compare-change">
+          <Delta value={comparison.finalDelta} digits={0} />
+          <small>points</small>
+          {tierChanged && <div className="compare-tier-change">{comparison.tierBefore} → {comparison.tierAfter}</div>}
+        </div>
+        <AttemptHeader label="Later attempt" conversation={after} score={afterScore} />
+      </div>
+
+      <div className="compare-section">
+        <h3>Rubric Categories</h3>
+        <table className="compare-table">
+          <thead>
+            <tr>
+              <th>Category</th>
+              <th>Earlier</th>
+              <th>Later</th>
+              <th>Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.categories.map(category => (
+              <tr key={category.key}>
+                <td>
+                  <span className="compare-category-dot" style={{ background: category.color }} />
+                  {category.label} <small>({category.weight})</small>
+                </td>
+                <td>{formatPoints(category.before)} / {category.max}</td>
+                <td>{formatPoints(category.after)} / {category.max}</td>
+                <td><Delta value={category.delta} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="compare-section compare-columns">
+        <div>
+          <h3>Strengths</h3>
+          <ItemList items={beforeScore?.strengths} />
+          <h3>Coaching Items</h3>
+          <ItemList items={beforeScore?.coaching_items} />
+        </div>
+        <div>
+          <h3>Strengths</h3>
+          <ItemList items={afterScore?.strengths} />
+          <h3>Coaching Items</h3>
+          <ItemList items={afterScore?.coaching_items} />
+        </div>
+      </div>
+
+      <div className="compare-section">
+        <h3>Transcripts</h3>
+        <div className="compare-columns">
+          <div
+            className="messages-list compare-transcript"
+            ref={leftRef}
+            onScroll={() => handleScroll(leftRef, rightRef)}
+          >
+            {renderTranscript(before)}
+          </div>
+          <div
+            className="messages-list compare-transcript"
+            ref={rightRef}
+            onScroll={() => handleScroll(rightRef, leftRef)}
+          >
+            {renderTranscript(after)}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
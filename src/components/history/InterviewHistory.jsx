@@ -0,0 +1,310 @@
+/**
+ * Interview History Component
+ * Lists the signed-in user's saved interviews with transcript and score drill-down
+ */
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { conversationService } from '../../services/ConversationService';
+import { feedbackService } from '../../services/FeedbackService';
+import { recordingStore } from '../../services/RecordingStore';
+import { recordingService } from '../../services/RecordingService';
+import { conversationOutbox } from '../../services/ConversationOutbox';
+import { useUnreadFeedback } from '../../hooks/useUnreadFeedback';
+import { getAvatarById } from '../../data/avatarData';
+import { toScorePayload } from '../../data/scoringCategories';
+import { analyzeRepSpeech } from '../../utils/speechAnalysis';
+import { ScoreModal } from '../layout/ScoreModal';
+import { AnnotatedTranscript } from './AnnotatedTranscript';
+import '../../styles/interviewHistory.css';
+
+/**
+ * Recording of a conversation: the copy on this device if there is one, else the uploaded one
+ */
+async function loadRecording(conversation) {
+  const local = await recordingStore.findForConversation(conversation);
+  if (local) return local;
+  try {
+    return await recordingService.getRecording(conversation);
+  } catch (err) {
+    console.warn('Could not load recording:', err);
+    return null;
+  }
+}
+
+export function InterviewHistory() {
+  const navigate = useNavigate();
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedConversation, setSelectedConversation] = useState(null);
+  const [detailLoading, setDetailLoading] = useState(false);
+  const [showScoreModal, setShowScoreModal] = useState(false);
+  const [feedback, setFeedback] = useState({ note: null, comments: [] });
+  const [compareIds, setCompareIds] = useState([]); // up to two conversations picked for comparison
+  const [recording, setRecording] = useState(null); // recording of the selected conversation (local copy first)
+  const { conversationIds: unreadIds } = useUnreadFeedback(true, { poll: false });
+
+  useEffect(() => {
+    const loadConversations = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await conversationService.listConversations();
+        setConversations(data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadConversations();
+  }, []);
+
+  const handleOpenConversation = async (convId) => {
+    setDetailLoading(true);
+    setError(null);
+    try {
+      const [data, coaching] = await Promise.all([
+        conversationService.getConversation(convId),
+        feedbackService.getFeedback(convId).catch((err) => {
+          console.warn('Could not load coaching feedback:', err);
+          return { note: null, comments: [] };
+        }),
+      ]);
+      setSelectedConversation(data);
+      setFeedback(coaching);
+      setRecording(await loadRecording(data));
+      // Open the transcript first when there is coaching to read
+      const hasFeedback = !!coaching.note || coaching.comments.length > 0;
+      setShowScoreModal(!!toScorePayload(data) && !hasFeedback);
+      feedbackService.markRead(convId).catch((err) => {
+        console.warn('Could not mark feedback as read:', err);
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDetailLoading(false);
+    }
+  };
+
+  const handleBack = () => {
+    setSelectedConversation(null);
+    setFeedback({ note: null, comments: [] });
+    setRecording(null);
+    setShowScoreModal(false);
+  };
+
+  const handleDeleteRecording = async () => {
+    const warning = recording.uploaded_at
+      ? 'Delete the copy of this recording on this device? The uploaded recording is kept.'
+      : 'Delete this recording? It has not been uploaded yet, so it will be gone for good.';
+    if (!confirm(warning)) {
+      return;
+    }
+    try {
+      await recordingStore.deleteRecording(recording.id);
+      setRecording(null);
+    } catch (err) {
+      setError(`Could not delete recording: ${err.message}`);
+    }
+  };
+
+  const handleRetryUpload = async () => {
+    try {
+      await conversationOutbox.retryRecordingUpload(recording.id);
+      setRecording(await loadRecording(selectedConversation));
+    } catch (err) {
+      setError(`Could not upload recording: ${err.message}`);
+    }
+  };
+
+  // Keep the two most recent picks
+  const toggleCompare = (convId) => {
+    setCompareIds(current => (
+      current.includes(convId)
+        ? current.filter(id => id !== convId)
+        : [...current, convId].slice(-2)
+    ));
+  };
+
+  const openCompare = (a, b) => {
+    navigate(`/history/compare?a=${encodeURIComponent(a)}&b=${encodeURIComponent(b)}`);
+  };
+
+  if (loading) {
+    return <div className="history-loading">Loading your interview history...</div>;
+  }
+
+  const selectedScore = toScorePayload(selectedConversation);
+  // Latest earlier attempt with the same persona (the list is newest first)
+  const previousAttempt = selectedConversation
+    ? conversations.find(conv =>
+      conv.agent_id === selectedConversation.agent_id &&
+      new Date(conv.created_at) < new Date(selectedConversation.created_at))
+    : null;
+
+  return (
+    <div className="interview-history">
+      <div className="history-header">
+        <h1>My Interview History</h1>
+        <p>Review your past practice sessions, transcripts and score breakdowns.</p>
+      </div>
+
+      {error && <div className="history-error-banner">{error}</div>}
+
+      {!selectedConversation && (
+        <div className="history-content">
+          {conversations.length === 0 ? (
+            <div className="history-empty">
+              <p>No saved interviews yet.</p>
+              <p className="history-hint">Finish an interview from the Dashboard to see it here.</p>
+            </div>
+          ) : (
+            <>
+              <div className="history-compare-bar">
+                <span>
+                  {compareIds.length < 2
+                    ? 'Tick two interviews to compare them side by side.'
+                    : '2 interviews selected'}
+                </span>
+                <button
+                  className="btn-primary"
+                  disabled={compareIds.length < 2}
+                  onClick={() => openCompare(compareIds[0], compareIds[1])}
+                >
+                  Compare
+                </button>
+              </div>
+              <table className="history-table">
+                <thead>
+                  <tr>
+                    <th aria-label="Compare"></th>
+                    <th>Persona</th>
+                    <th>Date</th>
+                    <th>Score</th>
+                    <th>Tier</th>
+                    <th>Messages</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {conversations.map(conv => {
+                    const persona = getAvatarById(conv.agent_id);
+                    return (
+                      <tr
+                        key={conv.id}
+                        className={detailLoading ? 'history-row-disabled' : ''}
+                        onClick={() => !detailLoading && handleOpenConversation(conv.id)}
+                      >
+                        <td onClick={(e) => e.stopPropagation()}>
+                          <input
+                            type="checkbox"
+                            checked={compareIds.includes(conv.id)}
+                            onChange={() => toggleCompare(conv.id)}
+                            aria-label={`Compare interview with ${conv.agent_name}`}
+                          />
+                        </td>
+                        <td>
+                          <div className="history-persona">
+                            {persona?.imageUrl && (
+                              <img src={persona.imageUrl} alt={conv.agent_name} loading="lazy" />
+                            )}
+                            <div>
+                              <div>
+                                {conv.agent_name}
+                                {unreadIds.includes(conv.id) && (
+                                  <span className="history-feedback-badge">New feedback</span>
+                                )}
+                              </div>
+                              <small>{conv.agent_role}</small>
+                            </div>
+                          </div>
+                        </td>
+                        <td>{new Date(conv.created_at).toLocaleString()}</td>
+                        <td>
+                          {conv.final_score != null ? (
+                            <span className={`score-badge score-${conv.tier?.toLowerCase().split(' ')[0] || 'none'}`}>
+                              {Math.round(conv.final_score)}
+                            </span>
+                          ) : (
+                            <span className="score-badge score-none">-</span>
+                          )}
+                        </td>
+                        <td>{conv.tier || '-'}</td>
+                        <td>{conv.message_count ?? conv.messages?.length ?? '-'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      )}
+
+      {selectedConversation && (
+        <div className="history-content">
+          <div className="history-detail-actions">
+            <button className="btn-secondary" onClick={handleBack}>
+              ← Back to History
+            </button>
+            <div className="history-detail-buttons">
+              {previousAttempt && (
+                <button
+                  className="btn-secondary"
+                  onClick={() => openCompare(previousAttempt.id, selectedConversation.id)}
+                >
+                  ↔ Compare with previous attempt
+                </button>
+              )}
+              {selectedScore && (
+                <button className="btn-primary" onClick={() => setShowScoreModal(true)}>
+                  📊 Score Breakdown
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="history-detail-summary">
+            <h2>{selectedConversation.agent_name}</h2>
+            <p>{selectedConversation.agent_role}</p>
+            <p>
+              {new Date(selectedConversation.started_at || selectedConversation.created_at).toLocaleString()}
+              {selectedScore && ` · ${Math.round(selectedScore.final_score)}/100 · ${selectedScore.tier}`}
+            </p>
+          </div>
+
+          {feedback.note?.text && (
+            <div className="coaching-note">
+              <h4>Coaching note{feedback.note.author_username && ` from ${feedback.note.author_username}`}</h4>
+              <p>{feedback.note.text}</p>
+              {feedback.note.updated_at && <small>{new Date(feedback.note.updated_at).toLocaleString()}</small>}
+            </div>
+          )}
+
+          <h3>
+            Transcript ({selectedConversation.messages?.length || 0})
+            {feedback.comments.length > 0 && ` · ${feedback.comments.length} coaching comment${feedback.comments.length !== 1 ? 's' : ''}`}
+          </h3>
+          <AnnotatedTranscript
+            messages={selectedConversation.messages || []}
+            startedAt={selectedConversation.started_at}
+            speakerName={(msg) => (msg.sender === 'user' ? 'You' : selectedConversation.agent_name || 'Agent')}
+            recording={recording}
+            onDeleteRecording={recording?.source !== 'server' ? handleDeleteRecording : undefined}
+            onRetryUpload={recording?.upload_error ? handleRetryUpload : undefined}
+            comments={feedback.comments}
+          />
+        </div>
+      )}
+
+      {showScoreModal && (
+        <ScoreModal
+          score={selectedScore}
+          speechAnalysis={analyzeRepSpeech(selectedConversation?.messages || [])}
+          onClose={() => setShowScoreModal(false)}
+          closeLabel="Close"
+        />
+      )}
+    </div>
+  );
+}
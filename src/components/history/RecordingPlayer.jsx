@@ -0,0 +1,58 @@
+/**
+ * Recording Player Component
+ * Plays back an interview recording (a copy on this device or the uploaded one), with download and delete actions,
+ * and the upload error with a retry action when the server refused the recording.
+ * The transcript viewer drives it through mediaRef and follows playback through onTimeUpdate.
+ */
+import { useEffect, useState } from 'react';
+import { downloadRecording } from '../../utils/exportUtils';
+import { formatClock } from '../../utils/transcriptUtils';
+import '../../styles/recordingPlayer.css';
+
+export function RecordingPlayer({ recording, mediaRef, onTimeUpdate, onDelete, onRetryUpload }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(recording.blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [recording.blob]);
+
+  const MediaTag = recording.has_video ? 'video' : 'audio';
+  const reportTime = (e) => onTimeUpdate?.(e.currentTarget.currentTime * 1000);
+
+  return (
+    <div className="recording-player">
+      {url && (
+        <MediaTag
+          ref={mediaRef}
+          src={url}
+          controls
+          playsInline
+          onTimeUpdate={reportTime}
+          onSeeked={reportTime}
+        />
+      )}
+      <div className="recording-player-meta">
+        <span>
+          ⏺️ {recording.source === 'server' ? 'Uploaded recording' : 'Recording on this device'} · {formatClock(recording.duration_ms || 0)}
+          {recording.blob?.size ? ` · ${(recording.blob.size / (1024 * 1024)).toFixed(1)} MB` : ''}
+        </span>
+        <div className="recording-player-actions">
+          <button className="btn-primary" onClick={() => downloadRecording(recording)}>⬇ Download</button>
+          {onDelete && (
+            <button className="btn-secondary" onClick={onDelete}>Delete recording</button>
+          )}
+        </div>
+      </div>
+      {recording.upload_error && (
+        <div className="recording-player-error">
+          <span>⚠️ Upload failed: {recording.upload_error}</span>
+          {onRetryUpload && (
+            <button className="btn-secondary" onClick={onRetryUpload}>Retry upload</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+/**
+ * Transcript Viewer Component
+ * Shared by rep history and the admin conversation modal. Shows each message's time since the
+ * interview started in a lane per speaker, estimated talk time per speaker and search.
+ * With a local recording, the message being spoken is highlighted and clicking a message seeks to it.
+ */
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { RecordingPlayer } from './RecordingPlayer';
+import {
+  getMessageStart,
+  getTranscriptOrigin,
+  formatClock,
+  estimateSpeakingMs,
+  summarizeTalkTime,
+} from '../../utils/transcriptUtils';
+import '../../styles/transcriptViewer.css';
+
+const SPEAKERS = ['user', 'agent'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Wrap the parts of text matching the search in <mark>
+ */
+function highlight(text, pattern) {
+  if (!pattern) return text;
+  return text.split(pattern).map((part, idx) => (idx % 2 === 1 ? <mark key={idx}>{part}</mark> : part));
+}
+
+/**
+ * Scroll a message into view inside the transcript without scrolling the page
+ */
+function scrollWithin(list, item) {
+  if (!list || !item) return;
+  if (item.offsetTop < list.scrollTop || item.offsetTop + item.offsetHeight > list.scrollTop + list.clientHeight) {
+    list.scrollTop = item.offsetTop - 12;
+  }
+}
+
+export function TranscriptViewer({
+  messages = [],
+  startedAt,
+  speakerName,
+  recording = null,
+  onDeleteRecording,
+  onRetryUpload,
+  renderMessageExtras,
+}) {
+  const mediaRef = useRef(null);
+  const listRef = useRef(null);
+  const itemRefs = useRef([]);
+  const [query, setQuery] = useState('');
+  const [matchCursor, setMatchCursor] = useState(0);
+  const [playbackMs, setPlaybackMs] = useState(0);
+
+  const origin = useMemo(() => getTranscriptOrigin(messages, startedAt), [messages, startedAt]);
+  const talkTime = useMemo(() => summarizeTalkTime(messages), [messages]);
+  const longestMs = useMemo(
+    () => Math.max(1, ...messages.map(msg => estimateSpeakingMs(msg.text))),
+    [messages]
+  );
+
+  // Position of each message in the recording (negative = said before recording started)
+  const recordingOffsets = useMemo(() => messages.map(msg => {
+    const time = getMessageStart(msg);
+    return recording && time !== null ? time - recording.recording_started_at : null;
+  }), [messages, recording]);
+
+  const activeIndex = recording
+    ? recordingOffsets.reduce(
+      (active, offset, idx) => (offset !== null && offset >= 0 && offset <= playbackMs ? idx : active),
+      -1
+    )
+    : -1;
+
+  const searchPattern = query.trim() ? new RegExp(`(${escapeRegExp(query.trim())})`, 'gi') : null;
+  const matches = searchPattern
+    ? messages.reduce((found, msg, idx) => (msg.text?.match(searchPattern) ? [...found, idx] : found), [])
+    : [];
+
+  const scrollToMessage = (idx) => scrollWithin(listRef.current, itemRefs.current[idx]);
+
+  // Follow playback
+  useEffect(() => {
+    scrollWithin(listRef.current, itemRefs.current[activeIndex]);
+  }, [activeIndex]);
+
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    setMatchCursor(0);
+  };
+
+  const goToMatch = (step) => {
+    if (matches.length === 0) return;
+    const next = (matchCursor + step + matches.length) % matches.length;
+    setMatchCursor(next);
+    scrollToMessage(matches[next]);
+  };
+
+  const seekTo = (idx) => {
+    const media = mediaRef.current;
+    const offset = recordingOffsets[idx];
+    if (!media || offset === null || offset < 0) return;
+    media.currentTime = offset / 1000;
+    setPlaybackMs(offset);
+    media.play().catch(() => {});
+  };
+
+  return (
+    <div className="transcript-viewer">
+      {recording && (
+        <RecordingPlayer
+          recording={recording}
+          mediaRef={mediaRef}
+          onTimeUpdate={setPlaybackMs}
+          onDelete={onDeleteRecording}
+          onRetryUpload={onRetryUpload}
+        />
+      )}
+
+      <div className="transcript-toolbar">
+        <div className="transcript-talk-time">
+          {SPEAKERS.map(sender => {
+            const share = talkTime.totalMs ? Math.round((talkTime[sender].ms / talkTime.totalMs) * 100) : 0;
+            return (
+              <div key={sender} className="talk-time-row" title={`${talkTime[sender].words} words in ${talkTime[sender].messages} messages`}>
+                <span className="talk-time-label">{speakerName({ sender })}</span>
+                <div className="talk-time-track">
+                  <div className={`talk-time-fill lane-${sender}`} style={{ width: `${share}%` }} />
+                </div>
+                <span className="talk-time-value">~{formatClock(talkTime[sender].ms)} · {share}%</span>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="transcript-search">
+          <input
+            type="search"
+            placeholder="Search transcript"
+            value={query}
+            onChange={(e) => handleQueryChange(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                goToMatch(e.shiftKey ? -1 : 1);
+              }
+            }}
+          />
+          {searchPattern && (
+            <>
+              <span className="transcript-search-count">
+                {matches.length > 0 ? `${matchCursor + 1} of ${matches.length}` : 'No matches'}
+              </span>
+              <button onClick={() => goToMatch(-1)} disabled={matches.length === 0} title="Previous match">↑</button>
+              <button onClick={() => goToMatch(1)} disabled={matches.length === 0} title="Next match">↓</button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="transcript-lanes" ref={listRef}>
+        {messages.length === 0 && <p className="transcript-empty">No messages in this conversation.</p>}
+        {messages.map((msg, idx) => {
+          const time = getMessageStart(msg);
+          const relative = time !== null && origin !== null ? time - origin : null;
+          const seekable = recordingOffsets[idx] !== null && recordingOffsets[idx] >= 0;
+          const classes = [
+            'transcript-message',
+            `lane-${msg.sender}`,
+            idx === activeIndex && 'active',
+            searchPattern && !matches.includes(idx) && 'dimmed',
+            matches[matchCursor] === idx && 'current-match',
+            seekable && 'seekable',
+          ].filter(Boolean).join(' ');
+
+          return (
+            <div
+              key={msg.id || idx}
+              ref={(el) => { itemRefs.current[idx] = el; }}
+              className={classes}
+            >
+              <div
+                className="transcript-message-body"
+                onClick={seekable ? () => seekTo(idx) : undefined}
+                title={seekable ? 'Play the recording from here' : undefined}
+              >
+                <div className="transcript-message-meta">
+                  <strong>{speakerName(msg)}</strong>
+                  {relative !== null && (
+                    <span className="transcript-time" title={new Date(time).toLocaleString()}>
+                      {seekable ? '▶ ' : ''}+{formatClock(relative)}
+                    </span>
+                  )}
+                </div>
+                <p>{highlight(msg.text || '', searchPattern)}</p>
+                <div
+                  className="transcript-message-bar"
+                  style={{ width: `${Math.max(4, (estimateSpeakingMs(msg.text) / longestMs) * 100)}%` }}
+                  title={`About ${formatClock(estimateSpeakingMs(msg.text))} of speech`}
+                />
+              </div>
+              {renderMessageExtras?.(msg, idx)}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+/**
+ * Assignment Cards Component
+ * Shows the rep's open practice assignments above the persona grid
+ * and starts an interview with an assigned persona directly
+ */
+import { useState, useEffect, useCallback } from 'react';
+import {
+  assignmentService,
+  getRemainingPersonaIds,
+  isAssignmentComplete,
+  getDueDeadline,
+} from '../../services/AssignmentService';
+import { getAvatarById } from '../../data/avatarData';
+import { getTierColor } from '../../data/scoringCategories';
+import '../../styles/assignmentCards.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * "Due in 3 days", "Due today", "Overdue by 2 days"
+ */
+function describeDueDate(dueDate) {
+  if (!dueDate) return { label: 'No due date', overdue: false };
+  const due = getDueDeadline(dueDate);
+  const days = Math.ceil((due - Date.now()) / DAY_MS) - 1;
+  if (days < 0) {
+    return { label: `Overdue by ${-days} day${days !== -1 ? 's' : ''}`, overdue: true };
+  }
+  if (days === 0) return { label: 'Due today', overdue: false };
+  return { label: `Due in ${days} day${days !== 1 ? 's' : ''} (${due.toLocaleDateString()})`, overdue: false };
+}
+
+export function AssignmentCards({ onAvatarSelect, backendReady }) {
+  const [assignments, setAssignments] = useState([]);
+
+  const fetchAssignments = useCallback(async () => {
+    try {
+      const all = await assignmentService.listMyAssignments();
+      setAssignments(all.filter(assignment => !isAssignmentComplete(assignment)));
+    } catch (error) {
+      // Assignments are optional - the grid still works without them
+      console.warn('Could not load assignments:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAssignments();
+    return assignmentService.onChange(fetchAssignments);
+  }, [fetchAssignments]);
+
+  if (assignments.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="assignment-cards">
+      <h2>Your Assignments</h2>
+      <div className="assignment-card-list">
+        {assignments.map(assignment => {
+          const remaining = getRemainingPersonaIds(assignment);
+          const due = describeDueDate(assignment.due_date);
+          return (
+            <div key={assignment.id} className={`assignment-card${due.overdue ? ' overdue' : ''}`}>
+              <div className="assignment-card-header">
+                <h3>{assignment.title}</h3>
+                <span className="assignment-target" style={{ borderColor: getTierColor(assignment.target_tier) }}>
+                  {assignment.target_tier} or better
+                </span>
+              </div>
+              <p className="assignment-due">{due.label}</p>
+              {assignment.coach_mode_disabled && (
+                <p className="assignment-by">Graded - coach mode is off</p>
+              )}
+              {assignment.assigned_by && (
+                <p className="assignment-by">Assigned by {assignment.assigned_by}</p>
+              )}
+              <ul className="assignment-personas">
+                {assignment.persona_ids.map(personaId => {
+                  const avatar = getAvatarById(personaId);
+                  if (!avatar) return null;
+                  const done = !remaining.includes(personaId);
+                  return (
+                    <li key={personaId} className={done ? 'done' : ''}>
+                      <img src={avatar.imageUrl} alt={avatar.name} />
+                      <span>{avatar.name}</span>
+                      {done ? (
+                        <span className="assignment-done">✓ Done</span>
+                      ) : (
+                        <button
+                          onClick={() => onAvatarSelect(avatar)}
+                          disabled={!backendReady}
+                        >
+                          Start
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+              <div className="assignment-progress">
+                <div
+                  style={{ width: `${((assignment.persona_ids.length - remaining.length) / assignment.persona_ids.length) * 100}%` }}
+                />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,39 @@
+/**
+ * Coaching Hints Component
+ * Dismissible hint cards over the avatar video when coach mode spots an objection
+ */
+import '../../styles/coachingHints.css';
+
+export function CoachingHints({ hints, onDismiss, onDismissAll }) {
+  if (hints.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="coaching-hints" role="status" aria-live="polite">
+      {hints.map(hint => (
+        <div key={hint.id} className={`coaching-hint coaching-hint-${hint.type}`}>
+          <div className="coaching-hint-header">
+            <span className="coaching-hint-label">{hint.icon} {hint.label}</span>
+            <button
+              className="coaching-hint-dismiss"
+              onClick={() => onDismiss(hint.id)}
+              title="Dismiss hint"
+              aria-label="Dismiss hint"
+            >
+              ×
+            </button>
+          </div>
+          <p className="coaching-hint-quote">&ldquo;{hint.quote}&rdquo;</p>
+          <p className="coaching-hint-technique">{hint.technique}</p>
+          <p className="coaching-hint-text">{hint.tip || hint.hint}</p>
+        </div>
+      ))}
+      {hints.length > 1 && (
+        <button className="coaching-hints-clear" onClick={onDismissAll}>
+          Dismiss all
+        </button>
+      )}
+    </div>
+  );
+}
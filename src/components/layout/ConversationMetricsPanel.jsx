@@ -0,0 +1,138 @@
+/**
+ * Conversation Metrics Panel Component
+ * Live talk/listen ratio, speaking pace, longest monologue and interruptions during an interview,
+ * plus the rep's filler words and questions
+ */
+import { useState } from 'react';
+import { formatClock } from '../../utils/transcriptUtils';
+import '../../styles/conversationMetrics.css';
+
+// Coaching ranges - outside them a metric is flagged
+const TALK_RATIO_RANGE = [0.35, 0.55];
+const WPM_RANGE = [110, 170];
+const MONOLOGUE_WARN_MS = 60000;
+const INTERRUPTIONS_WARN = 2;
+const FILLERS_PER_100_WARN = 3;
+
+const inRange = (value, [min, max]) => value >= min && value <= max;
+
+function talkRatioHint(ratio) {
+  if (ratio === null) return null;
+  if (ratio > TALK_RATIO_RANGE[1]) return 'You are doing most of the talking - ask and listen';
+  if (ratio < TALK_RATIO_RANGE[0]) return 'Lead the conversation a little more';
+  return 'Good balance';
+}
+
+export function ConversationMetricsPanel({ metrics, speech = null }) {
+  const [expanded, setExpanded] = useState(true);
+  const ratio = metrics?.talk_ratio ?? null;
+  const userShare = ratio !== null ? Math.round(ratio * 100) : null;
+
+  const rows = metrics ? [
+    {
+      label: 'Your pace',
+      value: metrics.user_wpm !== null ? `${metrics.user_wpm} wpm` : '-',
+      warn: metrics.user_wpm !== null && !inRange(metrics.user_wpm, WPM_RANGE),
+      title: `Aim for ${WPM_RANGE[0]}-${WPM_RANGE[1]} words per minute`,
+    },
+    {
+      label: 'Longest monologue',
+      value: `${formatClock(metrics.longest_monologue_ms)} (${metrics.longest_monologue_words} words)`,
+      warn: metrics.longest_monologue_ms > MONOLOGUE_WARN_MS,
+      title: `Try to hand the conversation back within ${MONOLOGUE_WARN_MS / 1000} seconds`,
+    },
+    {
+      label: 'You interrupted',
+      value: metrics.user_interruptions,
+      warn: metrics.user_interruptions > INTERRUPTIONS_WARN,
+      title: 'Times you started talking while the customer was still speaking',
+    },
+    {
+      label: 'Customer interrupted',
+      value: metrics.agent_interruptions,
+      warn: false,
+      title: 'Times the customer cut in while you were speaking',
+    },
+  ] : [];
+
+  if (speech) {
+    rows.push(
+      {
+        label: 'Filler words',
+        value: `${speech.filler_words} (${speech.fillers_per_100_words}/100 words)`,
+        warn: speech.fillers_per_100_words > FILLERS_PER_100_WARN,
+        title: Object.entries(speech.filler_counts)
+          .map(([word, count]) => `"${word}" ×${count}`)
+          .join(', ') || 'No filler words so far',
+      },
+      {
+        label: 'Questions',
+        value: `${speech.open_questions} open · ${speech.closed_questions} closed`,
+        warn: speech.closed_questions > speech.open_questions,
+        title: 'Open questions (what, how, why, tell me...) get the customer talking',
+      },
+      {
+        label: 'Discovery questions',
+        value: speech.discovery_questions,
+        warn: false,
+        title: "Questions about the customer's situation, problems and goals",
+      },
+    );
+  }
+
+  return (
+    <div className="conversation-metrics">
+      <button
+        className="conversation-metrics-header"
+        onClick={() => setExpanded(prev => !prev)}
+        aria-expanded={expanded}
+      >
+        <span>📈 Talk Metrics</span>
+        {(userShare !== null || speech) && (
+          <span className="conversation-metrics-summary">
+            {[
+              userShare !== null && `You ${userShare}%`,
+              speech && `${speech.filler_words} filler${speech.filler_words !== 1 ? 's' : ''}`,
+              speech && `${speech.questions} Q`,
+            ].filter(Boolean).join(' · ')}
+          </span>
+        )}
+        <span className="conversation-metrics-toggle">{expanded ? '▾' : '▸'}</span>
+      </button>
+
+      {expanded && (
+        !metrics && !speech ? (
+          <p className="conversation-metrics-empty">Metrics appear once the conversation gets going.</p>
+        ) : (
+          <div className="conversation-metrics-body">
+            {metrics && (
+              <div className="conversation-metrics-ratio" title={`Aim for ${TALK_RATIO_RANGE[0] * 100}-${TALK_RATIO_RANGE[1] * 100}% of the talk time`}>
+                <div className="conversation-metrics-bar">
+                  <div
+                    className={`conversation-metrics-bar-user ${inRange(ratio, TALK_RATIO_RANGE) ? '' : 'warn'}`}
+                    style={{ width: `${userShare}%` }}
+                  />
+                </div>
+                <div className="conversation-metrics-ratio-labels">
+                  <span>You {formatClock(metrics.user_talk_ms)}</span>
+                  <span>Customer {formatClock(metrics.agent_talk_ms)}</span>
+                </div>
+                <p className={`conversation-metrics-hint ${inRange(ratio, TALK_RATIO_RANGE) ? '' : 'warn'}`}>
+                  {talkRatioHint(ratio)}
+                </p>
+              </div>
+            )}
+            <dl>
+              {rows.map(row => (
+                <div key={row.label} className={row.warn ? 'warn' : ''} title={row.title}>
+                  <dt>{row.label}</dt>
+                  <dd>{row.value}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
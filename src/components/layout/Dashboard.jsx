@@ -3,12 +3,19 @@
  * Main dashboard view for authenticated users
  */
 import { AvatarGrid } from './AvatarGrid';
+import { ProgressPanel } from './ProgressPanel';
+import { AssignmentCards } from './AssignmentCards';
 import '../../styles/dashboard.css';
 
 export function Dashboard({ onAvatarSelect, backendReady }) {
   return (
     <div className="dashboard">
       <div className="dashboard-container">      
+        <ProgressPanel />
+        <AssignmentCards
+          onAvatarSelect={onAvatarSelect}
+          backendReady={backendReady}
+        />
         <div className="dashboard-content">
           <AvatarGrid 
             onAvatarSelect={onAvatarSelect}
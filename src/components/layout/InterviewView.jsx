@@ -1,18 +1,57 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useWebcam } from '../../hooks/useWebcam';
+import { useConnectionStats } from '../../hooks/useConnectionStats';
+import { useAdaptiveQuality } from '../../hooks/useAdaptiveQuality';
+import { useConversationMetrics } from '../../hooks/useConversationMetrics';
+import { useCoachingHints } from '../../hooks/useCoachingHints';
 import { livekitService } from '../../services/LiveKitService';
-import { heygenService } from '../../services/HeyGenService';
 import { authService } from '../../services/AuthService';
+import {
+  conversationService,
+  buildScoreRequest,
+  buildConversationRecord,
+} from '../../services/ConversationService';
+import { conversationOutbox } from '../../services/ConversationOutbox';
+import { transcriptStore } from '../../services/TranscriptStore';
+import { interviewResumeService } from '../../services/InterviewResumeService';
+import { recordingStore } from '../../services/RecordingStore';
+import { preferencesService } from '../../services/PreferencesService';
+import { assignmentService, isCoachModeBlocked } from '../../services/AssignmentService';
+import { InterviewRecorder, isRecordingSupported } from '../../managers/InterviewRecorder';
+import { downloadRecording, downloadFile, fileTimestamp, transcriptToText } from '../../utils/exportUtils';
+import { analyzeRepSpeech } from '../../utils/speechAnalysis';
 import { config } from '../../config';
-import { RoomEvent } from 'livekit-client';
+import { RoomEvent, DisconnectReason, Track } from 'livekit-client';
 import { RoomContext, useVoiceAssistant } from '@livekit/components-react';
+import { ScoreModal } from './ScoreModal';
+import { StatsOverlay } from './StatsOverlay';
+import { ConversationMetricsPanel } from './ConversationMetricsPanel';
+import { CoachingHints } from './CoachingHints';
 import '../../styles/interviewView.css';
 import '../../styles/chatWindow.css';
 
+// Status log line for each conversationOutbox.enqueue outcome
+const SAVE_OUTCOME_MESSAGES = {
+  synced: 'Conversation saved ✓',
+  queued: '💾 Conversation saved on this device - it will upload when the connection is back',
+  rejected: '❌ The server rejected this conversation - it is kept on this device, retry or discard it from the navbar',
+  failed: '❌ Conversation could not be saved - download the transcript before leaving',
+};
+
 // Component that listens to agent transcriptions using useVoiceAssistant
-function TranscriptionListener({ addAgentMessageToChat }) {
+function TranscriptionListener({ addAgentMessageToChat, onAgentSegment }) {
   const { agentTranscriptions } = useVoiceAssistant();
   const lastProcessedIndexRef = useRef(-1);
+
+  // Segment timing for the talk metrics (segments update in place as the agent speaks)
+  useEffect(() => {
+    agentTranscriptions?.forEach(segment => {
+      onAgentSegment?.('agent', segment.id, segment.text, {
+        start: segment.firstReceivedTime,
+        end: segment.lastReceivedTime,
+      });
+    });
+  }, [agentTranscriptions, onAgentSegment]);
   
   // Add agent transcriptions to chat when they arrive
   useEffect(() => {
@@ -43,20 +82,36 @@ function TranscriptionListener({ addAgentMessageToChat }) {
 export function InterviewView({ 
   avatar, 
   peerConnection,
+  avatarStream,
+  avatarConnectionState,
+  avatarQuality,
+  adaptiveQuality = false,
+  onAvatarQualityChange,
   livekitRoom,
-  heygenSessionId,
+  avatarSessionId,
+  onAvatarSpeak,
+  startupWarning,
+  onScoring,
+  onEnded,
+  resumeFrom = null,
   onExit 
 }) {
   const [statusMessages, setStatusMessages] = useState([]);
   const [conversationStarted, setConversationStarted] = useState(false);
   const [livekitConnected, setLivekitConnected] = useState(false);
-  const [chatMessages, setChatMessages] = useState([]);
+  const [livekitReconnecting, setLivekitReconnecting] = useState(false);
+  // A resumed interview continues the transcript saved before the page reload
+  const [chatMessages, setChatMessages] = useState(() => resumeFrom?.messages || []);
   const [chatInput, setChatInput] = useState('');
   const [showCompleteMessageModal, setShowCompleteMessageModal] = useState(false);
   const [showScoreModal, setShowScoreModal] = useState(false);
   const [interviewScore, setInterviewScore] = useState(null);
   const [isCalculatingScore, setIsCalculatingScore] = useState(false);
-  const [interviewStartTime] = useState(new Date());
+  const [interviewStartTime] = useState(() => (resumeFrom ? new Date(resumeFrom.startedAt) : new Date()));
+  const [showStats, setShowStats] = useState(false);
+  // Set when the finished conversation could be neither uploaded nor stored on this device
+  const [saveError, setSaveError] = useState(null);
+  const [unsavedConversation, setUnsavedConversation] = useState(null);
   // const [completeMessage, setCompleteMessage] = useState('');
 
   // Track accumulated text and sent word count for incremental phrase sending
@@ -102,6 +157,33 @@ export function InterviewView({
 
 
 
+  // Connection quality telemetry (collected for the whole interview, shown on demand)
+  const {
+    latest: connectionStats,
+    getSummary: getConnectionSummary,
+    getHistory: getConnectionHistory,
+  } = useConnectionStats(peerConnection, livekitRoom);
+
+  // Talk/listen ratio, pace, monologues and interruptions from the transcription timing
+  const {
+    metrics: conversationMetrics,
+    recordSegment,
+    getMetrics: getConversationMetrics,
+    getSegments: getSpeechSegments,
+  } = useConversationMetrics(resumeFrom?.speechSegments);
+
+  // Filler words and question types in what the rep has said (final transcriptions), analyzed locally
+  const speechAnalysis = useMemo(() => analyzeRepSpeech(chatMessages), [chatMessages]);
+
+  // Step avatar quality down/up with the measured avatar stream stats
+  const { isSwitching: isSwitchingQuality } = useAdaptiveQuality({
+    quality: avatarQuality,
+    getHistory: getConnectionHistory,
+    changeQuality: onAvatarQualityChange,
+    enabled: adaptiveQuality && !!onAvatarQualityChange && avatarConnectionState === 'connected',
+    latest: connectionStats,
+  });
+
   // Video ref for HeyGen avatar (video only)
   const avatarVideoRef = useRef(null);
   const roomRef = useRef(null);
@@ -259,7 +341,9 @@ export function InterviewView({
    */
   useEffect(() => {
     if (!peerConnection) {
-      updateStatus('Waiting for HeyGen peer connection...');
+      if (!avatarStream) {
+        updateStatus('Waiting for HeyGen peer connection...');
+      }
       return;
     }
 
@@ -339,12 +423,47 @@ export function InterviewView({
     if (!hasExistingTrack) {
       updateStatus('Waiting for HeyGen video stream...');
     }
-  }, [peerConnection, updateStatus]);
+  }, [peerConnection, avatarStream, updateStatus]);
+
+  /**
+   * Attach a local avatar stream (providers that play without WebRTC, e.g. the static clip)
+   */
+  useEffect(() => {
+    if (!avatarStream || !avatarVideoRef.current) {
+      return;
+    }
+    const videoElement = avatarVideoRef.current;
+    videoElement.srcObject = avatarStream;
+    videoElement.play().catch(() => {});
+    updateStatus('Avatar video connected ✓');
+  }, [avatarStream, updateStatus]);
+
+  /**
+   * Surface setup warnings (e.g. the agent never joined) in the status log
+   */
+  useEffect(() => {
+    if (startupWarning) {
+      updateStatus(`⚠️ ${startupWarning}`);
+    }
+  }, [startupWarning, updateStatus]);
+
+  /**
+   * Report avatar reconnection progress in the status log
+   */
+  useEffect(() => {
+    if (avatarConnectionState === 'reconnecting' && isSwitchingQuality) {
+      updateStatus(`🔄 Switching avatar video quality (currently ${avatarQuality})...`);
+    } else if (avatarConnectionState === 'reconnecting') {
+      updateStatus('⚠️ Avatar video dropped - reconnecting...');
+    } else if (avatarConnectionState === 'failed') {
+      updateStatus('❌ Avatar video could not be restored');
+    }
+  }, [avatarConnectionState, isSwitchingQuality, avatarQuality, updateStatus]);
 
   /**
    * Add user message to chat (reusable for both typed and transcribed messages)
    */
-  const addUserMessageToChat = useCallback((messageText) => {
+  const addUserMessageToChat = useCallback((messageText, startMs = null) => {
     if (!messageText || !messageText.trim()) {
       return;
     }
@@ -380,6 +499,7 @@ export function InterviewView({
         sender: 'user',
         timestamp: new Date(timestamp).toLocaleTimeString(),
         timestampMs: timestamp,
+        startMs: startMs ?? timestamp, // transcriptions arrive when the rep has finished speaking
         participantId: participantId,
       };
       
@@ -464,10 +584,200 @@ export function InterviewView({
     }
   }, [conversationStarted, roomRef, updateStatus]);
 
+  // Local draft of this interview (IndexedDB) - survives failed saves and closed tabs
+  const draftIdRef = useRef(resumeFrom?.draftId || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  const draftDiscardedRef = useRef(false);
+
+  const saveDraft = useCallback(async (extra = {}) => {
+    if (draftDiscardedRef.current) return;
+    try {
+      await transcriptStore.saveDraft({
+        id: draftIdRef.current,
+        agent_id: avatar.id,
+        agent_name: avatar.name,
+        room_name: roomRef.current?.name || null,
+        started_at: interviewStartTime.toISOString(),
+        messages: chatMessages,
+        speech_segments: getSpeechSegments(),
+        score: null,
+        ...extra,
+      });
+    } catch (error) {
+      console.warn('Could not save transcript draft:', error);
+    }
+  }, [avatar, interviewStartTime, chatMessages, getSpeechSegments]);
+
+  const discardDraft = useCallback(async () => {
+    draftDiscardedRef.current = true;
+    interviewResumeService.clear();
+    await transcriptStore.deleteDraft(draftIdRef.current).catch(() => {});
+  }, []);
+
+  /**
+   * Remember this interview so it can be resumed if the page is reloaded
+   */
+  useEffect(() => {
+    if (!livekitRoom?.name || draftDiscardedRef.current) return;
+    interviewResumeService.save({
+      avatarId: avatar.id,
+      roomName: livekitRoom.name,
+      draftId: draftIdRef.current,
+      startedAt: interviewStartTime.toISOString(),
+    });
+  }, [avatar.id, livekitRoom, interviewStartTime]);
+
+  useEffect(() => {
+    if (resumeFrom) {
+      updateStatus(`↩️ Resumed interview - restored ${resumeFrom.messages.length} messages`);
+    }
+  }, [resumeFrom, updateStatus]);
+
+  /**
+   * Persist the transcript as it grows (debounced - agent messages update word by word)
+   */
+  useEffect(() => {
+    if (chatMessages.length === 0) return;
+    const timer = setTimeout(() => {
+      saveDraft();
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [chatMessages, saveDraft]);
+
+  // Opt-in recording of the interview - kept on this device and replayable from History
+  const [recorder] = useState(() => new InterviewRecorder());
+  const [recordingStartedAt, setRecordingStartedAt] = useState(null);
+  const [recordingElapsedMs, setRecordingElapsedMs] = useState(0);
+  const [savedRecording, setSavedRecording] = useState(null);
+  const autoRecordCheckedRef = useRef(false);
+
+  /**
+   * Audio to record: the agent's LiveKit audio (HeyGen audio if there is none) and the user's microphone
+   */
+  const collectRecordingAudio = useCallback(() => {
+    const agentTracks = livekitAudioRef.current?.srcObject?.getAudioTracks?.() || [];
+    if (agentTracks.length === 0) {
+      roomRef.current?.remoteParticipants.forEach(participant => {
+        if (!isAgentIdentity(participant?.identity)) return;
+        participant.audioTrackPublications.forEach(publication => {
+          if (publication.track?.mediaStreamTrack) {
+            agentTracks.push(publication.track.mediaStreamTrack);
+          }
+        });
+      });
+    }
+    if (agentTracks.length === 0) {
+      agentTracks.push(...(avatarVideoRef.current?.srcObject?.getAudioTracks?.() || []));
+    }
+
+    const microphone = roomRef.current?.localParticipant?.getTrackPublication(Track.Source.Microphone);
+    return microphone?.track?.mediaStreamTrack
+      ? [...agentTracks, microphone.track.mediaStreamTrack]
+      : agentTracks;
+  }, [isAgentIdentity]);
+
+  const startRecording = useCallback(() => {
+    try {
+      const { startedAt, hasVideo } = recorder.start({
+        avatarVideo: avatarVideoRef.current?.srcObject ? avatarVideoRef.current : null,
+        webcamVideo: webcamActive ? webcamRef.current : null,
+        audioTracks: collectRecordingAudio(),
+      });
+      setSavedRecording(null);
+      setRecordingElapsedMs(0);
+      setRecordingStartedAt(startedAt);
+      updateStatus(hasVideo ? '⏺️ Recording started' : '⏺️ Recording started (audio only)');
+    } catch (error) {
+      console.warn('Could not start recording:', error);
+      updateStatus(`Recording not available: ${error.message}`);
+    }
+  }, [recorder, webcamActive, webcamRef, collectRecordingAudio, updateStatus]);
+
+  /**
+   * Stop recording and keep the file on this device
+   * @returns {Promise<Object|null>} The recording, or null if nothing was being recorded
+   */
+  const stopRecording = useCallback(async () => {
+    if (!recorder.isRecording) return null;
+    setRecordingStartedAt(null);
+    const result = await recorder.stop();
+    if (!result) return null;
+
+    const recording = {
+      id: `${draftIdRef.current}-${result.startedAt}`,
+      agent_id: avatar.id,
+      agent_name: avatar.name,
+      started_at: interviewStartTime.toISOString(),
+      recording_started_at: result.startedAt,
+      duration_ms: result.durationMs,
+      mime_type: result.mimeType,
+      has_video: result.hasVideo,
+      blob: result.blob,
+    };
+    setSavedRecording(recording);
+    try {
+      await recordingStore.saveRecording(recording);
+      updateStatus('⏹️ Recording saved - the latest recording is uploaded with the conversation for replay from History');
+    } catch (error) {
+      console.warn('Could not store recording:', error);
+      updateStatus('⏹️ Recording stopped but could not be stored - download it before leaving');
+    }
+    return recording;
+  }, [recorder, avatar, interviewStartTime, updateStatus]);
+
+  // Start recording by itself when the user opted in from their settings
+  useEffect(() => {
+    if (!conversationStarted || autoRecordCheckedRef.current) return;
+    autoRecordCheckedRef.current = true;
+    if (preferencesService.get().recordInterviews && isRecordingSupported()) {
+      startRecording();
+    }
+  }, [conversationStarted, startRecording]);
+
+  useEffect(() => {
+    if (!recordingStartedAt) return;
+    const timer = setInterval(() => setRecordingElapsedMs(Date.now() - recordingStartedAt), 1000);
+    return () => clearInterval(timer);
+  }, [recordingStartedAt]);
+
+  // Leaving without ending the interview (e.g. navigating away) drops an unfinished recording
+  useEffect(() => () => recorder.discard(), [recorder]);
+
+  // Coach mode - objection hints over the avatar; off while a graded assignment still needs this persona
+  const [coachMode, setCoachMode] = useState(() => !!preferencesService.get().coachMode);
+  const [coachModeBlocked, setCoachModeBlocked] = useState(null); // null until the assignments are checked
+  const {
+    hints: coachingHints,
+    dismissHint,
+    dismissAll: dismissAllHints,
+  } = useCoachingHints({
+    messages: chatMessages,
+    avatar,
+    enabled: coachMode && coachModeBlocked === false,
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    assignmentService.listMyAssignments()
+      .then(assignments => {
+        if (!cancelled) setCoachModeBlocked(isCoachModeBlocked(assignments, avatar.id));
+      })
+      .catch(error => {
+        // Can't tell whether this is a graded assignment - keep the hints off to be safe
+        console.warn('Could not check assignments for coach mode:', error);
+        if (!cancelled) setCoachModeBlocked(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [avatar.id]);
+
   /**
    * Perform cleanup operations (disconnect, delete room, etc.)
    */
   const performCleanup = async () => {
+    // Leaving on purpose - nothing to resume after this
+    interviewResumeService.clear();
+
     // Get room name before disconnecting
     const roomName = roomRef.current?.name || null;
     
@@ -481,7 +791,7 @@ export function InterviewView({
       try {
         // URL encode room name for safe path parameter
         const encodedRoomName = encodeURIComponent(roomName);
-        const response = await fetch(`${config.backend.baseUrl}/api/livekit/room/${encodedRoomName}`, {
+        const response = await authService.authFetch(`${config.backend.baseUrl}/api/livekit/room/${encodedRoomName}`, {
           method: 'DELETE',
           headers: {
             'Content-Type': 'application/json',
@@ -520,126 +830,91 @@ export function InterviewView({
     await performCleanup();
   };
 
+  /**
+   * Offer the transcript of a conversation record as a text file
+   */
+  const downloadTranscript = (conversation) => {
+    downloadFile(
+      `transcript-${avatar.name}-${fileTimestamp()}.txt`,
+      transcriptToText({ ...conversation, id: 'unsaved', created_at: conversation.started_at }),
+      'text/plain;charset=utf-8'
+    );
+  };
+
   /**
    * Handle exit interview
    */
   const handleExit = async () => {
     try {
       updateStatus('Ending interview...');
+      // The last recording of the interview is uploaded with the saved conversation
+      const recordingId = (await stopRecording() || savedRecording)?.id ?? null;
       
       // Calculate interview score before cleanup (only if there are messages)
       if (chatMessages.length > 0 && !isCalculatingScore) {
         setIsCalculatingScore(true);
+        onScoring?.();
         updateStatus('Calculating interview score...');
+
+        const conversationMetrics = getConversationMetrics();
+        const scoreRequest = buildScoreRequest(avatar, chatMessages, conversationMetrics);
+        const conversation = buildConversationRecord({
+          avatar,
+          chatMessages,
+          roomName: roomRef.current?.name || null,
+          startedAt: interviewStartTime.toISOString(),
+          connectionStats: getConnectionSummary(),
+          conversationMetrics,
+        });
         
         try {
           // Step 1: Calculate score
-          const scoreResponse = await fetch(`${config.backend.baseUrl}/api/interviews/score`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              ...authService.getAuthHeader(),
-            },
-            body: JSON.stringify({
-              agent_id: avatar.id,
-              agent_name: avatar.name,
-              agent_role: avatar.role,
-              messages: chatMessages.map(msg => ({
-                text: msg.text,
-                sender: msg.sender,
-                timestamp: msg.timestamp,
-                timestamp_ms: msg.timestampMs
-              }))
-            })
-          });
-          
-          if (scoreResponse.ok) {
-            const scoreData = await scoreResponse.json();
-            setInterviewScore(scoreData);
-            setShowScoreModal(true);
-            updateStatus('Score calculated ✓');
-            
-            // Step 2: Save conversation to database
-            try {
-              const saveResponse = await fetch(`${config.backend.baseUrl}/api/conversations`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                  ...authService.getAuthHeader(),
-                },
-                body: JSON.stringify({
-                  conversation: {
-                    agent_id: avatar.id,
-                    agent_name: avatar.name,
-                    agent_role: avatar.role,
-                    room_name: roomRef.current?.name || null,
-                    started_at: interviewStartTime.toISOString(),
-                    messages: chatMessages.map(msg => ({
-                      text: msg.text,
-                      sender: msg.sender,
-                      timestamp_ms: msg.timestampMs,
-                      participant_id: msg.participantId
-                    }))
-                  },
-                  score_data: {
-                    final_score: scoreData.final_score,
-                    tier: scoreData.tier,
-                    pre_deduction_total: scoreData.pre_deduction_total,
-                    raw_scores: {
-                      opening_rapport: scoreData.raw_scores.opening_rapport,
-                      discovery_qualification: scoreData.raw_scores.discovery_qualification,
-                      value_messaging: scoreData.raw_scores.value_messaging,
-                      objection_handling: scoreData.raw_scores.objection_handling,
-                      trial_advancement: scoreData.raw_scores.trial_advancement,
-                      listening_adaptability: scoreData.raw_scores.listening_adaptability,
-                      professionalism: scoreData.raw_scores.professionalism
-                    },
-                    weighted_points: {
-                      opening_rapport: scoreData.weighted_points.opening_rapport,
-                      discovery_qualification: scoreData.weighted_points.discovery_qualification,
-                      value_messaging: scoreData.weighted_points.value_messaging,
-                      objection_handling: scoreData.weighted_points.objection_handling,
-                      trial_advancement: scoreData.weighted_points.trial_advancement,
-                      listening_adaptability: scoreData.weighted_points.listening_adaptability,
-                      professionalism: scoreData.weighted_points.professionalism
-                    },
-                    deductions: scoreData.deductions,
-                    strengths: scoreData.strengths,
-                    coaching_items: scoreData.coaching_items,
-                    detailed_feedback: scoreData.detailed_feedback
-                  }
-                })
-              });
-              
-              if (saveResponse.ok) {
-                console.log('✅ Conversation saved to database');
-              } else {
-                console.error('Failed to save conversation:', await saveResponse.text());
-              }
-            } catch (saveError) {
-              console.error('Error saving conversation:', saveError);
-              // Don't block exit if save fails
-            }
-            
-            setIsCalculatingScore(false);
-            return; // Exit early - cleanup happens when modal closes
+          const scoreData = await conversationService.scoreInterview(scoreRequest);
+          setInterviewScore(scoreData);
+          setShowScoreModal(true);
+          onEnded?.();
+          updateStatus('Score calculated ✓');
+          await saveDraft({ score: scoreData });
+
+          // Step 2: Save conversation - queued locally first so a failed request is retried later
+          const outcome = await conversationOutbox.enqueue({ conversation, scoreData, recordingId });
+          if (outcome === 'failed') {
+            // Neither uploaded nor stored - keep the draft and let the user take the transcript
+            setSaveError('This conversation could not be saved. Download the transcript before leaving so it is not lost.');
+            setUnsavedConversation({ ...conversation, score_data: scoreData });
           } else {
-            const errorData = await scoreResponse.json().catch(() => ({}));
-            console.error('Failed to calculate score:', errorData);
-            updateStatus('Score calculation failed - continuing with exit');
+            await discardDraft();
           }
+          updateStatus(SAVE_OUTCOME_MESSAGES[outcome]);
+          
+          setIsCalculatingScore(false);
+          return; // Exit early - cleanup happens when modal closes
         } catch (error) {
           console.error('Error calculating score:', error);
-          updateStatus('Score calculation error - continuing with exit');
+          // Keep the transcript and score it once the backend is reachable again
+          const outcome = await conversationOutbox.enqueue({ conversation, scoreRequest, recordingId });
+          if (outcome === 'failed') {
+            updateStatus('❌ Score calculation failed and the transcript could not be stored');
+            if (confirm('This interview could not be scored or saved. Download the transcript now?')) {
+              downloadTranscript(conversation);
+            }
+          } else {
+            await discardDraft();
+            updateStatus(outcome === 'rejected'
+              ? '❌ Score calculation failed and the server rejected the transcript - it is kept on this device'
+              : 'Score calculation failed - transcript kept and will be scored later');
+          }
         } finally {
           setIsCalculatingScore(false);
         }
       }
       
       // If no messages or scoring failed, proceed with normal cleanup
+      onEnded?.();
       await performCleanup();
     } catch (error) {
       console.error('Error during exit:', error);
+      onEnded?.();
       await performCleanup();
     }
   };
@@ -708,6 +983,7 @@ export function InterviewView({
         sender: 'agent',
         timestamp: new Date(timestamp).toLocaleTimeString(),
         timestampMs: timestamp,
+        startMs: timestamp, // kept while streaming continuations update timestampMs
         participantId: participantId,
       };
       
@@ -720,7 +996,7 @@ export function InterviewView({
     // 2. Text is different from last sent
     // 3. Extract and send ONLY the new portion immediately when it arrives
     // 4. Only send if LiveKit audio is active
-    if (heygenSessionId && trimmedText !== lastSentToHeyGenRef.current && liveKitAudioActiveRef.current) {
+    if (avatarSessionId && onAvatarSpeak && trimmedText !== lastSentToHeyGenRef.current && liveKitAudioActiveRef.current) {
       // Calculate what's NEW in this message (for fast lip-sync without repetition)
       let textToSend = trimmedText;
       if (lastSentToHeyGenRef.current && trimmedText.startsWith(lastSentToHeyGenRef.current)) {
@@ -737,7 +1013,7 @@ export function InterviewView({
       lastSentToHeyGenRef.current = trimmedText;
       
       // Send only the new portion immediately - maintains fast lip-sync
-      heygenService.sendTask(heygenSessionId, textToSend)
+      onAvatarSpeak(textToSend)
         .then(() => {
           updateStatus(`🎤 Avatar speaking: "${textToSend.substring(0, 30)}..."`);
           console.log(`✅ Sent to HeyGen (new portion): "${textToSend}"`);
@@ -757,7 +1033,7 @@ export function InterviewView({
     if (!isUpdate) {
       updateStatus(`Agent: ${messageText.substring(0, 50)}${messageText.length > 50 ? '...' : ''}`);
     }
-  }, [updateStatus, generateMessageId, heygenSessionId]);
+  }, [updateStatus, generateMessageId, avatarSessionId, onAvatarSpeak]);
 
 
   useEffect(() => {
@@ -787,9 +1063,11 @@ export function InterviewView({
         
         // Handle user transcriptions (audio input)
         if (isTranscription && isLocalParticipant && message.trim()) {
+          // Every update of a segment (interim or final) extends its timing for the talk metrics
+          const segmentStart = recordSegment('user', segmentId || reader.info?.id, message.trim(), { start: Date.now() });
           if (isFinal) {
             // Only add final transcriptions to chat to avoid duplicates
-            addUserMessageToChat(message);
+            addUserMessageToChat(message, segmentStart);
             console.log('✅ Added user transcription to chat:', message);
           }
         }
@@ -876,7 +1154,41 @@ export function InterviewView({
       livekitRoom.off(RoomEvent.ParticipantConnected, handleParticipantConnected);
       livekitRoom.off(RoomEvent.ParticipantDisconnected, handleParticipantDisconnected);
     };
-  }, [livekitRoom, updateStatus, addAgentMessageToChat, addUserMessageToChat, handleStartConversation, conversationStarted, isAgentIdentity, heygenSessionId]);
+  }, [livekitRoom, updateStatus, addAgentMessageToChat, addUserMessageToChat, handleStartConversation, conversationStarted, isAgentIdentity, avatarSessionId, recordSegment]);
+
+  /**
+   * Track LiveKit reconnection - LiveKitService rejoins the same Room instance,
+   * so handlers registered above and the chat history survive the drop
+   */
+  useEffect(() => {
+    if (!livekitRoom) return;
+
+    const handleReconnecting = () => {
+      setLivekitReconnecting(true);
+      updateStatus('⚠️ LiveKit connection lost - reconnecting...');
+    };
+    const handleReconnected = () => {
+      setLivekitReconnecting(false);
+      updateStatus('LiveKit reconnected ✓');
+    };
+    const handleDisconnected = (reason) => {
+      if (reason !== DisconnectReason.CLIENT_INITIATED) {
+        handleReconnecting();
+      }
+    };
+
+    livekitRoom.on(RoomEvent.Reconnecting, handleReconnecting);
+    livekitRoom.on(RoomEvent.Reconnected, handleReconnected);
+    livekitRoom.on(RoomEvent.Connected, handleReconnected);
+    livekitRoom.on(RoomEvent.Disconnected, handleDisconnected);
+
+    return () => {
+      livekitRoom.off(RoomEvent.Reconnecting, handleReconnecting);
+      livekitRoom.off(RoomEvent.Reconnected, handleReconnected);
+      livekitRoom.off(RoomEvent.Connected, handleReconnected);
+      livekitRoom.off(RoomEvent.Disconnected, handleDisconnected);
+    };
+  }, [livekitRoom, updateStatus]);
 
   // Auto-scroll chat to bottom when new messages arrive
   useEffect(() => {
@@ -892,611 +1204,23 @@ export function InterviewView({
     
     return (
     <RoomContext.Provider value={livekitRoom}>
-      <TranscriptionListener addAgentMessageToChat={addAgentMessageToChat} />
+      <TranscriptionListener addAgentMessageToChat={addAgentMessageToChat} onAgentSegment={recordSegment} />
     </RoomContext.Provider>
     );
   };
 
-  /**
-   * Interview Score Modal Component
-   * Displays detailed scoring results in a comprehensive modal
-   */
-  const ScoreModal = () => {
-    if (!showScoreModal || !interviewScore) return null;
-    
-    const { 
-      raw_scores, 
-      weighted_points, 
-      pre_deduction_total, 
-      deductions,
-      final_score,
-      tier,
-      strengths,
-      coaching_items,
-      detailed_feedback
-    } = interviewScore;
-    
-    // Calculate color based on score tier
-    const getTierColor = () => {
-      if (tier === "Excellent") return '#4ade80'; // Green
-      if (tier === "Strong") return '#60a5fa'; // Blue
-      if (tier === "Developing") return '#fbbf24'; // Yellow
-      return '#f87171'; // Red
-    };
-    
-    const tierColor = getTierColor();
-    
-    // Category labels and weights
-    const categories = [
-      { 
-        key: 'opening_rapport', 
-        label: 'Opening & Rapport', 
-        weight: '10%',
-        max: 10,
-        color: '#3b82f6'
-      },
-      { 
-        key: 'discovery_qualification', 
-        label: 'Discovery & Qualification', 
-        weight: '20%',
-        max: 20,
-        color: '#8b5cf6'
-      },
-      { 
-        key: 'value_messaging', 
-        label: 'Value Messaging & Positioning', 
-        weight: '20%',
-        max: 20,
-        color: '#ec4899'
-      },
-      { 
-        key: 'objection_handling', 
-        label: 'Objection Handling', 
-        weight: '20%',
-        max: 20,
-        color: '#f59e0b'
-      },
-      { 
-        key: 'trial_advancement', 
-        label: 'Trial Advancement & Closing', 
-        weight: '15%',
-        max: 15,
-        color: '#10b981'
-      },
-      { 
-        key: 'listening_adaptability', 
-        label: 'Listening, Adaptability & Flow', 
-        weight: '10%',
-        max: 10,
-        color: '#06b6d4'
-      },
-      { 
-        key: 'professionalism', 
-        label: 'Professionalism & Brand', 
-        weight: '5%',
-        max: 5,
-        color: '#6366f1'
-      }
-    ];
-    
-    return (
-      <div
-        style={{
-          position: 'fixed',
-          top: 0,
-          left: 0,
-          right: 0,
-          bottom: 0,
-          backgroundColor: 'rgba(0, 0, 0, 0.85)',
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'center',
-          zIndex: 20000,
-          padding: '20px',
-          overflow: 'auto'
-        }}
-        onClick={handleCloseScoreModal}
-      >
-        <div
-          style={{
-            backgroundColor: '#1e293b',
-            borderRadius: '20px',
-            padding: '40px',
-            maxWidth: '900px',
-            width: '100%',
-            maxHeight: '95vh',
-            overflow: 'auto',
-            boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.75)',
-            border: `3px solid ${tierColor}`
-          }}
-          onClick={(e) => e.stopPropagation()}
-        >
-          {/* Header */}
-          <div style={{ 
-            display: 'flex', 
-            justifyContent: 'space-between', 
-            alignItems: 'center', 
-            marginBottom: '32px',
-            borderBottom: '2px solid #334155',
-            paddingBottom: '20px'
-          }}>
-            <div>
-              <h2 style={{ 
-                margin: 0, 
-                color: '#f1f5f9', 
-                fontSize: '28px', 
-                fontWeight: '700',
-                marginBottom: '8px'
-              }}>
-                📊 Interview Performance Score
-              </h2>
-              <p style={{ 
-                margin: 0, 
-                color: '#94a3b8', 
-                fontSize: '14px' 
-              }}>
-                Sales Performance Evaluation
-              </p>
-            </div>
-            <button
-              onClick={handleCloseScoreModal}
-              style={{
-                background: 'transparent',
-                border: 'none',
-                color: '#94a3b8',
-                fontSize: '32px',
-                cursor: 'pointer',
-                padding: '8px 16px',
-                borderRadius: '8px',
-                lineHeight: '1',
-                transition: 'all 0.2s'
-              }}
-              onMouseOver={(e) => {
-                e.target.style.backgroundColor = '#334155';
-                e.target.style.color = '#f1f5f9';
-              }}
-              onMouseOut={(e) => {
-                e.target.style.backgroundColor = 'transparent';
-                e.target.style.color = '#94a3b8';
-              }}
-              title="Close"
-            >
-              ×
-            </button>
-          </div>
-          
-          {/* Overall Score Card */}
-          <div style={{
-            textAlign: 'center',
-            marginBottom: '40px',
-            padding: '32px',
-            backgroundColor: '#0f172a',
-            borderRadius: '16px',
-            border: `4px solid ${tierColor}`
-          }}>
-            <div style={{ 
-              fontSize: '16px', 
-              color: '#94a3b8', 
-              marginBottom: '12px',
-              textTransform: 'uppercase',
-              letterSpacing: '1px'
-            }}>
-              Final Score
-            </div>
-            <div style={{
-              fontSize: '96px',
-              fontWeight: '800',
-              color: tierColor,
-              lineHeight: '1',
-              marginBottom: '8px'
-            }}>
-              {Math.round(final_score)}
-            </div>
-            <div style={{ 
-              fontSize: '36px', 
-              color: '#64748b',
-              marginBottom: '16px'
-            }}>
-              / 100
-            </div>
-            <div style={{
-              fontSize: '24px',
-              fontWeight: '600',
-              color: tierColor,
-              padding: '12px 24px',
-              backgroundColor: `${tierColor}20`,
-              borderRadius: '8px',
-              display: 'inline-block'
-            }}>
-              {tier}
-            </div>
-            {tier === "Excellent" && (
-              <div style={{ color: '#4ade80', marginTop: '12px', fontSize: '14px' }}>
-                ✅ Ready for live selling
-              </div>
-            )}
-            {tier === "Strong" && (
-              <div style={{ color: '#60a5fa', marginTop: '12px', fontSize: '14px' }}>
-                💪 Continue refinement
-              </div>
-            )}
-            {tier === "Developing" && (
-              <div style={{ color: '#fbbf24', marginTop: '12px', fontSize: '14px' }}>
-                📈 Coaching recommended
-              </div>
-            )}
-            {tier === "Not ready" && (
-              <div style={{ color: '#f87171', marginTop: '12px', fontSize: '14px' }}>
-                ⚠️ Repeat simulator sessions
-              </div>
-            )}
-          </div>
-          
-          {/* Score Breakdown */}
-          <div style={{ marginBottom: '32px' }}>
-            <h3 style={{ 
-              color: '#f1f5f9', 
-              marginBottom: '24px', 
-              fontSize: '20px',
-              fontWeight: '600',
-              borderBottom: '2px solid #334155',
-              paddingBottom: '12px'
-            }}>
-              📋 Detailed Score Breakdown
-            </h3>
-            
-            {categories.map((category) => {
-              const rawScore = raw_scores[category.key];
-              const weightedPoint = weighted_points[category.key];
-              const percentage = (weightedPoint / category.max * 100).toFixed(1);
-              
-              return (
-                <div 
-                  key={category.key} 
-                  style={{ 
-                    marginBottom: '24px',
-                    padding: '20px',
-                    backgroundColor: '#0f172a',
-                    borderRadius: '12px',
-                    border: '1px solid #334155'
-                  }}
-                >
-                  <div style={{ 
-                    display: 'flex', 
-                    justifyContent: 'space-between', 
-                    alignItems: 'center',
-                    marginBottom: '12px'
-                  }}>
-                    <div style={{ flex: 1 }}>
-                      <div style={{ 
-                        display: 'flex',
-                        alignItems: 'center',
-                        gap: '12px',
-                        marginBottom: '4px'
-                      }}>
-                        <span style={{ 
-                          color: '#f1f5f9', 
-                          fontSize: '16px', 
-                          fontWeight: '600'
-                        }}>
-                          {category.label}
-                        </span>
-                        <span style={{ 
-                          color: '#64748b', 
-                          fontSize: '12px',
-                          backgroundColor: '#1e293b',
-                          padding: '2px 8px',
-                          borderRadius: '4px'
-                        }}>
-                          {category.weight}
-                        </span>
-                      </div>
-                      <div style={{
-                        display: 'flex',
-                        gap: '16px',
-                        alignItems: 'center',
-                        marginTop: '8px'
-                      }}>
-                        <div>
-                          <span style={{ color: '#94a3b8', fontSize: '12px' }}>Raw Score: </span>
-                          <span style={{ 
-                            color: category.color, 
-                            fontWeight: '700',
-                            fontSize: '18px'
-                          }}>
-                            {rawScore}/5
-                          </span>
-                        </div>
-                        <div>
-                          <span style={{ color: '#94a3b8', fontSize: '12px' }}>Weighted: </span>
-                          <span style={{ 
-                            color: '#f1f5f9', 
-                            fontWeight: '700',
-                            fontSize: '18px'
-                          }}>
-                            {weightedPoint}/{category.max} points
-                          </span>
-                        </div>
-                        <div>
-                          <span style={{ color: '#94a3b8', fontSize: '12px' }}>Percentage: </span>
-                          <span style={{ 
-                            color: '#cbd5e1', 
-                            fontWeight: '600'
-                          }}>
-                            {percentage}%
-                          </span>
-                        </div>
-                      </div>
-                    </div>
-                  </div>
-                  
-                  {/* Progress Bar */}
-                  <div style={{
-                    height: '12px',
-                    backgroundColor: '#334155',
-                    borderRadius: '6px',
-                    overflow: 'hidden',
-                    marginTop: '12px'
-                  }}>
-                    <div style={{
-                      height: '100%',
-                      width: `${percentage}%`,
-                      backgroundColor: category.color,
-                      transition: 'width 0.5s ease',
-                      borderRadius: '6px'
-                    }} />
-                  </div>
-                </div>
-              );
-            })}
-          </div>
-          
-          {/* Pre-Deduction Total */}
-          <div style={{
-            marginBottom: '24px',
-            padding: '16px 20px',
-            backgroundColor: '#0f172a',
-            borderRadius: '12px',
-            border: '1px solid #334155',
-            display: 'flex',
-            justifyContent: 'space-between',
-            alignItems: 'center'
-          }}>
-            <span style={{ color: '#cbd5e1', fontSize: '16px', fontWeight: '600' }}>
-              Pre-Deduction Total:
-            </span>
-            <span style={{ 
-              color: '#f1f5f9', 
-              fontSize: '20px', 
-              fontWeight: '700'
-            }}>
-              {pre_deduction_total.toFixed(1)} / 100
-            </span>
-          </div>
-          
-          {/* Deductions */}
-          {deductions && deductions.length > 0 && (
-            <div style={{ marginBottom: '32px' }}>
-              <h3 style={{ 
-                color: '#f87171', 
-                marginBottom: '16px', 
-                fontSize: '20px',
-                fontWeight: '600',
-                borderBottom: '2px solid #334155',
-                paddingBottom: '12px'
-              }}>
-                ⚠️ Deductions Applied
-              </h3>
-              {deductions.map((deduction, idx) => (
-                <div 
-                  key={idx}
-                  style={{
-                    padding: '16px',
-                    backgroundColor: '#7f1d1d20',
-                    borderRadius: '8px',
-                    marginBottom: '12px',
-                    borderLeft: '4px solid #f87171',
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center'
-                  }}
-                >
-                  <span style={{ color: '#fca5a5', fontSize: '14px', flex: 1 }}>
-                    {deduction.reason}
-                  </span>
-                  <span style={{ 
-                    color: '#f87171', 
-                    fontSize: '18px', 
-                    fontWeight: '700',
-                    marginLeft: '16px'
-                  }}>
-                    {deduction.points} points
-                  </span>
-                </div>
-              ))}
-            </div>
-          )}
-          
-          {/* Detailed Feedback */}
-          {detailed_feedback && (
-            <div style={{ marginBottom: '32px' }}>
-              <h3 style={{ 
-                color: '#f1f5f9', 
-                marginBottom: '16px', 
-                fontSize: '20px',
-                fontWeight: '600',
-                borderBottom: '2px solid #334155',
-                paddingBottom: '12px'
-              }}>
-                💬 Detailed Feedback
-              </h3>
-              <div style={{
-                padding: '20px',
-                backgroundColor: '#0f172a',
-                borderRadius: '12px',
-                border: '1px solid #334155'
-              }}>
-                <p style={{ 
-                  color: '#cbd5e1', 
-                  lineHeight: '1.8', 
-                  fontSize: '15px',
-                  margin: 0
-                }}>
-                  {detailed_feedback}
-                </p>
-              </div>
-            </div>
-          )}
-          
-          {/* Strengths */}
-          {strengths && strengths.length > 0 && (
-            <div style={{ marginBottom: '32px' }}>
-              <h3 style={{ 
-                color: '#4ade80', 
-                marginBottom: '16px', 
-                fontSize: '20px',
-                fontWeight: '600',
-                borderBottom: '2px solid #334155',
-                paddingBottom: '12px',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '8px'
-              }}>
-                <span>✅</span>
-                <span>Strengths</span>
-              </h3>
-              <div style={{
-                padding: '20px',
-                backgroundColor: '#064e3b20',
-                borderRadius: '12px',
-                border: '1px solid #4ade80'
-              }}>
-                <ul style={{ 
-                  margin: 0, 
-                  paddingLeft: '24px', 
-                  color: '#cbd5e1',
-                  listStyle: 'none'
-                }}>
-                  {strengths.map((strength, idx) => (
-                    <li 
-                      key={idx} 
-                      style={{ 
-                        marginBottom: '12px',
-                        fontSize: '15px',
-                        lineHeight: '1.6',
-                        paddingLeft: '8px',
-                        position: 'relative'
-                      }}
-                    >
-                      <span style={{
-                        position: 'absolute',
-                        left: '-20px',
-                        color: '#4ade80',
-                        fontWeight: '700'
-                      }}>✓</span>
-                      {strength}
-                    </li>
-                  ))}
-                </ul>
-              </div>
-            </div>
-          )}
-          
-          {/* Coaching Items */}
-          {coaching_items && coaching_items.length > 0 && (
-            <div style={{ marginBottom: '32px' }}>
-              <h3 style={{ 
-                color: '#fbbf24', 
-                marginBottom: '16px', 
-                fontSize: '20px',
-                fontWeight: '600',
-                borderBottom: '2px solid #334155',
-                paddingBottom: '12px',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '8px'
-              }}>
-                <span>📈</span>
-                <span>Areas for Improvement</span>
-              </h3>
-              <div style={{
-                padding: '20px',
-                backgroundColor: '#78350f20',
-                borderRadius: '12px',
-                border: '1px solid #fbbf24'
-              }}>
-                <ul style={{ 
-                  margin: 0, 
-                  paddingLeft: '24px', 
-                  color: '#cbd5e1',
-                  listStyle: 'none'
-                }}>
-                  {coaching_items.map((item, idx) => (
-                    <li 
-                      key={idx} 
-                      style={{ 
-                        marginBottom: '12px',
-                        fontSize: '15px',
-                        lineHeight: '1.6',
-                        paddingLeft: '8px',
-                        position: 'relative'
-                      }}
-                    >
-                      <span style={{
-                        position: 'absolute',
-                        left: '-20px',
-                        color: '#fbbf24',
-                        fontWeight: '700'
-                      }}>→</span>
-                      {item}
-                    </li>
-                  ))}
-                </ul>
-              </div>
-            </div>
-          )}
-          
-          {/* Close Button */}
-          <div style={{ 
-            display: 'flex', 
-            gap: '12px',
-            marginTop: '32px',
-            paddingTop: '24px',
-            borderTop: '2px solid #334155'
-          }}>
-            <button
-              onClick={handleCloseScoreModal}
-              style={{
-                flex: 1,
-                padding: '16px 32px',
-                backgroundColor: '#3b82f6',
-                color: 'white',
-                border: 'none',
-                borderRadius: '12px',
-                fontSize: '16px',
-                fontWeight: '600',
-                cursor: 'pointer',
-                transition: 'all 0.2s'
-              }}
-              onMouseOver={(e) => {
-                e.target.style.backgroundColor = '#2563eb';
-              }}
-              onMouseOut={(e) => {
-                e.target.style.backgroundColor = '#3b82f6';
-              }}
-            >
-              Close & Exit Interview
-            </button>
-          </div>
-        </div>
-      </div>
-    );
-  };
-
   return (
     <div className="interview-container">
       <TranscriptionHandler />
-      <ScoreModal />
+      {showScoreModal && (
+        <ScoreModal
+          score={interviewScore}
+          speechAnalysis={speechAnalysis}
+          saveError={saveError}
+          onDownloadTranscript={unsavedConversation ? () => downloadTranscript(unsavedConversation) : null}
+          onClose={handleCloseScoreModal}
+        />
+      )}
 
       {/* Complete Message Modal - Separate window in interview screen */}
       {showCompleteMessageModal && (
@@ -1596,6 +1320,43 @@ export function InterviewView({
             </div>
           </div>
 
+          <CoachingHints hints={coachingHints} onDismiss={dismissHint} onDismissAll={dismissAllHints} />
+
+          {recordingStartedAt && (
+            <div className="recording-indicator" title="This interview is being recorded - it is uploaded with the conversation">
+              ● REC {Math.floor(recordingElapsedMs / 60000)}:{String(Math.floor(recordingElapsedMs / 1000) % 60).padStart(2, '0')}
+            </div>
+          )}
+
+          <button
+            className={`stats-toggle ${showStats ? 'active' : ''}`}
+            onClick={() => setShowStats(prev => !prev)}
+            title={showStats ? 'Hide connection stats' : 'Show connection stats'}
+          >
+            📶
+          </button>
+          {showStats && (
+            <StatsOverlay
+              stats={connectionStats}
+              quality={avatarQuality}
+              onClose={() => setShowStats(false)}
+            />
+          )}
+
+          {avatarConnectionState === 'reconnecting' && (
+            <div className="avatar-reconnecting-overlay">
+              <div className="spinner"></div>
+              <p>{isSwitchingQuality ? 'Adjusting avatar video quality...' : 'Reconnecting avatar video...'}</p>
+              <p className="status-hint">Your conversation and chat are still active</p>
+            </div>
+          )}
+          {avatarConnectionState === 'failed' && (
+            <div className="avatar-reconnecting-overlay avatar-reconnect-failed">
+              <p>⚠️ Avatar video could not be restored</p>
+              <p className="status-hint">You can keep talking to the agent or end the interview</p>
+            </div>
+          )}
+
         </div>
 
       {/* Control Panel - Bottom */}
@@ -1621,6 +1382,34 @@ export function InterviewView({
                 <p>🎤 LiveKit agent is listening - speak naturally!</p>
                 <p className="status-hint">Your voice is automatically sent to the agent</p>
               </div>
+            {isRecordingSupported() && (
+              <button
+                className={`btn-record ${recordingStartedAt ? 'recording' : ''}`}
+                onClick={recordingStartedAt ? stopRecording : startRecording}
+                title={recordingStartedAt ? 'Stop recording' : 'Record this interview - your manager can replay it with the conversation'}
+              >
+                {recordingStartedAt ? '⏹ Stop Recording' : '⏺ Record'}
+              </button>
+            )}
+            <button
+              className={`btn-coach ${coachMode && !coachModeBlocked ? 'active' : ''}`}
+              onClick={() => setCoachMode(prev => !prev)}
+              disabled={!!coachModeBlocked}
+              title={coachModeBlocked
+                ? 'Coach mode is off - this persona is part of a graded assignment, or assignments could not be checked'
+                : 'Show hints when the customer raises an objection'}
+            >
+              💡 Coach {coachMode && !coachModeBlocked ? 'On' : 'Off'}
+            </button>
+            {savedRecording && !recordingStartedAt && (
+              <button
+                className="btn-record"
+                onClick={() => downloadRecording(savedRecording)}
+                title="Download the last recording"
+              >
+                ⬇ Recording
+              </button>
+            )}
             <button 
               className="btn-close"
               onClick={handleExit}
@@ -1652,7 +1441,9 @@ export function InterviewView({
         <div className="chat-header">
           <h3>💬 Chat</h3>
           <span className="chat-status">
-            {livekitConnected ? (
+            {livekitReconnecting ? (
+              '🟡 Reconnecting...'
+            ) : livekitConnected ? (
               <>
                 🟢 Connected
                 {livekitRoom?.remoteParticipants.size > 0 && (
@@ -1666,6 +1457,7 @@ export function InterviewView({
             )}
           </span>
         </div>
+        <ConversationMetricsPanel metrics={conversationMetrics} speech={speechAnalysis} />
         <div className="chat-messages" id="chat-messages">
           {(() => {
             if (chatMessages.length === 0) {
@@ -1700,16 +1492,16 @@ export function InterviewView({
             value={chatInput}
             onChange={(e) => setChatInput(e.target.value)}
             onKeyDown={(e) => {
-              if (e.key === 'Enter' && chatInput.trim() && livekitConnected) {
+              if (e.key === 'Enter' && chatInput.trim() && livekitConnected && !livekitReconnecting) {
                 handleSendMessage(chatInput);
               }
             }}
-            disabled={!livekitConnected}
+            disabled={!livekitConnected || livekitReconnecting}
           />
           <button
             className="chat-send-button"
             onClick={() => handleSendMessage(chatInput)}
-            disabled={!chatInput.trim() || !livekitConnected}
+            disabled={!chatInput.trim() || !livekitConnected || livekitReconnecting}
             title={!livekitConnected ? "Waiting for LiveKit connection..." : "Send message"}
           >
             Send
@@ -1,10 +1,19 @@
 /**
  * Loading Screen Component
- * Displays while HeyGen session is being created
+ * Displays interview setup progress step by step (and why it failed, if it did)
  */
 import '../../styles/loadingScreen.css';
 
-export function LoadingScreen({ avatar, status, onCancel }) {
+const STEP_ICONS = {
+  done: '✓',
+  active: '',
+  pending: '',
+  failed: '✕',
+};
+
+export function LoadingScreen({ avatar, steps = [], error = null, onCancel }) {
+  const activeStep = steps.find(step => step.status === 'active');
+
   return (
     <div className="loading-screen">
       <div className="loading-content">
@@ -15,19 +24,35 @@ export function LoadingScreen({ avatar, status, onCancel }) {
           <span className="loading-avatar-initials">{avatar.initials}</span>
         </div>
         
-        <h2 className="loading-title">Preparing Interview with {avatar.name}</h2>
+        <h2 className="loading-title">
+          {error ? `Couldn't start interview with ${avatar.name}` : `Preparing Interview with ${avatar.name}`}
+        </h2>
         
-        <div className="loading-spinner">
-          <div className="spinner-ring"></div>
-        </div>
+        {!error && (
+          <div className="loading-spinner">
+            <div className="spinner-ring"></div>
+          </div>
+        )}
+
+        <ol className="loading-steps">
+          {steps.map(step => (
+            <li key={step.state} className={`loading-step loading-step-${step.status}`}>
+              <span className="loading-step-icon">
+                {step.status === 'active' ? <span className="loading-step-pulse" /> : STEP_ICONS[step.status]}
+              </span>
+              <span className="loading-step-label">{step.label}</span>
+            </li>
+          ))}
+        </ol>
         
-        <p className="loading-status">{status}</p>
+        <p className={`loading-status ${error ? 'loading-status-error' : ''}`}>
+          {error || (activeStep ? `${activeStep.label}...` : 'Initializing...')}
+        </p>
         
         <button className="btn-cancel" onClick={onCancel}>
-          Cancel
+          {error ? 'Back to Dashboard' : 'Cancel'}
         </button>
       </div>
     </div>
   );
 }
-
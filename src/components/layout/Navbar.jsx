@@ -5,6 +5,8 @@
 import { useNavigate } from 'react-router-dom';
 import { useEffect, useRef, useState } from 'react';
 import { authService } from '../../services/AuthService';
+import { usePendingSync } from '../../hooks/usePendingSync';
+import { useUnreadFeedback } from '../../hooks/useUnreadFeedback';
 import '../../styles/navbar.css';
 
 export function Navbar({ isAuthenticated, onLogout }) {
@@ -12,6 +14,21 @@ export function Navbar({ isAuthenticated, onLogout }) {
   const user = isAuthenticated ? authService.getUser() : null;
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const dropdownRef = useRef(null);
+  const {
+    pendingCount,
+    rejectedCount,
+    isSyncing,
+    retry: retrySync,
+    retryRejected,
+    discardRejected,
+  } = usePendingSync();
+
+  const handleDiscardRejected = () => {
+    if (confirm(`Delete ${rejectedCount} interview${rejectedCount !== 1 ? 's' : ''} the server could not save? This cannot be undone.`)) {
+      discardRejected();
+    }
+  };
+  const { count: unreadFeedback } = useUnreadFeedback(isAuthenticated);
 
   // Debug: Log user role for admin button visibility
   useEffect(() => {
@@ -64,12 +81,23 @@ export function Navbar({ isAuthenticated, onLogout }) {
                 >
                   Dashboard
                 </button>
-                {user?.role === 'admin' && (
+                <button 
+                  className="navbar-button navbar-button-history"
+                  onClick={() => navigate('/history')}
+                >
+                  History
+                  {unreadFeedback > 0 && (
+                    <span className="navbar-badge" title={`New coaching feedback on ${unreadFeedback} interview${unreadFeedback !== 1 ? 's' : ''}`}>
+                      {unreadFeedback}
+                    </span>
+                  )}
+                </button>
+                {authService.hasRole('admin', 'manager') && (
                   <button 
                     className="navbar-button navbar-button-admin"
                     onClick={() => navigate('/admin')}
                   >
-                    Admin Panel
+                    {authService.hasRole('admin') ? 'Admin Panel' : 'My Teams'}
                   </button>
                 )}
               </>
@@ -77,6 +105,36 @@ export function Navbar({ isAuthenticated, onLogout }) {
           </div>
 
           <div className="navbar-menu">
+            {isAuthenticated && pendingCount > 0 && (
+              <button
+                className="navbar-sync-indicator"
+                onClick={retrySync}
+                disabled={isSyncing}
+                title="Interviews saved on this device are waiting to upload. Click to retry now."
+              >
+                {isSyncing ? '⏳ Syncing...' : `⚠️ ${pendingCount} unsynced interview${pendingCount !== 1 ? 's' : ''}`}
+              </button>
+            )}
+            {isAuthenticated && rejectedCount > 0 && (
+              <div className="navbar-sync-rejected">
+                <button
+                  className="navbar-sync-indicator rejected"
+                  onClick={retryRejected}
+                  disabled={isSyncing}
+                  title="The server refused to save these interviews. They are kept on this device - click to try again."
+                >
+                  ❌ {rejectedCount} interview{rejectedCount !== 1 ? 's' : ''} not saved
+                </button>
+                <button
+                  className="navbar-sync-discard"
+                  onClick={handleDiscardRejected}
+                  disabled={isSyncing}
+                  title="Discard these interviews"
+                >
+                  ×
+                </button>
+              </div>
+            )}
             {isAuthenticated ? (
               <div className="navbar-user" ref={dropdownRef}>
                 <button
@@ -0,0 +1,225 @@
+/**
+ * Progress Panel Component
+ * Charts score trends per rubric category across the user's saved conversations
+ */
+import { useState, useEffect, useMemo } from 'react';
+import { conversationService } from '../../services/ConversationService';
+import { SCORE_CATEGORIES, getTierColor } from '../../data/scoringCategories';
+import {
+  buildProgressSeries,
+  averageByCategory,
+  findWeakestCategory,
+  summarizeByPersona,
+} from '../../utils/scoreAnalytics';
+import '../../styles/progressPanel.css';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = 32;
+
+// Simple SVG line chart - one polyline per visible series
+function TrendChart({ series, lines }) {
+  if (series.length === 0) return null;
+
+  const stepX = series.length > 1
+    ? (CHART_WIDTH - CHART_PADDING * 2) / (series.length - 1)
+    : 0;
+  const toX = (idx) => CHART_PADDING + idx * stepX;
+  const toY = (value) => CHART_HEIGHT - CHART_PADDING - (value / 100) * (CHART_HEIGHT - CHART_PADDING * 2);
+
+  return (
+    <svg
+      className="progress-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      preserveAspectRatio="none"
+    >
+      {[0, 25, 50, 75, 100].map(tick => (
+        <g key={tick}>
+          <line
+            x1={CHART_PADDING}
+            x2={CHART_WIDTH - CHART_PADDING}
+            y1={toY(tick)}
+            y2={toY(tick)}
+            className="progress-chart-grid"
+          />
+          <text x={4} y={toY(tick) + 4} className="progress-chart-label">{tick}</text>
+        </g>
+      ))}
+      {lines.map(line => {
+        const points = series
+          .map((point, idx) => {
+            const value = line.getValue(point);
+            return value === null || value === undefined ? null : `${toX(idx)},${toY(value)}`;
+          })
+          .filter(Boolean);
+        return (
+          <g key={line.key}>
+            <polyline
+              points={points.join(' ')}
+              fill="none"
+              stroke={line.color}
+              strokeWidth={line.strokeWidth || 2}
+            />
+            {points.map(p => {
+              const [cx, cy] = p.split(',');
+              return <circle key={p} cx={cx} cy={cy} r={3} fill={line.color} />;
+            })}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export function ProgressPanel() {
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [visibleCategories, setVisibleCategories] = useState([]);
+
+  useEffect(() => {
+    const loadProgress = async () => {
+      try {
+        const data = await conversationService.listScoredConversations();
+        setConversations(data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadProgress();
+  }, []);
+
+  const series = useMemo(() => buildProgressSeries(conversations), [conversations]);
+  const categoryAverages = useMemo(() => averageByCategory(series), [series]);
+  const weakestCategory = useMemo(() => findWeakestCategory(series), [series]);
+  const personaSummaries = useMemo(() => summarizeByPersona(series), [series]);
+
+  const toggleCategory = (key) => {
+    setVisibleCategories(prev =>
+      prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]
+    );
+  };
+
+  if (loading || error || series.length === 0) {
+    // Nothing to chart yet - keep the dashboard focused on the avatar grid
+    return null;
+  }
+
+  const latest = series[series.length - 1];
+  const lines = [
+    {
+      key: 'final_score',
+      color: '#1e293b',
+      strokeWidth: 3,
+      getValue: point => point.finalScore,
+    },
+    ...SCORE_CATEGORIES
+      .filter(category => visibleCategories.includes(category.key))
+      .map(category => ({
+        key: category.key,
+        color: category.color,
+        getValue: point => point.categories[category.key],
+      })),
+  ];
+
+  return (
+    <div className="progress-panel">
+      <button
+        className="progress-panel-toggle"
+        onClick={() => setIsOpen(prev => !prev)}
+        aria-expanded={isOpen}
+      >
+        <span>📈 My Progress</span>
+        <span className="progress-panel-summary">
+          {series.length} session{series.length !== 1 ? 's' : ''} · latest {Math.round(latest.finalScore)}/100
+          {weakestCategory && ` · practice ${weakestCategory.label}`}
+        </span>
+        <span>{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="progress-panel-body">
+          {weakestCategory && (
+            <div className="progress-callout" style={{ borderLeftColor: weakestCategory.color }}>
+              <strong>Focus next:</strong> {weakestCategory.label} — averaging{' '}
+              {Math.round(weakestCategory.average)}% over your recent sessions.
+            </div>
+          )}
+
+          <div className="progress-section">
+            <h3>Score Trend</h3>
+            <TrendChart series={series} lines={lines} />
+            <div className="progress-legend">
+              <span className="progress-legend-item active">
+                <span className="progress-legend-swatch" style={{ backgroundColor: '#1e293b' }} />
+                Final Score
+              </span>
+              {categoryAverages.map(category => (
+                <button
+                  key={category.key}
+                  className={`progress-legend-item ${visibleCategories.includes(category.key) ? 'active' : ''}`}
+                  onClick={() => toggleCategory(category.key)}
+                  title={category.average !== null ? `Average ${Math.round(category.average)}%` : 'No data'}
+                >
+                  <span className="progress-legend-swatch" style={{ backgroundColor: category.color }} />
+                  {category.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="progress-section">
+            <h3>Category Averages</h3>
+            {categoryAverages.map(category => (
+              <div key={category.key} className="progress-bar-row">
+                <span className="progress-bar-label">{category.label}</span>
+                <div className="progress-bar-track">
+                  <div
+                    className="progress-bar-fill"
+                    style={{ width: `${category.average ?? 0}%`, backgroundColor: category.color }}
+                  />
+                </div>
+                <span className="progress-bar-value">
+                  {category.average !== null ? `${Math.round(category.average)}%` : '-'}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          <div className="progress-section">
+            <h3>By Persona</h3>
+            <table className="progress-persona-table">
+              <thead>
+                <tr>
+                  <th>Persona</th>
+                  <th>Attempts</th>
+                  <th>Average</th>
+                  <th>Best</th>
+                  <th>Latest</th>
+                  <th>Weakest Category</th>
+                </tr>
+              </thead>
+              <tbody>
+                {personaSummaries.map(summary => (
+                  <tr key={summary.agentId}>
+                    <td>{summary.avatar?.name || `Agent ${summary.agentId}`}</td>
+                    <td>{summary.attempts}</td>
+                    <td>{Math.round(summary.averageScore)}</td>
+                    <td>{Math.round(summary.bestScore)}</td>
+                    <td style={{ color: getTierColor(summary.latestTier) }}>
+                      {Math.round(summary.latestScore)} ({summary.latestTier})
+                    </td>
+                    <td>{summary.weakestCategory?.label || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+/**
+ * Resume Interview Prompt
+ * Offers to continue an interview that was interrupted by a page reload
+ */
+import { useState } from 'react';
+import '../../styles/resumePrompt.css';
+
+export function ResumeInterviewPrompt({ interrupted, backendReady, onResume, onDiscard }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const { avatar, draft, canResume } = interrupted;
+  const messageCount = draft.messages.length;
+
+  const handleDiscard = async (keepTranscript) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onDiscard(keepTranscript);
+    } catch (err) {
+      console.error('Could not close the interrupted interview:', err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="resume-prompt-overlay">
+      <div className="resume-prompt">
+        <h2>Interview interrupted</h2>
+        <p>
+          Your interview with <strong>{avatar.name}</strong> stopped when the page was reloaded
+          ({messageCount} message{messageCount !== 1 ? 's' : ''} so far).
+        </p>
+        {!canResume && (
+          <p className="resume-prompt-note">
+            The interview room has closed, so it can&apos;t be resumed. You can still have the transcript scored.
+          </p>
+        )}
+        {error && <p className="resume-prompt-error">{error}</p>}
+        <div className="resume-prompt-actions">
+          {canResume && (
+            <button
+              className="resume-prompt-primary"
+              onClick={onResume}
+              disabled={busy || !backendReady}
+              title={backendReady ? undefined : 'Waiting for the backend to connect'}
+            >
+              {backendReady ? 'Resume Interview' : 'Connecting...'}
+            </button>
+          )}
+          <button className="resume-prompt-secondary" onClick={() => handleDiscard(true)} disabled={busy}>
+            End & Score Transcript
+          </button>
+          <button className="resume-prompt-link" onClick={() => handleDiscard(false)} disabled={busy}>
+            Discard
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
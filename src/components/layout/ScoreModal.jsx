@@ -0,0 +1,670 @@
+/**
+ * Score Modal Component
+ * Displays detailed scoring results in a comprehensive modal
+ */
+import { SCORE_CATEGORIES, getTierColor } from '../../data/scoringCategories';
+
+export function ScoreModal({
+  score,
+  speechAnalysis = null,
+  saveError = null,
+  onDownloadTranscript = null,
+  onClose,
+  closeLabel = 'Close & Exit Interview'
+}) {
+  if (!score) return null;
+
+  const { 
+    raw_scores = {}, 
+    weighted_points = {}, 
+    pre_deduction_total = 0, 
+    deductions,
+    final_score,
+    tier,
+    strengths,
+    coaching_items,
+    detailed_feedback
+  } = score;
+  
+  const tierColor = getTierColor(tier);
+  
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.85)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 20000,
+        padding: '20px',
+        overflow: 'auto'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: '#1e293b',
+          borderRadius: '20px',
+          padding: '40px',
+          maxWidth: '900px',
+          width: '100%',
+          maxHeight: '95vh',
+          overflow: 'auto',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.75)',
+          border: `3px solid ${tierColor}`
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'center', 
+          marginBottom: '32px',
+          borderBottom: '2px solid #334155',
+          paddingBottom: '20px'
+        }}>
+          <div>
+            <h2 style={{ 
+              margin: 0, 
+              color: '#f1f5f9', 
+              fontSize: '28px', 
+              fontWeight: '700',
+              marginBottom: '8px'
+            }}>
+              📊 Interview Performance Score
+            </h2>
+            <p style={{ 
+              margin: 0, 
+              color: '#94a3b8', 
+              fontSize: '14px' 
+            }}>
+              Sales Performance Evaluation
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: '#94a3b8',
+              fontSize: '32px',
+              cursor: 'pointer',
+              padding: '8px 16px',
+              borderRadius: '8px',
+              lineHeight: '1',
+              transition: 'all 0.2s'
+            }}
+            onMouseOver={(e) => {
+              e.target.style.backgroundColor = '#334155';
+              e.target.style.color = '#f1f5f9';
+            }}
+            onMouseOut={(e) => {
+              e.target.style.backgroundColor = 'transparent';
+              e.target.style.color = '#94a3b8';
+            }}
+            title="Close"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Save Error */}
+        {saveError && (
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '16px',
+            marginBottom: '24px',
+            padding: '16px 20px',
+            backgroundColor: 'rgba(239, 68, 68, 0.12)',
+            border: '1px solid #ef4444',
+            borderRadius: '12px',
+            color: '#fecaca',
+            fontSize: '14px'
+          }}>
+            <span style={{ flex: 1 }}>⚠️ {saveError}</span>
+            {onDownloadTranscript && (
+              <button
+                onClick={onDownloadTranscript}
+                style={{
+                  padding: '8px 16px',
+                  backgroundColor: '#ef4444',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '8px',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  whiteSpace: 'nowrap'
+                }}
+              >
+                Download transcript
+              </button>
+            )}
+          </div>
+        )}
+        
+        {/* Overall Score Card */}
+        <div style={{
+          textAlign: 'center',
+          marginBottom: '40px',
+          padding: '32px',
+          backgroundColor: '#0f172a',
+          borderRadius: '16px',
+          border: `4px solid ${tierColor}`
+        }}>
+          <div style={{ 
+            fontSize: '16px', 
+            color: '#94a3b8', 
+            marginBottom: '12px',
+            textTransform: 'uppercase',
+            letterSpacing: '1px'
+          }}>
+            Final Score
+          </div>
+          <div style={{
+            fontSize: '96px',
+            fontWeight: '800',
+            color: tierColor,
+            lineHeight: '1',
+            marginBottom: '8px'
+          }}>
+            {Math.round(final_score)}
+          </div>
+          <div style={{ 
+            fontSize: '36px', 
+            color: '#64748b',
+            marginBottom: '16px'
+          }}>
+            / 100
+          </div>
+          <div style={{
+            fontSize: '24px',
+            fontWeight: '600',
+            color: tierColor,
+            padding: '12px 24px',
+            backgroundColor: `${tierColor}20`,
+            borderRadius: '8px',
+            display: 'inline-block'
+          }}>
+            {tier}
+          </div>
+          {tier === "Excellent" && (
+            <div style={{ color: '#4ade80', marginTop: '12px', fontSize: '14px' }}>
+              ✅ Ready for live selling
+            </div>
+          )}
+          {tier === "Strong" && (
+            <div style={{ color: '#60a5fa', marginTop: '12px', fontSize: '14px' }}>
+              💪 Continue refinement
+            </div>
+          )}
+          {tier === "Developing" && (
+            <div style={{ color: '#fbbf24', marginTop: '12px', fontSize: '14px' }}>
+              📈 Coaching recommended
+            </div>
+          )}
+          {tier === "Not ready" && (
+            <div style={{ color: '#f87171', marginTop: '12px', fontSize: '14px' }}>
+              ⚠️ Repeat simulator sessions
+            </div>
+          )}
+        </div>
+        
+        {/* Score Breakdown */}
+        <div style={{ marginBottom: '32px' }}>
+          <h3 style={{ 
+            color: '#f1f5f9', 
+            marginBottom: '24px', 
+            fontSize: '20px',
+            fontWeight: '600',
+            borderBottom: '2px solid #334155',
+            paddingBottom: '12px'
+          }}>
+            📋 Detailed Score Breakdown
+          </h3>
+          
+          {SCORE_CATEGORIES.map((category) => {
+            const rawScore = raw_scores[category.key];
+            const weightedPoint = weighted_points[category.key];
+            const percentage = (weightedPoint / category.max * 100).toFixed(1);
+            
+            return (
+              <div 
+                key={category.key} 
+                style={{ 
+                  marginBottom: '24px',
+                  padding: '20px',
+                  backgroundColor: '#0f172a',
+                  borderRadius: '12px',
+                  border: '1px solid #334155'
+                }}
+              >
+                <div style={{ 
+                  display: 'flex', 
+                  justifyContent: 'space-between', 
+                  alignItems: 'center',
+                  marginBottom: '12px'
+                }}>
+                  <div style={{ flex: 1 }}>
+                    <div style={{ 
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '12px',
+                      marginBottom: '4px'
+                    }}>
+                      <span style={{ 
+                        color: '#f1f5f9', 
+                        fontSize: '16px', 
+                        fontWeight: '600'
+                      }}>
+                        {category.label}
+                      </span>
+                      <span style={{ 
+                        color: '#64748b', 
+                        fontSize: '12px',
+                        backgroundColor: '#1e293b',
+                        padding: '2px 8px',
+                        borderRadius: '4px'
+                      }}>
+                        {category.weight}
+                      </span>
+                    </div>
+                    <div style={{
+                      display: 'flex',
+                      gap: '16px',
+                      alignItems: 'center',
+                      marginTop: '8px'
+                    }}>
+                      <div>
+                        <span style={{ color: '#94a3b8', fontSize: '12px' }}>Raw Score: </span>
+                        <span style={{ 
+                          color: category.color, 
+                          fontWeight: '700',
+                          fontSize: '18px'
+                        }}>
+                          {rawScore}/5
+                        </span>
+                      </div>
+                      <div>
+                        <span style={{ color: '#94a3b8', fontSize: '12px' }}>Weighted: </span>
+                        <span style={{ 
+                          color: '#f1f5f9', 
+                          fontWeight: '700',
+                          fontSize: '18px'
+                        }}>
+                          {weightedPoint}/{category.max} points
+                        </span>
+                      </div>
+                      <div>
+                        <span style={{ color: '#94a3b8', fontSize: '12px' }}>Percentage: </span>
+                        <span style={{ 
+                          color: '#cbd5e1', 
+                          fontWeight: '600'
+                        }}>
+                          {percentage}%
+                        </span>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+                
+                {/* Progress Bar */}
+                <div style={{
+                  height: '12px',
+                  backgroundColor: '#334155',
+                  borderRadius: '6px',
+                  overflow: 'hidden',
+                  marginTop: '12px'
+                }}>
+                  <div style={{
+                    height: '100%',
+                    width: `${percentage}%`,
+                    backgroundColor: category.color,
+                    transition: 'width 0.5s ease',
+                    borderRadius: '6px'
+                  }} />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        
+        {/* Pre-Deduction Total */}
+        <div style={{
+          marginBottom: '24px',
+          padding: '16px 20px',
+          backgroundColor: '#0f172a',
+          borderRadius: '12px',
+          border: '1px solid #334155',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}>
+          <span style={{ color: '#cbd5e1', fontSize: '16px', fontWeight: '600' }}>
+            Pre-Deduction Total:
+          </span>
+          <span style={{ 
+            color: '#f1f5f9', 
+            fontSize: '20px', 
+            fontWeight: '700'
+          }}>
+            {pre_deduction_total.toFixed(1)} / 100
+          </span>
+        </div>
+        
+        {/* Deductions */}
+        {deductions && deductions.length > 0 && (
+          <div style={{ marginBottom: '32px' }}>
+            <h3 style={{ 
+              color: '#f87171', 
+              marginBottom: '16px', 
+              fontSize: '20px',
+              fontWeight: '600',
+              borderBottom: '2px solid #334155',
+              paddingBottom: '12px'
+            }}>
+              ⚠️ Deductions Applied
+            </h3>
+            {deductions.map((deduction, idx) => (
+              <div 
+                key={idx}
+                style={{
+                  padding: '16px',
+                  backgroundColor: '#7f1d1d20',
+                  borderRadius: '8px',
+                  marginBottom: '12px',
+                  borderLeft: '4px solid #f87171',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center'
+                }}
+              >
+                <span style={{ color: '#fca5a5', fontSize: '14px', flex: 1 }}>
+                  {deduction.reason}
+                </span>
+                <span style={{ 
+                  color: '#f87171', 
+                  fontSize: '18px', 
+                  fontWeight: '700',
+                  marginLeft: '16px'
+                }}>
+                  {deduction.points} points
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+        
+        {/* Detailed Feedback */}
+        {detailed_feedback && (
+          <div style={{ marginBottom: '32px' }}>
+            <h3 style={{ 
+              color: '#f1f5f9', 
+              marginBottom: '16px', 
+              fontSize: '20px',
+              fontWeight: '600',
+              borderBottom: '2px solid #334155',
+              paddingBottom: '12px'
+            }}>
+              💬 Detailed Feedback
+            </h3>
+            <div style={{
+              padding: '20px',
+              backgroundColor: '#0f172a',
+              borderRadius: '12px',
+              border: '1px solid #334155'
+            }}>
+              <p style={{ 
+                color: '#cbd5e1', 
+                lineHeight: '1.8', 
+                fontSize: '15px',
+                margin: 0
+              }}>
+                {detailed_feedback}
+              </p>
+            </div>
+          </div>
+        )}
+        
+        {/* Strengths */}
+        {strengths && strengths.length > 0 && (
+          <div style={{ marginBottom: '32px' }}>
+            <h3 style={{ 
+              color: '#4ade80', 
+              marginBottom: '16px', 
+              fontSize: '20px',
+              fontWeight: '600',
+              borderBottom: '2px solid #334155',
+              paddingBottom: '12px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px'
+            }}>
+              <span>✅</span>
+              <span>Strengths</span>
+            </h3>
+            <div style={{
+              padding: '20px',
+              backgroundColor: '#064e3b20',
+              borderRadius: '12px',
+              border: '1px solid #4ade80'
+            }}>
+              <ul style={{ 
+                margin: 0, 
+                paddingLeft: '24px', 
+                color: '#cbd5e1',
+                listStyle: 'none'
+              }}>
+                {strengths.map((strength, idx) => (
+                  <li 
+                    key={idx} 
+                    style={{ 
+                      marginBottom: '12px',
+                      fontSize: '15px',
+                      lineHeight: '1.6',
+                      paddingLeft: '8px',
+                      position: 'relative'
+                    }}
+                  >
+                    <span style={{
+                      position: 'absolute',
+                      left: '-20px',
+                      color: '#4ade80',
+                      fontWeight: '700'
+                    }}>✓</span>
+                    {strength}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+        
+        {/* Coaching Items */}
+        {coaching_items && coaching_items.length > 0 && (
+          <div style={{ marginBottom: '32px' }}>
+            <h3 style={{ 
+              color: '#fbbf24', 
+              marginBottom: '16px', 
+              fontSize: '20px',
+              fontWeight: '600',
+              borderBottom: '2px solid #334155',
+              paddingBottom: '12px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px'
+            }}>
+              <span>📈</span>
+              <span>Areas for Improvement</span>
+            </h3>
+            <div style={{
+              padding: '20px',
+              backgroundColor: '#78350f20',
+              borderRadius: '12px',
+              border: '1px solid #fbbf24'
+            }}>
+              <ul style={{ 
+                margin: 0, 
+                paddingLeft: '24px', 
+                color: '#cbd5e1',
+                listStyle: 'none'
+              }}>
+                {coaching_items.map((item, idx) => (
+                  <li 
+                    key={idx} 
+                    style={{ 
+                      marginBottom: '12px',
+                      fontSize: '15px',
+                      lineHeight: '1.6',
+                      paddingLeft: '8px',
+                      position: 'relative'
+                    }}
+                  >
+                    <span style={{
+                      position: 'absolute',
+                      left: '-20px',
+                      color: '#fbbf24',
+                      fontWeight: '700'
+                    }}>→</span>
+                    {item}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+        
+        {/* Speech Habits - analyzed in the browser from the rep's transcript */}
+        {speechAnalysis && (
+          <div style={{ marginBottom: '32px' }}>
+            <h3 style={{ 
+              color: '#a5b4fc', 
+              marginBottom: '16px', 
+              fontSize: '20px',
+              fontWeight: '600',
+              borderBottom: '2px solid #334155',
+              paddingBottom: '12px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px'
+            }}>
+              <span>🗣️</span>
+              <span>Speech Habits</span>
+            </h3>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+              gap: '12px',
+              marginBottom: '16px'
+            }}>
+              {[
+                { label: 'Filler words', value: speechAnalysis.filler_words, detail: `${speechAnalysis.fillers_per_100_words} per 100 words` },
+                { label: 'Open questions', value: speechAnalysis.open_questions, detail: 'what, how, why, tell me...' },
+                { label: 'Closed questions', value: speechAnalysis.closed_questions, detail: 'yes/no or a single fact' },
+                { label: 'Discovery questions', value: speechAnalysis.discovery_questions, detail: 'situation, problems, goals' },
+              ].map(stat => (
+                <div
+                  key={stat.label}
+                  style={{
+                    padding: '16px',
+                    backgroundColor: '#0f172a',
+                    borderRadius: '12px',
+                    border: '1px solid #334155',
+                    textAlign: 'center'
+                  }}
+                >
+                  <div style={{ fontSize: '32px', fontWeight: '700', color: '#f1f5f9' }}>{stat.value}</div>
+                  <div style={{ fontSize: '14px', color: '#cbd5e1', marginTop: '4px' }}>{stat.label}</div>
+                  <div style={{ fontSize: '12px', color: '#64748b', marginTop: '2px' }}>{stat.detail}</div>
+                </div>
+              ))}
+            </div>
+            {Object.keys(speechAnalysis.filler_counts).length > 0 && (
+              <p style={{ color: '#94a3b8', fontSize: '14px', margin: '0 0 12px' }}>
+                Fillers:{' '}
+                {Object.entries(speechAnalysis.filler_counts)
+                  .sort((a, b) => b[1] - a[1])
+                  .map(([word, count]) => `"${word}" ×${count}`)
+                  .join(', ')}
+              </p>
+            )}
+            {speechAnalysis.question_list?.length > 0 && (
+              <ul style={{ margin: 0, padding: 0, listStyle: 'none' }}>
+                {speechAnalysis.question_list.map((question, idx) => (
+                  <li
+                    key={idx}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'baseline',
+                      gap: '8px',
+                      padding: '8px 0',
+                      borderBottom: '1px solid #1e293b',
+                      color: '#cbd5e1',
+                      fontSize: '14px'
+                    }}
+                  >
+                    <span style={{
+                      flexShrink: 0,
+                      padding: '2px 8px',
+                      borderRadius: '6px',
+                      fontSize: '11px',
+                      fontWeight: '700',
+                      textTransform: 'uppercase',
+                      backgroundColor: question.type === 'open' ? '#064e3b' : '#334155',
+                      color: question.type === 'open' ? '#4ade80' : '#94a3b8'
+                    }}>
+                      {question.type}
+                    </span>
+                    <span style={{ flex: 1 }}>{question.text}</span>
+                    {question.discovery && (
+                      <span title="Discovery question" style={{ color: '#a5b4fc', fontSize: '12px' }}>🔍 discovery</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+        
+        {/* Close Button */}
+        <div style={{ 
+          display: 'flex', 
+          gap: '12px',
+          marginTop: '32px',
+          paddingTop: '24px',
+          borderTop: '2px solid #334155'
+        }}>
+          <button
+            onClick={onClose}
+            style={{
+              flex: 1,
+              padding: '16px 32px',
+              backgroundColor: '#3b82f6',
+              color: 'white',
+              border: 'none',
+              borderRadius: '12px',
+              fontSize: '16px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              transition: 'all 0.2s'
+            }}
+            onMouseOver={(e) => {
+              e.target.style.backgroundColor = '#2563eb';
+            }}
+            onMouseOut={(e) => {
+              e.target.style.backgroundColor = '#3b82f6';
+            }}
+          >
+            {closeLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
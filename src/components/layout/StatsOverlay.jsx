@@ -0,0 +1,82 @@
+/**
+ * Stats Overlay Component
+ * Shows live connection quality for the avatar stream and the LiveKit room
+ */
+
+// Thresholds above which a metric is considered degraded
+const LOSS_WARN_PCT = 2;
+const RTT_WARN_MS = 300;
+const JITTER_WARN_MS = 30;
+
+const METRICS = [
+  { key: 'bitrateKbps', label: 'Bitrate', unit: 'kbps', digits: 0 },
+  { key: 'packetLossPct', label: 'Packet loss', unit: '%', digits: 1, warn: LOSS_WARN_PCT },
+  { key: 'jitterMs', label: 'Jitter', unit: 'ms', digits: 0, warn: JITTER_WARN_MS },
+  { key: 'rttMs', label: 'RTT', unit: 'ms', digits: 0, warn: RTT_WARN_MS },
+  { key: 'framesDropped', label: 'Frames dropped', unit: '', digits: 0 },
+  { key: 'framesPerSecond', label: 'FPS', unit: '', digits: 0 },
+];
+
+const isDegraded = (sample) =>
+  !!sample && (sample.packetLossPct > LOSS_WARN_PCT || sample.rttMs > RTT_WARN_MS);
+
+/**
+ * Guess where a choppy stream comes from by comparing both links
+ */
+function diagnose(heygen, livekit) {
+  if (!heygen && !livekit) return 'Collecting stats...';
+  const heygenBad = isDegraded(heygen);
+  const livekitBad = isDegraded(livekit);
+  if (heygenBad && livekitBad) return 'Both links degraded - likely your network';
+  if (heygenBad) return 'Only the avatar stream is degraded - likely HeyGen';
+  if (livekitBad) return 'Only the LiveKit link is degraded';
+  return 'Connection healthy';
+}
+
+function formatValue(sample, metric) {
+  const value = sample?.[metric.key];
+  if (value === null || value === undefined) return '-';
+  return `${value.toFixed(metric.digits)}${metric.unit ? ` ${metric.unit}` : ''}`;
+}
+
+export function StatsOverlay({ stats, quality, onClose }) {
+  const heygen = stats?.heygen || null;
+  const livekit = stats?.livekit || null;
+
+  return (
+    <div className="stats-overlay">
+      <div className="stats-overlay-header">
+        <span>📶 Connection Quality</span>
+        {quality && <span className="stats-overlay-quality">Video: {quality}</span>}
+        <button className="stats-overlay-close" onClick={onClose} title="Hide stats">
+          ×
+        </button>
+      </div>
+      <table className="stats-overlay-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>Avatar</th>
+            <th>LiveKit</th>
+          </tr>
+        </thead>
+        <tbody>
+          {METRICS.map(metric => (
+            <tr key={metric.key}>
+              <td>{metric.label}</td>
+              {[heygen, livekit].map((sample, idx) => (
+                <td
+                  key={idx}
+                  className={metric.warn && sample?.[metric.key] > metric.warn ? 'stats-warn' : ''}
+                >
+                  {formatValue(sample, metric)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="stats-overlay-diagnosis">{diagnose(heygen, livekit)}</div>
+    </div>
+  );
+}
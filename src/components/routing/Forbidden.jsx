@@ -0,0 +1,23 @@
+/**
+ * Forbidden Component
+ * 403 page for signed-in users without access to a route
+ */
+import { useNavigate } from 'react-router-dom';
+import '../../styles/forbidden.css';
+
+export function Forbidden() {
+  const navigate = useNavigate();
+
+  return (
+    <div className="forbidden-page">
+      <div className="forbidden-card">
+        <div className="forbidden-code">403</div>
+        <h1>Access Denied</h1>
+        <p>You don&apos;t have permission to view this page. Ask an administrator if you think you should.</p>
+        <button className="forbidden-button" onClick={() => navigate('/dashboard')}>
+          Back to Dashboard
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+/**
+ * Protected Route Component
+ * Renders its children only for signed-in users, optionally restricted by role.
+ * The role comes from the stored user, which App refreshes from /api/auth/me on load.
+ */
+import { Navigate } from 'react-router-dom';
+import { authService } from '../../services/AuthService';
+import { Forbidden } from './Forbidden';
+
+export function ProtectedRoute({ isAuthenticated, authChecked = true, roles, children }) {
+  // Wait for the startup token check instead of bouncing a reload to the landing page
+  if (!authChecked) {
+    return null;
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/" replace />;
+  }
+
+  if (roles && !authService.hasRole(...roles)) {
+    return <Forbidden />;
+  }
+
+  return children;
+}
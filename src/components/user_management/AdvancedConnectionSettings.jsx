@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { preferencesService, DEFAULT_PREFERENCES } from '../../services/PreferencesService';
+import { config } from '../../config';
+
+const ICE_URL_PATTERN = /^(stun|stuns|turn|turns):/;
+
+/**
+ * One server per line: "<url> [username] [credential]"
+ */
+function formatIceServers(servers) {
+  return (servers || [])
+    .map(server => [server.urls, server.username, server.credential].filter(Boolean).join(' '))
+    .join('\n');
+}
+
+function parseIceServers(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [urls, username, credential] = line.split(/\s+/);
+      if (!ICE_URL_PATTERN.test(urls)) {
+        throw new Error(`"${urls}" is not a stun:, stuns:, turn: or turns: URL.`);
+      }
+      if (urls.startsWith('turn') && (!username || !credential)) {
+        throw new Error(`TURN server "${urls}" needs a username and credential.`);
+      }
+      return username ? { urls, username, credential } : { urls };
+    });
+}
+
+function toFormState(webrtc) {
+  return {
+    jitterBufferTargetMs: webrtc.jitterBufferTargetMs ?? '',
+    iceTransportPolicy: webrtc.iceTransportPolicy || '',
+    iceCandidatePoolSize: webrtc.iceCandidatePoolSize ?? '',
+    extraIceServers: formatIceServers(webrtc.extraIceServers),
+  };
+}
+
+export function AdvancedConnectionSettings({ onStatus, onError }) {
+  const [form, setForm] = useState(() => toFormState(preferencesService.get().webrtc));
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      const jitterBufferTargetMs = form.jitterBufferTargetMs === '' ? null : Number(form.jitterBufferTargetMs);
+      const iceCandidatePoolSize = form.iceCandidatePoolSize === '' ? null : Number(form.iceCandidatePoolSize);
+      if (jitterBufferTargetMs !== null && (jitterBufferTargetMs < 0 || jitterBufferTargetMs > 4000)) {
+        throw new Error('Jitter buffer target must be between 0 and 4000 ms.');
+      }
+      if (iceCandidatePoolSize !== null && (iceCandidatePoolSize < 0 || iceCandidatePoolSize > 255)) {
+        throw new Error('Candidate pool size must be between 0 and 255.');
+      }
+
+      const webrtc = {
+        jitterBufferTargetMs,
+        iceTransportPolicy: form.iceTransportPolicy || null,
+        iceCandidatePoolSize,
+        extraIceServers: parseIceServers(form.extraIceServers),
+      };
+      preferencesService.update({ webrtc });
+      setForm(toFormState(webrtc));
+      onStatus('Connection settings saved. They apply from your next interview.');
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleReset = () => {
+    preferencesService.update({ webrtc: DEFAULT_PREFERENCES.webrtc });
+    setForm(toFormState(DEFAULT_PREFERENCES.webrtc));
+    onStatus('Connection settings reset to defaults.');
+  };
+
+  return (
+    <details className="advanced-settings">
+      <summary>Advanced connection settings</summary>
+      <p className="form-hint">
+        Only change these if the avatar video fails to connect or stutters on your network.
+        Leave a field empty to use the default.
+      </p>
+      <form className="profile-form" onSubmit={handleSave}>
+        <div className="form-group">
+          <label htmlFor="iceTransportPolicy">Connection mode</label>
+          <select
+            id="iceTransportPolicy"
+            value={form.iceTransportPolicy}
+            onChange={(e) => updateField('iceTransportPolicy', e.target.value)}
+          >
+            <option value="">Default ({config.webrtc.iceTransportPolicy === 'relay' ? 'relay only' : 'direct or relay'})</option>
+            <option value="all">Direct or relay</option>
+            <option value="relay">Relay only (TURN) - for strict corporate firewalls</option>
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="extraIceServers">Additional STUN/TURN servers</label>
+          <textarea
+            id="extraIceServers"
+            rows={3}
+            value={form.extraIceServers}
+            onChange={(e) => updateField('extraIceServers', e.target.value)}
+            placeholder="turns:turn.example.com:443 username credential"
+          />
+          <p className="form-hint">One server per line: URL, then username and credential for TURN.</p>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="jitterBufferTargetMs">Jitter buffer target (ms)</label>
+          <input
+            id="jitterBufferTargetMs"
+            type="number"
+            min="0"
+            max="4000"
+            value={form.jitterBufferTargetMs}
+            onChange={(e) => updateField('jitterBufferTargetMs', e.target.value)}
+            placeholder={`Default: ${config.webrtc.jitterBufferTargetMs}`}
+          />
+          <p className="form-hint">Higher values smooth out choppy video at the cost of delay.</p>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="iceCandidatePoolSize">ICE candidate pool size</label>
+          <input
+            id="iceCandidatePoolSize"
+            type="number"
+            min="0"
+            max="255"
+            value={form.iceCandidatePoolSize}
+            onChange={(e) => updateField('iceCandidatePoolSize', e.target.value)}
+            placeholder={`Default: ${config.webrtc.iceCandidatePoolSize}`}
+          />
+        </div>
+
+        <div className="advanced-settings-actions">
+          <button type="submit" className="btn-primary">Save Connection Settings</button>
+          <button type="button" className="btn-secondary" onClick={handleReset}>
+            Reset to Defaults
+          </button>
+        </div>
+      </form>
+    </details>
+  );
+}
@@ -1,5 +1,7 @@
 import { useState } from 'react';
 import { authService } from '../../services/AuthService';
+import { preferencesService } from '../../services/PreferencesService';
+import { AdvancedConnectionSettings } from './AdvancedConnectionSettings';
 import '../../styles/profileSettings.css';
 
 export function ProfileSettings({ onLogout }) {
@@ -12,6 +14,14 @@ export function ProfileSettings({ onLogout }) {
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
   const [deleteLoading, setDeleteLoading] = useState(false);
+  const [preferences, setPreferences] = useState(() => preferencesService.get());
+
+  const handlePreferenceChange = (key, value) => {
+    setStatus(null);
+    setError(null);
+    setPreferences(preferencesService.update({ [key]: value }));
+    setStatus('Interview preferences saved.');
+  };
 
   const handleUpdate = async (e) => {
     e.preventDefault();
@@ -104,6 +114,68 @@ export function ProfileSettings({ onLogout }) {
           </button>
         </form>
 
+        <div className="preferences-section">
+          <h2>Interview Preferences</h2>
+          <div className="form-group">
+            <label htmlFor="avatarQuality">Avatar video quality</label>
+            <select
+              id="avatarQuality"
+              value={preferences.avatarQuality}
+              onChange={(e) => handlePreferenceChange('avatarQuality', e.target.value)}
+            >
+              <option value="auto">Auto (match my connection)</option>
+              <option value="low">Low</option>
+              <option value="medium">Medium</option>
+              <option value="high">High</option>
+            </select>
+            <p className="form-hint">
+              Auto picks a quality from your bandwidth and adjusts it during the interview.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={!!preferences.recordInterviews}
+                onChange={(e) => handlePreferenceChange('recordInterviews', e.target.checked)}
+              />
+              Record my interviews automatically
+            </label>
+            <p className="form-hint">
+              Recordings are uploaded with the saved conversation, so you and your manager can replay and
+              download them from History. A copy stays on this device for 30 days. You can also start and
+              stop recording during an interview.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={!!preferences.coachMode}
+                onChange={(e) => handlePreferenceChange('coachMode', e.target.checked)}
+              />
+              Coach mode
+            </label>
+            <p className="form-hint">
+              Shows a short hint on how to handle price, timing, competitor and authority objections
+              as the customer raises them. Graded assignments can turn it off.
+            </p>
+          </div>
+
+          <AdvancedConnectionSettings
+            onStatus={(message) => {
+              setError(null);
+              setStatus(message);
+            }}
+            onError={(message) => {
+              setStatus(null);
+              setError(message);
+            }}
+          />
+        </div>
+
         <div className="danger-zone">
           <h2>Danger Zone</h2>
           <p>Delete your account permanently. This cannot be undone.</p>
@@ -0,0 +1,85 @@
+/**
+ * Session Expired Modal
+ * Lets the user sign in again in place when their session can't be renewed,
+ * so an interview in progress (and its pending requests) survives
+ */
+import { useState } from 'react';
+import { authService } from '../../services/AuthService';
+import '../../styles/auth.css';
+
+export function SessionExpiredModal({ onSignOut }) {
+  const [email, setEmail] = useState(() => authService.getUser()?.email || '');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      // A successful sign-in resolves the pending prompt and the waiting requests retry
+      await authService.signIn(email, password);
+    } catch (err) {
+      setError(err.message || 'Failed to sign in.');
+      setLoading(false);
+    }
+  };
+
+  const handleSignOut = () => {
+    authService.cancelReauthentication();
+    onSignOut();
+  };
+
+  return (
+    <div className="session-expired-overlay">
+      <div className="auth-card">
+        <h2>Session Expired</h2>
+        <p className="auth-subtitle">
+          Sign in again to continue. Your interview and transcript are kept.
+        </p>
+
+        {error && <div className="auth-error">{error}</div>}
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          <div className="auth-field">
+            <label htmlFor="reauth-email">Email</label>
+            <input
+              type="email"
+              id="reauth-email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              disabled={loading}
+            />
+          </div>
+
+          <div className="auth-field">
+            <label htmlFor="reauth-password">Password</label>
+            <input
+              type="password"
+              id="reauth-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoFocus
+              placeholder="Enter your password"
+              disabled={loading}
+            />
+          </div>
+
+          <button type="submit" className="auth-button" disabled={loading}>
+            {loading ? 'Signing in...' : 'Sign In'}
+          </button>
+        </form>
+
+        <div className="auth-switch">
+          <button type="button" onClick={handleSignOut} className="auth-link-button">
+            Sign out instead
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,48 @@
+/**
+ * Parse a JSON array from an env variable (e.g. extra ICE servers)
+ */
+function parseJsonArrayEnv(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn('Ignoring invalid JSON env value:', value);
+    return [];
+  }
+}
+
+/**
+ * Parse a number from an env variable, keeping explicit zeros
+ */
+function parseNumberEnv(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && !Number.isNaN(parsed) ? parsed : fallback;
+}
+
 export const config = {
   heygen: {
     apiKey: import.meta.env.VITE_HEYGEN_API_KEY || 'YourApiKey',
     serverUrl: import.meta.env.VITE_HEYGEN_SERVER_URL || 'https://api.heygen.com',
   },
+  avatar: {
+    // 'heygen' for live streaming avatars, 'static' for an offline placeholder (or a looping clip)
+    provider: import.meta.env.VITE_AVATAR_PROVIDER || 'heygen',
+    // Clip the static provider loops (e.g. '/avatar-loop.mp4' in public/) - unset draws a placeholder
+    staticClipUrl: import.meta.env.VITE_STATIC_AVATAR_CLIP || null,
+    // Optional file (~1 MB) timed to estimate bandwidth when navigator.connection is unavailable
+    bandwidthProbeUrl: import.meta.env.VITE_BANDWIDTH_PROBE_URL || null,
+  },
+  webrtc: {
+    // Receiver tuning for the avatar stream - users can override these under Account Settings
+    jitterBufferTargetMs: parseNumberEnv(import.meta.env.VITE_JITTER_BUFFER_TARGET_MS, 500),
+    // 'all' or 'relay' (TURN only, for networks that block direct UDP)
+    iceTransportPolicy: import.meta.env.VITE_ICE_TRANSPORT_POLICY || 'all',
+    iceCandidatePoolSize: parseNumberEnv(import.meta.env.VITE_ICE_CANDIDATE_POOL_SIZE, 10),
+    // JSON array of RTCIceServer objects, e.g. [{"urls":"turn:turn.example.com:443","username":"u","credential":"p"}]
+    extraIceServers: parseJsonArrayEnv(import.meta.env.VITE_EXTRA_ICE_SERVERS),
+    includeDefaultStun: import.meta.env.VITE_INCLUDE_DEFAULT_STUN !== 'false',
+  },
   backend: {
     baseUrl: import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000',
   },
@@ -11,6 +11,7 @@ export const AVATARS = [
     role: 'Owner of a busy hair and nail salon',
     description: 'Friendly but hurried salon owner focused on Instagram-worthy aesthetics',
     personality: 'Busy, Instagram-obsessed, cost-skeptical at first',
+    coachingProfile: 'rushed', // objection hints in coach mode (see data/coachingHints)
     backgroundColor: '#FF6B9D',
     initials: 'M',
     imageUrl: 'https://files2.heygen.ai/avatar/v3/d3370d0f86784bde8e2144d16d573dcc_55280/preview_target.webp',
@@ -24,6 +25,7 @@ export const AVATARS = [
     role: 'Office manager at a dental practice',
     description: 'Detail-oriented healthcare office manager focused on patient comfort and compliance',
     personality: 'Detail-oriented, cautious, asks about sanitation/allergies/maintenance',
+    coachingProfile: 'cautious',
     backgroundColor: '#4ECDC4',
     initials: 'P',
     imageUrl: 'https://files2.heygen.ai/avatar/v3/699a4c2995914d39b2cb311a930d7720_45570/preview_talk_3.webp',
@@ -37,6 +39,7 @@ export const AVATARS = [
     role: 'Receptionist and gatekeeper at a professional office',
     description: 'Polite but protective gatekeeper who controls access to decision makers',
     personality: 'Tired of salespeople, initially deflects, warms up if treated respectfully',
+    coachingProfile: 'gatekeeper',
     backgroundColor: '#95E1D3',
     initials: 'J',
     imageUrl: 'https://files2.heygen.ai/avatar/v3/89e07b826f1c4cb1a5549201cdd8f4d6_55300/preview_target.webp',
@@ -50,6 +53,7 @@ export const AVATARS = [
     role: 'Owner of a small café with tight margins',
     description: 'Pragmatic, budget-focused café owner who compares all costs carefully',
     personality: 'Pragmatic, immediately asks "How much?", compares everything to Costco',
+    coachingProfile: 'price-first',
     backgroundColor: '#F38181',
     initials: 'M',
     imageUrl: 'https://files2.heygen.ai/avatar/v3/7fbef4dd1d6641bc8777b26a6aaac85e_45580/preview_talk_1.webp',
@@ -63,6 +67,7 @@ export const AVATARS = [
     role: 'Marketing manager at a law firm',
     description: 'Strategic, brand-focused manager who needs ROI justification',
     personality: 'Strategic, measured, thinks ROI/client perception, needs data',
+    coachingProfile: 'roi',
     backgroundColor: '#AA96DA',
     initials: 'D',
     imageUrl: 'https://files2.heygen.ai/avatar/v3/4e5afdfe8bdb44f3ae18b90281ab034c_45610/preview_talk_1.webp',
@@ -76,6 +81,7 @@ export const AVATARS = [
     role: 'General manager of a car dealership',
     description: 'Sales-driven, enthusiastic GM who loves customer wow-factor',
     personality: 'Energetic, obsessed with customer wow-factor and showroom appeal',
+    coachingProfile: 'wow',
     backgroundColor: '#FCBAD3',
     initials: 'R',
     imageUrl: 'https://files2.heygen.ai/avatar/v3/f83fffc45faa4368b6db9597e6b323ca_45590/preview_talk_3.webp',
@@ -89,6 +95,7 @@ export const AVATARS = [
     role: 'Owner of a boutique retail store',
     description: 'Design-focused owner who makes emotional decisions based on aesthetics',
     personality: 'Design-focused, emotional, highly visual decisions, brand-conscious',
+    coachingProfile: 'visual',
     backgroundColor: '#FFFFD2',
     initials: 'S',
     imageUrl: 'https://files2.heygen.ai/avatar/v3/b1ff5edbf96242e6ac9469227df40924_55360/preview_target.webp',
@@ -102,6 +109,7 @@ export const AVATARS = [
     role: 'CFO focused on financial justification',
     description: 'Analytical, numbers-focused CFO who demands clear financial value',
     personality: 'Analytical, data-focused, questions financial value, demands ROI',
+    coachingProfile: 'roi',
     backgroundColor: '#A8DADC',
     initials: 'R',
     imageUrl: 'https://files2.heygen.ai/avatar/v3/db2fb7fd0d044b908395a011166ab22d_45680/preview_target.webp',
@@ -115,6 +123,7 @@ export const AVATARS = [
     role: 'Manager of a boutique hotel focused on guest experience',
     description: 'Guest-obsessed hotel manager who thinks at scale and values reviews',
     personality: 'Guest-focused, obsessed with reviews, thinks at scale',
+    coachingProfile: 'reputation',
     backgroundColor: '#FFB4A2',
     initials: 'A',
     imageUrl: 'https://files2.heygen.ai/avatar/v3/2b901b6b72c4444d81a93a2eb8fe1070_55420/preview_target.webp',
@@ -128,6 +137,7 @@ export const AVATARS = [
     role: 'Owner of 8-12 franchise locations seeking turnkey solutions',
     description: 'Strategic multi-location owner who values consistency and hates complexity',
     personality: 'Strategic, thinks scale, hates complexity, wants turnkey solutions',
+    coachingProfile: 'turnkey',
     backgroundColor: '#B5EAD7',
     initials: 'J',
     imageUrl: 'https://files2.heygen.ai/avatar/v3/a1ed8c71e4bf4e6cb9071d2b7cd71e4e_45660/preview_talk_1.webp',
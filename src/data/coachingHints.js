@@ -0,0 +1,146 @@
+/**
+ * Coach mode hint definitions
+ * Objection patterns to watch for in the customer's transcribed messages,
+ * the technique to suggest for each, and persona-specific tips keyed by
+ * the avatar's coachingProfile (see data/avatarData)
+ */
+
+export const OBJECTION_TYPES = [
+  {
+    key: 'price',
+    label: 'Price objection',
+    icon: '💲',
+    technique: 'Acknowledge, then anchor on value',
+    hint: "Don't defend the price yet - ask what they're comparing it to and tie the cost back to a problem they told you about.",
+    patterns: [
+      /\b(?:too|pretty|really|so) (?:expensive|pricey|much)\b/i,
+      /\bhow much\b/i,
+      /\b(?:price|pricing|cost|costs|budget|afford|cheaper|discount)\b/i,
+      /\bout of (?:my|our) (?:budget|price range)\b/i,
+    ],
+  },
+  {
+    key: 'timing',
+    label: 'Timing objection',
+    icon: '⏳',
+    technique: 'Isolate the real reason',
+    hint: 'Ask what would need to change for the timing to work - "not now" often hides a different concern.',
+    patterns: [
+      /\bnot (?:the )?right time\b/i,
+      /\bnot (?:right )?now\b/i,
+      /\bnext (?:month|quarter|year|season)\b/i,
+      /\b(?:call|check) (?:me )?back\b/i,
+      /\bthink (?:about|it over)\b/i,
+      /\b(?:too busy|not ready|bad time|maybe later|down the road)\b/i,
+    ],
+  },
+  {
+    key: 'competitor',
+    label: 'Competitor objection',
+    icon: '🏷️',
+    technique: 'Get curious, then differentiate',
+    hint: "Never knock the competitor - ask what they like about their current option and what they'd change, then show the difference that matters to them.",
+    patterns: [
+      /\balready (?:have|use|work with|got)\b/i,
+      /\b(?:current|another|other) (?:vendor|provider|supplier|company|service)\b/i,
+      /\bhappy with (?:our|my|what we)\b/i,
+      /\b(?:competitor|costco|amazon|someone else)\b/i,
+      /\b(?:cheaper|better) (?:elsewhere|somewhere else)\b/i,
+    ],
+  },
+  {
+    key: 'authority',
+    label: 'Authority objection',
+    icon: '👔',
+    technique: 'Map the decision',
+    hint: 'Ask who else is involved and what matters to them, and offer to help make the case - or to join the conversation.',
+    patterns: [
+      /\b(?:run it|run this|check) (?:by|with)\b/i,
+      /\bnot (?:my|our) (?:decision|call)\b/i,
+      /\bnot up to me\b/i,
+      /\b(?:my|our) (?:boss|partner|owner|manager|husband|wife|board|corporate|head office)\b/i,
+      /\b(?:decision maker|sign off|approval|approve)\b/i,
+    ],
+  },
+];
+
+// Persona-specific tips - the objection technique stays the same, the angle fits the personality
+export const PROFILE_HINTS = {
+  rushed: {
+    price: 'Short on time: give one number and one reason it pays off, then ask a question.',
+    timing: 'Respect the rush - ask for a 10-minute slot at a quieter time of day instead of pushing now.',
+  },
+  cautious: {
+    price: 'Cautious buyers weigh risk over cost - mention warranties, maintenance and what is included.',
+    competitor: 'Ask how the current provider handles sanitation and maintenance - details win this buyer over.',
+    authority: 'Offer the documentation needed to bring this to the dentist or practice owner.',
+  },
+  gatekeeper: {
+    authority: 'Treat the gatekeeper as an ally, not an obstacle: ask how the manager prefers to hear about new ideas.',
+    timing: 'Ask when is a good time to reach the decision maker, and say thanks for the help.',
+  },
+  'price-first': {
+    price: 'Expect "how much" early - answer plainly, then break it down per day or per customer.',
+    competitor: 'When Costco comes up, compare total cost of ownership, not sticker price.',
+  },
+  roi: {
+    price: 'Translate the price into return: payback period, cost per client, or revenue it protects.',
+    competitor: 'Ask which numbers they track today and show how you move those numbers.',
+    authority: 'Offer a one-page business case they can take to the partners or the board.',
+  },
+  wow: {
+    price: 'Connect the cost to the customer wow-factor and what one extra sale is worth.',
+    timing: 'Tie timing to an upcoming launch, sales event or season on the showroom floor.',
+  },
+  visual: {
+    price: 'Paint the picture first - how the space will look and feel - before returning to price.',
+    competitor: 'Ask what the brand stands for and show how you fit it better than a generic option.',
+  },
+  reputation: {
+    price: 'Link the cost to guest reviews and repeat stays across every property.',
+    authority: 'Ask what head office needs to see - guest-experience results usually carry the decision.',
+  },
+  turnkey: {
+    price: 'Quote across all locations and stress that setup and upkeep are included.',
+    timing: 'Offer a pilot at one location so rollout feels simple, not like another project.',
+    competitor: 'Ask how much managing the current vendor takes - simplicity is your differentiator.',
+  },
+};
+
+/**
+ * Objections raised in a customer message
+ * @param {string} text - Agent (customer) message text
+ * @returns {Array<Object>} [{ type, match }] in OBJECTION_TYPES order
+ */
+export function detectObjections(text) {
+  if (!text?.trim()) return [];
+  return OBJECTION_TYPES.reduce((found, objection) => {
+    for (const pattern of objection.patterns) {
+      const match = text.match(pattern);
+      if (match) {
+        found.push({ type: objection.key, match: match[0] });
+        break;
+      }
+    }
+    return found;
+  }, []);
+}
+
+/**
+ * Hint card content for an objection, tailored to the persona
+ * @param {string} type - Objection key ('price', 'timing', 'competitor' or 'authority')
+ * @param {Object} avatar - Avatar from AVATARS
+ * @returns {Object|null} { type, label, icon, technique, hint, tip } - tip is null without a persona tip
+ */
+export function getCoachingHint(type, avatar) {
+  const objection = OBJECTION_TYPES.find(item => item.key === type);
+  if (!objection) return null;
+  return {
+    type,
+    label: objection.label,
+    icon: objection.icon,
+    technique: objection.technique,
+    hint: objection.hint,
+    tip: PROFILE_HINTS[avatar?.coachingProfile]?.[type] || null,
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Scoring rubric definitions
+ * Shared by every view that renders interview score data
+ */
+
+export const SCORE_CATEGORIES = [
+  { 
+    key: 'opening_rapport', 
+    label: 'Opening & Rapport', 
+    weight: '10%',
+    max: 10,
+    color: '#3b82f6'
+  },
+  { 
+    key: 'discovery_qualification', 
+    label: 'Discovery & Qualification', 
+    weight: '20%',
+    max: 20,
+    color: '#8b5cf6'
+  },
+  { 
+    key: 'value_messaging', 
+    label: 'Value Messaging & Positioning', 
+    weight: '20%',
+    max: 20,
+    color: '#ec4899'
+  },
+  { 
+    key: 'objection_handling', 
+    label: 'Objection Handling', 
+    weight: '20%',
+    max: 20,
+    color: '#f59e0b'
+  },
+  { 
+    key: 'trial_advancement', 
+    label: 'Trial Advancement & Closing', 
+    weight: '15%',
+    max: 15,
+    color: '#10b981'
+  },
+  { 
+    key: 'listening_adaptability', 
+    label: 'Listening, Adaptability & Flow', 
+    weight: '10%',
+    max: 10,
+    color: '#06b6d4'
+  },
+  { 
+    key: 'professionalism', 
+    label: 'Professionalism & Brand', 
+    weight: '5%',
+    max: 5,
+    color: '#6366f1'
+  }
+];
+
+/**
+ * Score tiers from lowest to highest
+ */
+export const TIERS = ['Not ready', 'Developing', 'Strong', 'Excellent'];
+
+/**
+ * Whether a tier is at least as good as a target tier
+ * @param {string} tier - Achieved tier
+ * @param {string} target - Required tier
+ * @returns {boolean}
+ */
+export function meetsTier(tier, target) {
+  const rank = TIERS.indexOf(tier);
+  return rank !== -1 && rank >= TIERS.indexOf(target);
+}
+
+/**
+ * Get the display color for a score tier
+ * @param {string} tier - Tier name ('Excellent', 'Strong', 'Developing', 'Not ready')
+ * @returns {string} Hex color
+ */
+export function getTierColor(tier) {
+  if (tier === "Excellent") return '#4ade80'; // Green
+  if (tier === "Strong") return '#60a5fa'; // Blue
+  if (tier === "Developing") return '#fbbf24'; // Yellow
+  return '#f87171'; // Red
+}
+
+/**
+ * Normalize a saved conversation into the payload shape returned by /api/interviews/score
+ * Saved conversations may nest the scoring under score_data or flatten it onto the record
+ * @param {Object} conversation - Conversation record from the backend
+ * @returns {Object|null} Score payload or null if the conversation was never scored
+ */
+export function toScorePayload(conversation) {
+  if (!conversation) return null;
+  const source = conversation.score_data || conversation;
+  if (source.final_score === null || source.final_score === undefined) {
+    return null;
+  }
+  return {
+    final_score: source.final_score,
+    tier: source.tier,
+    pre_deduction_total: source.pre_deduction_total ?? source.final_score,
+    raw_scores: source.raw_scores || {},
+    weighted_points: source.weighted_points || {},
+    deductions: source.deductions || [],
+    strengths: source.strengths || [],
+    coaching_items: source.coaching_items || [],
+    detailed_feedback: source.detailed_feedback || null,
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Adaptive Quality Hook
+ * Steps the avatar video quality down on sustained degradation and back up
+ * when the connection has headroom (only when the user's preference is 'auto')
+ *
+ * @param {Object} options
+ * @param {string|null} options.quality - Quality of the running avatar session
+ * @param {Function} options.getHistory - Stats history accessor from useConnectionStats
+ * @param {Function} options.changeQuality - Recreates the session at a new quality
+ * @param {boolean} options.enabled - Whether adaptation is allowed
+ * @param {Object|null} options.latest - Latest stats sample (used to trigger evaluation)
+ * @returns {Object} Adaptation state
+ * @returns {boolean} returns.isSwitching - Whether a quality switch is in progress
+ * @returns {Object|null} returns.lastChange - Most recent switch ({ from, to, at })
+ */
+import { useState, useEffect, useRef } from 'react';
+import { QualityPolicy } from '../managers/QualityPolicy';
+
+export function useAdaptiveQuality({ quality, getHistory, changeQuality, enabled, latest }) {
+  const [lastChange, setLastChange] = useState(null);
+  const [isSwitching, setIsSwitching] = useState(false);
+  const policyRef = useRef(new QualityPolicy());
+  const isSwitchingRef = useRef(false);
+
+  // A fresh session (initial start or recovery) should not be judged on old samples
+  useEffect(() => {
+    policyRef.current.markChanged();
+  }, [quality]);
+
+  useEffect(() => {
+    if (!enabled || !quality || !latest?.heygen || isSwitchingRef.current) {
+      return;
+    }
+
+    const nextQuality = policyRef.current.evaluate(getHistory('heygen'), quality);
+    if (!nextQuality) {
+      return;
+    }
+
+    isSwitchingRef.current = true;
+    setIsSwitching(true);
+    console.log(`Avatar quality ${quality} -> ${nextQuality}`);
+    changeQuality(nextQuality)
+      .then((switched) => {
+        if (switched) {
+          setLastChange({ from: quality, to: nextQuality, at: Date.now() });
+        }
+      })
+      .catch((error) => {
+        console.warn('Failed to change avatar quality:', error);
+      })
+      .finally(() => {
+        policyRef.current.markChanged();
+        isSwitchingRef.current = false;
+        setIsSwitching(false);
+      });
+  }, [enabled, quality, latest, getHistory, changeQuality]);
+
+  return { isSwitching, lastChange };
+}
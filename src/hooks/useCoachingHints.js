@@ -0,0 +1,67 @@
+/**
+ * Coaching Hints Hook
+ * Watches the customer's (agent's) messages for objections and keeps the hint cards to show in coach mode
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.messages - Chat messages (only sender 'agent' is watched)
+ * @param {Object} options.avatar - Persona of the interview (picks the persona-specific tips)
+ * @param {boolean} options.enabled - Whether coach mode is on
+ * @returns {Object} Visible hints and dismiss handlers
+ * @returns {Array<Object>} returns.hints - [{ id, type, label, icon, technique, hint, tip, quote }], oldest first
+ * @returns {Function} returns.dismissHint - Dismiss one hint by id
+ * @returns {Function} returns.dismissAll - Dismiss every hint
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { detectObjections, getCoachingHint } from '../data/coachingHints';
+
+const MAX_VISIBLE_HINTS = 3;
+
+export function useCoachingHints({ messages, avatar, enabled }) {
+  const [hints, setHints] = useState([]);
+  // Objections already surfaced, as `${messageId}:${type}` - agent messages grow word by word
+  const seenRef = useRef(new Set());
+  // Messages before this index were there before coach mode was turned on (e.g. a resumed transcript)
+  const startIndexRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      startIndexRef.current = null;
+      setHints([]);
+      return;
+    }
+    if (startIndexRef.current === null) {
+      startIndexRef.current = messages.length;
+      return;
+    }
+
+    const fresh = [];
+    messages.slice(startIndexRef.current).forEach(msg => {
+      if (msg.sender !== 'agent') return;
+      detectObjections(msg.text).forEach(({ type, match }) => {
+        const id = `${msg.id}:${type}`;
+        if (seenRef.current.has(id)) return;
+        seenRef.current.add(id);
+        fresh.push({ id, quote: match, ...getCoachingHint(type, avatar) });
+      });
+    });
+    if (fresh.length === 0) return;
+
+    // A newer objection of the same type replaces the older card
+    setHints(current => [
+      ...current.filter(hint => !fresh.some(item => item.type === hint.type)),
+      ...fresh,
+    ].slice(-MAX_VISIBLE_HINTS));
+  }, [messages, avatar, enabled]);
+
+  const dismissHint = useCallback((id) => {
+    setHints(current => current.filter(hint => hint.id !== id));
+  }, []);
+
+  const dismissAll = useCallback(() => setHints([]), []);
+
+  return {
+    hints,
+    dismissHint,
+    dismissAll,
+  };
+}
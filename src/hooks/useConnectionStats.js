@@ -0,0 +1,66 @@
+/**
+ * Connection Stats Hook
+ * Runs a StatsCollector for the avatar peer connection and LiveKit room
+ *
+ * @param {RTCPeerConnection|null} peerConnection - Avatar peer connection
+ * @param {Room|null} livekitRoom - LiveKit room
+ * @returns {Object} Latest samples and a summary accessor
+ * @returns {Object|null} returns.latest - Latest { heygen, livekit } samples
+ * @returns {Function} returns.getSummary - Summary of everything collected so far
+ * @returns {Function} returns.getHistory - Samples collected for a source ('heygen' or 'livekit')
+ */
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { StatsCollector } from '../managers/StatsCollector';
+
+export function useConnectionStats(peerConnection, livekitRoom) {
+  const [latest, setLatest] = useState(null);
+  const peerConnectionRef = useRef(peerConnection);
+  const roomRef = useRef(livekitRoom);
+  const collectorRef = useRef(null);
+
+  // Sources are read through refs so a recreated avatar session keeps the same history
+  useEffect(() => {
+    peerConnectionRef.current = peerConnection;
+  }, [peerConnection]);
+
+  useEffect(() => {
+    roomRef.current = livekitRoom;
+  }, [livekitRoom]);
+
+  useEffect(() => {
+    const collector = new StatsCollector(
+      {
+        getPeerConnection: () => peerConnectionRef.current,
+        getRoom: () => roomRef.current,
+      },
+      {
+        onSample: (sample) => {
+          setLatest((prev) => ({
+            heygen: sample.heygen || prev?.heygen || null,
+            livekit: sample.livekit || prev?.livekit || null,
+          }));
+        },
+      }
+    );
+    collectorRef.current = collector;
+    collector.start();
+
+    return () => {
+      collector.stop();
+    };
+  }, []);
+
+  const getSummary = useCallback(() => {
+    return collectorRef.current?.getSummary() || null;
+  }, []);
+
+  const getHistory = useCallback((source) => {
+    return collectorRef.current?.getHistory(source) || [];
+  }, []);
+
+  return {
+    latest,
+    getSummary,
+    getHistory,
+  };
+}
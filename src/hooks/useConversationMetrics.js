@@ -0,0 +1,42 @@
+/**
+ * Conversation Metrics Hook
+ * Runs a ConversationMetricsTracker for the interview and refreshes the live metrics
+ *
+ * @param {Array<Object>} [initialSegments] - Segments restored from a resumed interview
+ * @returns {Object} Live metrics and the tracker's recorder/accessors
+ * @returns {Object|null} returns.metrics - Latest metrics (see computeConversationMetrics)
+ * @returns {Function} returns.recordSegment - Record a transcription segment (speaker, id, text, { start, end }); returns its start
+ * @returns {Function} returns.getMetrics - Metrics computed right now (for the score payload)
+ * @returns {Function} returns.getSegments - Recorded segments (for the local draft)
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { ConversationMetricsTracker } from '../managers/ConversationMetrics';
+
+const REFRESH_INTERVAL_MS = 1000;
+
+export function useConversationMetrics(initialSegments = []) {
+  const [tracker] = useState(() => new ConversationMetricsTracker(initialSegments));
+  const [metrics, setMetrics] = useState(() => tracker.getMetrics());
+
+  // Segments arrive word by word - refresh on a timer instead of on every update
+  useEffect(() => {
+    let renderedVersion = tracker.version;
+    const timer = setInterval(() => {
+      if (tracker.version === renderedVersion) return;
+      renderedVersion = tracker.version;
+      setMetrics(tracker.getMetrics());
+    }, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [tracker]);
+
+  const recordSegment = useCallback((...args) => tracker.recordSegment(...args), [tracker]);
+  const getMetrics = useCallback(() => tracker.getMetrics(), [tracker]);
+  const getSegments = useCallback(() => tracker.getSegments(), [tracker]);
+
+  return {
+    metrics,
+    recordSegment,
+    getMetrics,
+    getSegments,
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Interview Lifecycle Hook
+ * Exposes an InterviewStateMachine as React state
+ *
+ * @returns {Object} Lifecycle state and actions
+ * @returns {string} returns.state - Current lifecycle state
+ * @returns {Object} returns.context - { error, warning, failedState, startedAt, ... }
+ * @returns {Array<Object>} returns.steps - Setup steps with progress for the loading screen
+ * @returns {InterviewStateMachine} returns.machine - The machine (for transitions from async code)
+ */
+import { useState, useEffect, useRef } from 'react';
+import { InterviewStateMachine } from '../managers/InterviewStateMachine';
+
+export function useInterviewLifecycle() {
+  const machineRef = useRef(null);
+  if (!machineRef.current) {
+    machineRef.current = new InterviewStateMachine();
+  }
+  const [snapshot, setSnapshot] = useState(() => machineRef.current.getSnapshot());
+
+  useEffect(() => {
+    const machine = machineRef.current;
+    machine.onChange = setSnapshot;
+    return () => {
+      machine.dispose();
+    };
+  }, []);
+
+  return {
+    ...snapshot,
+    machine: machineRef.current,
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Pending Sync Hook
+ * Tracks how many finished interviews are still waiting in the conversation outbox
+ *
+ * @returns {Object} Sync state
+ * @returns {number} returns.pendingCount - Conversations saved on this device but not on the server
+ * @returns {number} returns.rejectedCount - Conversations the server refused, kept on this device
+ * @returns {boolean} returns.isSyncing - Whether a manual retry is running
+ * @returns {Function} returns.retry - Retry sending now
+ * @returns {Function} returns.retryRejected - Send the refused conversations again
+ * @returns {Function} returns.discardRejected - Delete the refused conversations
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { conversationOutbox } from '../services/ConversationOutbox';
+
+export function usePendingSync() {
+  const [pendingCount, setPendingCount] = useState(0);
+  const [rejectedCount, setRejectedCount] = useState(0);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  useEffect(() => {
+    return conversationOutbox.onChange((pending, rejected) => {
+      setPendingCount(pending);
+      setRejectedCount(rejected);
+    });
+  }, []);
+
+  const runSync = useCallback(async (action) => {
+    setIsSyncing(true);
+    try {
+      await action();
+    } finally {
+      setIsSyncing(false);
+    }
+  }, []);
+
+  const retry = useCallback(() => runSync(() => conversationOutbox.flush()), [runSync]);
+  const retryRejected = useCallback(() => runSync(() => conversationOutbox.retryRejected()), [runSync]);
+  const discardRejected = useCallback(() => runSync(() => conversationOutbox.discardRejected()), [runSync]);
+
+  return { pendingCount, rejectedCount, isSyncing, retry, retryRejected, discardRejected };
+}
@@ -5,28 +5,55 @@
  * @returns {Object} Session management functions and state
  * @returns {Object|null} returns.sessionInfo - Current session information
  * @returns {RTCPeerConnection|null} returns.peerConnection - WebRTC peer connection
+ * @returns {MediaStream|null} returns.mediaStream - Local avatar stream (providers without WebRTC)
  * @returns {boolean} returns.isConnected - Connection status
+ * @returns {string} returns.connectionState - Avatar link health ('idle', 'connected', 'reconnecting', 'failed')
+ * @returns {string|null} returns.quality - Video quality of the running session
  * @returns {Function} returns.createNewSession - Create a new streaming session
  * @returns {Function} returns.startSession - Start the streaming session
  * @returns {Function} returns.sendTask - Send text task to avatar
+ * @returns {Function} returns.changeQuality - Recreate the session at another video quality
  * @returns {Function} returns.closeSession - Close the current session
+ * @returns {Function} returns.closeSessionSync - Close the current session during page unload
+ * @returns {boolean} returns.sharesSessionWithAgent - Whether the LiveKit agent should get the session ID
  */
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
 import { SessionManager } from '../managers/SessionManager';
-import { heygenService } from '../services/HeyGenService';
 
 export function useStreamingSession() {
   const [sessionInfo, setSessionInfo] = useState(null);
   const [peerConnection, setPeerConnection] = useState(null);
+  const [mediaStream, setMediaStream] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
+  const [connectionState, setConnectionState] = useState('idle');
+  const [quality, setQuality] = useState(null);
   const sessionManagerRef = useRef(new SessionManager());
 
+  /**
+   * Keep React state in sync when SessionManager recovers a dropped stream
+   */
+  useEffect(() => {
+    const sessionManager = sessionManagerRef.current;
+    sessionManager.setReconnectListener({
+      onConnectionStateChange: setConnectionState,
+      onSessionRecreated: ({ session, peerConnection: pc, mediaStream: stream }) => {
+        setPeerConnection(pc);
+        setMediaStream(stream);
+        setSessionInfo(session);
+        setQuality(sessionManager.getQuality());
+      },
+    });
+    return () => {
+      sessionManager.setReconnectListener(null);
+    };
+  }, []);
+
   /**
    * Create a new streaming session
    * @param {string} avatarId - Avatar ID
    * @param {string} voiceId - Voice ID
    * @param {string} quality - Video quality ('low', 'medium', 'high')
-   * @returns {Promise<Object>} Session info and peer connection
+   * @returns {Promise<Object>} Session info, peer connection and media stream
    */
   const createNewSession = useCallback(async (avatarId, voiceId, quality = 'low') => {
     const result = await sessionManagerRef.current.createSession(
@@ -35,13 +62,15 @@ export function useStreamingSession() {
       quality
     );
     
-    const { session, peerConnection: pc } = result;
+    const { session, peerConnection: pc, mediaStream: stream } = result;
     
     setPeerConnection(pc);
+    setMediaStream(stream);
     setSessionInfo(session);
+    setQuality(quality);
     setIsConnected(false);
 
-    return { session, peerConnection: pc };
+    return { session, peerConnection: pc, mediaStream: stream };
   }, []);
 
   /**
@@ -51,11 +80,7 @@ export function useStreamingSession() {
    * @returns {Promise<void>}
    */
   const startSession = useCallback(async (onTrack, onDataChannel) => {
-    const onIceCandidate = (sessionId, candidate) => {
-      heygenService.submitIceCandidate(sessionId, candidate);
-    };
-
-    await sessionManagerRef.current.startSession(onTrack, onDataChannel, onIceCandidate);
+    await sessionManagerRef.current.startSession(onTrack, onDataChannel);
     setIsConnected(true);
   }, []);
 
@@ -68,6 +93,15 @@ export function useStreamingSession() {
     return await sessionManagerRef.current.sendTask(text);
   }, []);
 
+  /**
+   * Switch the running session to another video quality
+   * @param {string} newQuality - 'low', 'medium' or 'high'
+   * @returns {Promise<boolean>} Whether the switch succeeded
+   */
+  const changeQuality = useCallback(async (newQuality) => {
+    return await sessionManagerRef.current.changeQuality(newQuality);
+  }, []);
+
   /**
    * Close the current session
    * @returns {Promise<void>}
@@ -75,17 +109,33 @@ export function useStreamingSession() {
   const closeSession = useCallback(async () => {
     await sessionManagerRef.current.closeSession();
     setPeerConnection(null);
+    setMediaStream(null);
     setSessionInfo(null);
     setIsConnected(false);
+    setConnectionState('idle');
+    setQuality(null);
+  }, []);
+
+  /**
+   * Close the current session synchronously (for browser close/refresh)
+   */
+  const closeSessionSync = useCallback(() => {
+    sessionManagerRef.current.closeSessionSync();
   }, []);
 
   return {
     sessionInfo,
     peerConnection,
+    mediaStream,
     isConnected,
+    connectionState,
+    quality,
     createNewSession,
     startSession,
     sendTask,
+    changeQuality,
     closeSession,
+    closeSessionSync,
+    sharesSessionWithAgent: sessionManagerRef.current.sharesSessionWithAgent(),
   };
 }
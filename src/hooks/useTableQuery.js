@@ -0,0 +1,58 @@
+/**
+ * Table Query Hook
+ * Keeps a table's page, sort and filters in the URL query string so they
+ * survive reloads and can be shared as links
+ *
+ * @param {Object} defaults - Default value for every key the table owns
+ * @returns {Object} Query state and actions
+ * @returns {Object} returns.query - Current values (numbers where the default is a number)
+ * @returns {Function} returns.updateQuery - Merge values; any change other than the page goes back to page 1
+ * @returns {Function} returns.resetQuery - Drop all of the table's keys from the URL
+ */
+import { useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+export function useTableQuery(defaults) {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const query = useMemo(() => {
+    return Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => {
+      const raw = searchParams.get(key);
+      if (raw === null) return [key, fallback];
+      if (typeof fallback === 'number') {
+        const value = Number(raw);
+        return [key, Number.isFinite(value) && value > 0 ? value : fallback];
+      }
+      return [key, raw];
+    }));
+  }, [defaults, searchParams]);
+
+  const updateQuery = useCallback((updates) => {
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current);
+      const values = { ...updates };
+      if (!('page' in values)) {
+        values.page = defaults.page;
+      }
+      Object.entries(values).forEach(([key, value]) => {
+        // Defaults stay out of the URL to keep links short
+        if (value === '' || value === null || value === undefined || value === defaults[key]) {
+          next.delete(key);
+        } else {
+          next.set(key, value);
+        }
+      });
+      return next;
+    });
+  }, [defaults, setSearchParams]);
+
+  const resetQuery = useCallback(() => {
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current);
+      Object.keys(defaults).forEach(key => next.delete(key));
+      return next;
+    });
+  }, [defaults, setSearchParams]);
+
+  return { query, updateQuery, resetQuery };
+}
@@ -0,0 +1,37 @@
+/**
+ * Unread Feedback Hook
+ * Polls for coaching feedback the rep has not opened yet
+ *
+ * @param {boolean} enabled - Only while signed in
+ * @param {Object} options
+ * @param {boolean} options.poll - Poll the backend (one mounted poller, e.g. the navbar, is enough)
+ * @returns {Object} Unread feedback
+ * @returns {number} returns.count - Conversations with new feedback
+ * @returns {Array} returns.conversationIds - Their IDs
+ */
+import { useState, useEffect } from 'react';
+import { feedbackService } from '../services/FeedbackService';
+
+const POLL_INTERVAL_MS = 60000;
+
+export function useUnreadFeedback(enabled, { poll = true } = {}) {
+  const [unread, setUnread] = useState(feedbackService.unread);
+
+  useEffect(() => {
+    return feedbackService.onChange(setUnread);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled || !poll) return;
+    const refresh = () => {
+      feedbackService.refreshUnread().catch((error) => {
+        console.warn('Could not check for new feedback:', error);
+      });
+    };
+    refresh();
+    const interval = setInterval(refresh, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [enabled, poll]);
+
+  return enabled ? unread : { count: 0, conversationIds: [] };
+}
@@ -0,0 +1,145 @@
+/**
+ * Conversation Metrics
+ * Talk/listen ratio, speaking pace, longest monologue and interruptions,
+ * computed from the timing of the user's and the agent's transcription segments
+ */
+import { countWords, estimateSpeakingMs } from '../utils/transcriptUtils';
+
+// How far a turn must start inside the other speaker's turn to count as cutting them off
+const INTERRUPTION_OVERLAP_MS = 300;
+// Pace is meaningless for a few words
+const MIN_WPM_SPEAKING_MS = 5000;
+
+const SPEAKERS = ['user', 'agent'];
+
+/**
+ * Time span a segment was spoken over
+ * A segment seen only once (e.g. a final-only transcription) arrives when it ends,
+ * so its start is estimated from its length
+ */
+function toSpan(segment) {
+  const measured = segment.end - segment.start;
+  const duration = segment.updates > 1 && measured > 0 ? measured : estimateSpeakingMs(segment.text);
+  if (duration <= 0) return null;
+  return {
+    speaker: segment.speaker,
+    start: segment.end - duration,
+    end: segment.end,
+    words: countWords(segment.text),
+  };
+}
+
+/**
+ * Compute the metrics from recorded segments
+ * @param {Array<Object>} segments - { id, speaker: 'user'|'agent', text, start, end, updates }
+ * @returns {Object|null} Metrics (snake_case, as sent to the backend) or null before anyone spoke
+ */
+export function computeConversationMetrics(segments) {
+  const spans = segments
+    .filter(segment => SPEAKERS.includes(segment.speaker))
+    .map(toSpan)
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+  if (spans.length === 0) return null;
+
+  const totals = {
+    user: { ms: 0, words: 0, turns: 0, interruptions: 0 },
+    agent: { ms: 0, words: 0, turns: 0, interruptions: 0 },
+  };
+
+  // Consecutive segments from the same speaker make one turn
+  const turns = [];
+  spans.forEach(span => {
+    totals[span.speaker].ms += span.end - span.start;
+    totals[span.speaker].words += span.words;
+
+    const current = turns[turns.length - 1];
+    if (current && current.speaker === span.speaker) {
+      current.end = Math.max(current.end, span.end);
+      current.words += span.words;
+    } else {
+      turns.push({ ...span });
+    }
+  });
+
+  turns.forEach((turn, idx) => {
+    totals[turn.speaker].turns += 1;
+    const previous = turns[idx - 1];
+    if (previous && turn.start < previous.end - INTERRUPTION_OVERLAP_MS) {
+      totals[turn.speaker].interruptions += 1;
+    }
+  });
+
+  const longest = turns
+    .filter(turn => turn.speaker === 'user')
+    .reduce((best, turn) => (!best || turn.end - turn.start > best.end - best.start ? turn : best), null);
+
+  const talkMs = totals.user.ms + totals.agent.ms;
+  const wordsPerMinute = ({ ms, words }) =>
+    (ms >= MIN_WPM_SPEAKING_MS ? Math.round(words / (ms / 60000)) : null);
+
+  return {
+    talk_ratio: talkMs ? Math.round((totals.user.ms / talkMs) * 100) / 100 : null, // rep share of talk time (0-1)
+    user_talk_ms: Math.round(totals.user.ms),
+    agent_talk_ms: Math.round(totals.agent.ms),
+    user_words: totals.user.words,
+    user_wpm: wordsPerMinute(totals.user),
+    agent_wpm: wordsPerMinute(totals.agent),
+    longest_monologue_ms: longest ? Math.round(longest.end - longest.start) : 0,
+    longest_monologue_words: longest ? longest.words : 0,
+    user_interruptions: totals.user.interruptions,
+    agent_interruptions: totals.agent.interruptions,
+    user_turns: totals.user.turns,
+    agent_turns: totals.agent.turns,
+  };
+}
+
+export class ConversationMetricsTracker {
+  /**
+   * @param {Array<Object>} segments - Segments from an earlier part of the interview (e.g. a resumed draft)
+   */
+  constructor(segments = []) {
+    this.segments = new Map(segments.map(segment => [`${segment.speaker}:${segment.id}`, { ...segment }]));
+    this.version = 0;
+  }
+
+  /**
+   * Record a transcription segment, or an update to one (interim text, final text)
+   * @param {string} speaker - 'user' or 'agent'
+   * @param {string} id - Segment ID (lk.segment_id)
+   * @param {string} text - Text so far
+   * @param {Object} timing - { start, end } in epoch ms; end defaults to start
+   * @returns {number|null} When the segment started being said (estimated for a single update)
+   */
+  recordSegment(speaker, id, text, { start, end = start }) {
+    if (!id || !text?.trim()) return null;
+    const key = `${speaker}:${id}`;
+    const existing = this.segments.get(key);
+    if (existing) {
+      if (existing.text === text && existing.end >= end) return toSpan(existing)?.start ?? existing.start;
+      existing.start = Math.min(existing.start, start);
+      existing.end = Math.max(existing.end, end);
+      existing.text = text;
+      existing.updates += 1;
+    } else {
+      this.segments.set(key, { id, speaker, text, start, end, updates: 1 });
+    }
+    this.version += 1;
+    return toSpan(this.segments.get(key))?.start ?? start;
+  }
+
+  /**
+   * Segments recorded so far (plain objects, safe to store in a draft)
+   * @returns {Array<Object>}
+   */
+  getSegments() {
+    return [...this.segments.values()].map(segment => ({ ...segment }));
+  }
+
+  /**
+   * @returns {Object|null} See computeConversationMetrics
+   */
+  getMetrics() {
+    return computeConversationMetrics([...this.segments.values()]);
+  }
+}
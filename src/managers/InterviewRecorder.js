@@ -0,0 +1,210 @@
+/**
+ * Interview Recorder Class
+ * Records an interview on the user's device with MediaRecorder:
+ * the avatar video with the user's webcam drawn picture-in-picture on a canvas,
+ * mixed with the agent's audio and the user's microphone
+ */
+
+const FRAME_RATE = 30;
+const CANVAS_WIDTH = 1280;
+const CANVAS_HEIGHT = 720;
+// Webcam inset, as a fraction of the canvas width
+const PIP_SCALE = 0.25;
+const PIP_MARGIN = 16;
+// Flush recorded data every second so a crash loses at most that much
+const TIMESLICE_MS = 1000;
+
+const VIDEO_MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+const AUDIO_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm'];
+
+/**
+ * Whether this browser can record interviews at all
+ * @returns {boolean}
+ */
+export function isRecordingSupported() {
+  return typeof window !== 'undefined' &&
+    typeof window.MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function';
+}
+
+function pickMimeType(candidates) {
+  return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+/**
+ * Draw a video element into a box, cropping it to fill the box (like object-fit: cover)
+ */
+function drawCover(ctx, video, x, y, width, height) {
+  const sourceWidth = video.videoWidth;
+  const sourceHeight = video.videoHeight;
+  if (!sourceWidth || !sourceHeight) return false;
+
+  const scale = Math.max(width / sourceWidth, height / sourceHeight);
+  const cropWidth = width / scale;
+  const cropHeight = height / scale;
+  ctx.drawImage(
+    video,
+    (sourceWidth - cropWidth) / 2, (sourceHeight - cropHeight) / 2, cropWidth, cropHeight,
+    x, y, width, height
+  );
+  return true;
+}
+
+export class InterviewRecorder {
+  constructor() {
+    this.mediaRecorder = null;
+    this.chunks = [];
+    this.canvas = null;
+    this.drawTimer = null;
+    this.audioContext = null;
+    this.startedAt = null;
+    this.mimeType = '';
+    this.hasVideo = false;
+  }
+
+  get isRecording() {
+    return this.mediaRecorder?.state === 'recording';
+  }
+
+  /**
+   * Start recording
+   * @param {Object} sources
+   * @param {HTMLVideoElement} [sources.avatarVideo] - Element playing the HeyGen avatar stream
+   * @param {HTMLVideoElement} [sources.webcamVideo] - Element playing the local webcam stream
+   * @param {MediaStreamTrack[]} [sources.audioTracks] - Audio to mix (agent voice, microphone)
+   * @returns {{ startedAt: number, mimeType: string, hasVideo: boolean }}
+   */
+  start({ avatarVideo = null, webcamVideo = null, audioTracks = [] } = {}) {
+    if (this.isRecording) {
+      throw new Error('Recording already in progress');
+    }
+    if (!isRecordingSupported()) {
+      throw new Error('Recording is not supported in this browser');
+    }
+
+    const liveAudio = audioTracks.filter((track) => track && track.readyState === 'live');
+    this.hasVideo = !!(avatarVideo || webcamVideo);
+    if (!this.hasVideo && liveAudio.length === 0) {
+      throw new Error('Nothing to record yet - no video or audio is playing');
+    }
+
+    const tracks = [];
+
+    if (this.hasVideo) {
+      this.canvas = document.createElement('canvas');
+      this.canvas.width = CANVAS_WIDTH;
+      this.canvas.height = CANVAS_HEIGHT;
+      const ctx = this.canvas.getContext('2d');
+      // A timer rather than requestAnimationFrame so recording continues in a background tab
+      this.drawTimer = setInterval(() => this._drawFrame(ctx, avatarVideo, webcamVideo), 1000 / FRAME_RATE);
+      this._drawFrame(ctx, avatarVideo, webcamVideo);
+      tracks.push(...this.canvas.captureStream(FRAME_RATE).getVideoTracks());
+    }
+
+    if (liveAudio.length > 0) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.audioContext = new AudioContextClass();
+      const destination = this.audioContext.createMediaStreamDestination();
+      liveAudio.forEach((track) => {
+        this.audioContext.createMediaStreamSource(new MediaStream([track])).connect(destination);
+      });
+      tracks.push(...destination.stream.getAudioTracks());
+    }
+
+    this.mimeType = pickMimeType(this.hasVideo ? VIDEO_MIME_TYPES : AUDIO_MIME_TYPES);
+    this.chunks = [];
+    this.mediaRecorder = new MediaRecorder(
+      new MediaStream(tracks),
+      this.mimeType ? { mimeType: this.mimeType } : undefined
+    );
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data?.size > 0) {
+        this.chunks.push(event.data);
+      }
+    };
+    this.mediaRecorder.start(TIMESLICE_MS);
+    this.startedAt = Date.now();
+
+    console.log('⏺️ Interview recording started:', this.mimeType || 'browser default', this.hasVideo ? '(video)' : '(audio only)');
+    return { startedAt: this.startedAt, mimeType: this.mimeType, hasVideo: this.hasVideo };
+  }
+
+  /**
+   * Stop recording and collect the file
+   * @returns {Promise<Object|null>} { blob, mimeType, startedAt, durationMs, hasVideo } or null if nothing was recording
+   */
+  stop() {
+    const recorder = this.mediaRecorder;
+    if (!recorder || recorder.state === 'inactive') {
+      this._release();
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        const mimeType = recorder.mimeType || this.mimeType || (this.hasVideo ? 'video/webm' : 'audio/webm');
+        const result = {
+          blob: new Blob(this.chunks, { type: mimeType }),
+          mimeType,
+          startedAt: this.startedAt,
+          durationMs: Date.now() - this.startedAt,
+          hasVideo: this.hasVideo,
+        };
+        this._release();
+        console.log('⏹️ Interview recording stopped:', Math.round(result.blob.size / 1024), 'KB');
+        resolve(result);
+      };
+      recorder.stop();
+    });
+  }
+
+  /**
+   * Stop without keeping anything (e.g. the interview view unmounted)
+   */
+  discard() {
+    if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+      this.mediaRecorder.onstop = null;
+      this.mediaRecorder.stop();
+    }
+    this._release();
+  }
+
+  _drawFrame(ctx, avatarVideo, webcamVideo) {
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    const avatarDrawn = avatarVideo && drawCover(ctx, avatarVideo, 0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    if (webcamVideo) {
+      // Webcam fills the frame while the avatar video is missing, otherwise it's an inset
+      if (!avatarDrawn) {
+        drawCover(ctx, webcamVideo, 0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        return;
+      }
+      const width = Math.round(CANVAS_WIDTH * PIP_SCALE);
+      const height = Math.round(width * 9 / 16);
+      const x = CANVAS_WIDTH - width - PIP_MARGIN;
+      const y = CANVAS_HEIGHT - height - PIP_MARGIN;
+      if (drawCover(ctx, webcamVideo, x, y, width, height)) {
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, width, height);
+      }
+    }
+  }
+
+  _release() {
+    if (this.drawTimer) {
+      clearInterval(this.drawTimer);
+      this.drawTimer = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+    }
+    this.canvas = null;
+    this.mediaRecorder = null;
+    this.chunks = [];
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Interview Setup
+ * The steps that bring an interview up - avatar session, avatar video, LiveKit room,
+ * agent - driven by an InterviewStateMachine. Lives outside App so the order of the
+ * steps, and the HeyGen session ID handed to the LiveKit token, can be tested.
+ */
+import { INTERVIEW_STATES } from './InterviewStateMachine';
+import { pickInitialQuality } from './QualityPolicy';
+import { livekitService } from '../services/LiveKitService';
+import { preferencesService } from '../services/PreferencesService';
+
+/**
+ * Run the setup steps, moving the machine forward after each one
+ * A cancel, failure or step timeout aborts `signal`; the remaining steps are then
+ * skipped and whatever was created so far is released
+ * @param {Object} options
+ * @param {Object} options.avatar - Persona to interview
+ * @param {Object|null} options.resume - Interrupted interview to continue ({ roomName, ... })
+ * @param {InterviewStateMachine} options.machine - Started machine (see InterviewStateMachine.start)
+ * @param {AbortSignal} options.signal - Signal returned by machine.start
+ * @param {Function} options.createNewSession - From useStreamingSession; resolves with { session }
+ * @param {Function} options.startSession - From useStreamingSession
+ * @param {boolean} options.sharesSessionWithAgent - Whether the LiveKit agent drives the avatar session
+ * @param {Function} options.release - Release the avatar session and room created so far
+ * @param {Function} options.onRoomJoined - Called with the connected room
+ * @param {Function} options.onRoomLost - Called once LiveKit has given up rejoining the room
+ * @param {LiveKitService} options.livekit - LiveKit service (default: livekitService)
+ * @returns {Promise<void>} Rejects when a step fails
+ */
+export async function runInterviewSetup({
+  avatar,
+  resume = null,
+  machine,
+  signal,
+  createNewSession,
+  startSession,
+  sharesSessionWithAgent,
+  release,
+  onRoomJoined,
+  onRoomLost,
+  livekit = livekitService,
+}) {
+  // Step 1: Create HeyGen session for video
+  const quality = await pickInitialQuality(preferencesService.get().avatarQuality);
+  if (signal.aborted) return;
+  // The session comes back from the call itself - React state isn't updated inside the caller's closure yet
+  const { session } = await createNewSession(
+    avatar.heygenAvatarId,
+    avatar.heygenVoiceId,
+    quality
+  );
+  if (signal.aborted) {
+    await release();
+    return;
+  }
+
+  // Step 2: Start the HeyGen video stream
+  machine.transition(INTERVIEW_STATES.STARTING_STREAM);
+  const onDataChannel = (event) => {
+    const dataChannel = event.channel;
+    dataChannel.onmessage = () => {
+      // Handle WebSocket messages if needed
+    };
+  };
+
+  await startSession(null, onDataChannel);
+  if (signal.aborted) {
+    await release();
+    return;
+  }
+
+  // Step 3: Connect to LiveKit for audio/text
+  machine.transition(INTERVIEW_STATES.JOINING_ROOM);
+  // Use a fixed room name for testing (easier for agent to connect)
+  // Change back to dynamic name once agent auto-join is configured
+  // A resumed interview rejoins the room it was interrupted in
+  const roomName = resume?.roomName || `room-avatar-${avatar.id}`; // Fixed room name per avatar
+  // const roomName = `room-${avatar.id}-${Date.now()}`; // Dynamic (original)
+  const participantName = `user-${Date.now()}`;
+
+  // Get HeyGen session_id to pass to LiveKit agent (only providers the agent can drive)
+  const heygenSessionId = sharesSessionWithAgent ? session?.session_id || null : null;
+  if (sharesSessionWithAgent && !heygenSessionId) {
+    throw new Error('Avatar session was created without a session ID');
+  }
+
+  // Connect to LiveKit room
+  const room = await livekit.connectToRoom(
+    roomName,
+    participantName,
+    avatar.id,
+    heygenSessionId,
+    () => {
+      // Track handling is done in InterviewView component
+    },
+    () => {
+      if (machine.is(INTERVIEW_STATES.WAITING_AGENT)) {
+        machine.transition(INTERVIEW_STATES.LIVE);
+      }
+    },
+    onRoomLost
+  );
+  if (signal.aborted) {
+    await release();
+    return;
+  }
+
+  onRoomJoined(room);
+
+  // Step 4: Agent auto-joins via roomConfig in the token (no manual dispatch needed).
+  // The machine moves on to 'live' with a warning if it doesn't show up in time.
+  machine.transition(INTERVIEW_STATES.WAITING_AGENT);
+  if (room.remoteParticipants.size > 0) {
+    machine.transition(INTERVIEW_STATES.LIVE);
+  }
+}
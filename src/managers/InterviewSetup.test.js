@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { runInterviewSetup } from './InterviewSetup';
+import { InterviewStateMachine, INTERVIEW_STATES } from './InterviewStateMachine';
+import { LiveKitService } from '../services/LiveKitService';
+
+vi.mock('livekit-client', () => import('../test/livekitClientMock'));
+
+vi.mock('../services/AuthService', () => ({
+  authService: {
+    authFetch: vi.fn(),
+    getAuthHeader: () => ({}),
+  },
+}));
+
+vi.mock('../services/PreferencesService', () => ({
+  preferencesService: { get: () => ({ avatarQuality: 'low' }) },
+}));
+
+vi.mock('./QualityPolicy', () => ({
+  pickInitialQuality: vi.fn(async (preference) => preference),
+}));
+
+const avatar = { id: 3, heygenAvatarId: 'heygen-avatar', heygenVoiceId: 'heygen-voice' };
+
+// Step timeouts never fire on their own here
+const timers = { setTimeout: () => 1, clearTimeout: () => {} };
+
+describe('runInterviewSetup', () => {
+  let machine;
+  let livekit;
+  let options;
+
+  beforeEach(() => {
+    machine = new InterviewStateMachine({ timers });
+    livekit = new LiveKitService();
+    vi.spyOn(livekit, 'createRoomToken').mockResolvedValue({ url: 'wss://livekit.test', token: 'token' });
+
+    options = {
+      avatar,
+      machine,
+      signal: machine.start({ avatarId: avatar.id }),
+      createNewSession: vi.fn(async () => ({ session: { session_id: 'heygen-session-1' } })),
+      startSession: vi.fn(async () => {}),
+      sharesSessionWithAgent: true,
+      release: vi.fn(async () => {}),
+      onRoomJoined: vi.fn(),
+      onRoomLost: vi.fn(),
+      livekit,
+    };
+  });
+
+  it('requests the room token with the session id returned by createNewSession', async () => {
+    await runInterviewSetup(options);
+
+    expect(options.createNewSession).toHaveBeenCalledWith('heygen-avatar', 'heygen-voice', 'low');
+    expect(livekit.createRoomToken).toHaveBeenCalledTimes(1);
+    expect(livekit.createRoomToken).toHaveBeenCalledWith('room-avatar-3', expect.any(String), 3, 'heygen-session-1');
+    expect(options.onRoomJoined).toHaveBeenCalledWith(livekit.getCurrentRoom());
+    expect(machine.state).toBe(INTERVIEW_STATES.WAITING_AGENT);
+  });
+
+  it('rejoins the room of a resumed interview', async () => {
+    await runInterviewSetup({ ...options, resume: { roomName: 'room-interrupted' } });
+
+    expect(livekit.createRoomToken).toHaveBeenCalledWith('room-interrupted', expect.any(String), 3, 'heygen-session-1');
+  });
+
+  it('fails instead of joining when a shared avatar session has no id', async () => {
+    options.createNewSession.mockResolvedValueOnce({ session: {} });
+
+    await expect(runInterviewSetup(options)).rejects.toThrow('Avatar session was created without a session ID');
+    expect(livekit.createRoomToken).not.toHaveBeenCalled();
+  });
+
+  it('leaves the session id out for providers the agent cannot drive', async () => {
+    await runInterviewSetup({ ...options, sharesSessionWithAgent: false });
+
+    expect(livekit.createRoomToken).toHaveBeenCalledWith('room-avatar-3', expect.any(String), 3, null);
+  });
+
+  it('releases the avatar session and stops when cancelled while it is created', async () => {
+    options.createNewSession.mockImplementationOnce(async () => {
+      machine.cancel();
+      return { session: { session_id: 'heygen-session-1' } };
+    });
+
+    await runInterviewSetup(options);
+
+    expect(options.release).toHaveBeenCalledTimes(1);
+    expect(options.startSession).not.toHaveBeenCalled();
+    expect(livekit.createRoomToken).not.toHaveBeenCalled();
+    expect(machine.state).toBe(INTERVIEW_STATES.IDLE);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Interview State Machine
+ * Single source of truth for the interview lifecycle: which state we are in,
+ * which transitions are allowed, how long each state may last and how a
+ * running setup is cancelled. Has no React or network dependencies.
+ */
+
+export const INTERVIEW_STATES = {
+  IDLE: 'idle',
+  CREATING_AVATAR: 'creating-avatar',
+  STARTING_STREAM: 'starting-stream',
+  JOINING_ROOM: 'joining-room',
+  WAITING_AGENT: 'waiting-agent',
+  LIVE: 'live',
+  SCORING: 'scoring',
+  ENDED: 'ended',
+  FAILED: 'failed',
+};
+
+const S = INTERVIEW_STATES;
+
+/**
+ * Allowed transitions. Every setup state can fail or be cancelled back to idle.
+ */
+export const TRANSITIONS = {
+  [S.IDLE]: [S.CREATING_AVATAR],
+  [S.CREATING_AVATAR]: [S.STARTING_STREAM, S.FAILED, S.IDLE],
+  [S.STARTING_STREAM]: [S.JOINING_ROOM, S.FAILED, S.IDLE],
+  [S.JOINING_ROOM]: [S.WAITING_AGENT, S.FAILED, S.IDLE],
+  [S.WAITING_AGENT]: [S.LIVE, S.FAILED, S.IDLE],
+  [S.LIVE]: [S.SCORING, S.ENDED, S.FAILED, S.IDLE],
+  [S.SCORING]: [S.ENDED, S.FAILED, S.IDLE],
+  [S.ENDED]: [S.IDLE],
+  [S.FAILED]: [S.IDLE, S.CREATING_AVATAR],
+};
+
+/**
+ * Per-state settings
+ * - step: position in the setup progress shown on the loading screen
+ * - timeoutMs / onTimeout: where to go if the state lasts too long
+ */
+export const STATE_CONFIG = {
+  [S.IDLE]: { label: 'Ready' },
+  [S.CREATING_AVATAR]: {
+    label: 'Creating avatar session',
+    step: 0,
+    timeoutMs: 30000,
+    onTimeout: { to: S.FAILED, error: 'Timed out creating the avatar session' },
+  },
+  [S.STARTING_STREAM]: {
+    label: 'Starting avatar video',
+    step: 1,
+    timeoutMs: 20000,
+    onTimeout: { to: S.FAILED, error: 'Timed out starting the avatar video stream' },
+  },
+  [S.JOINING_ROOM]: {
+    label: 'Joining interview room',
+    step: 2,
+    timeoutMs: 20000,
+    onTimeout: { to: S.FAILED, error: 'Timed out joining the LiveKit room' },
+  },
+  [S.WAITING_AGENT]: {
+    label: 'Waiting for the agent',
+    step: 3,
+    timeoutMs: 10000,
+    // Let the user into the room anyway so they can see what is going on
+    onTimeout: { to: S.LIVE, warning: 'Agent did not join - check LIVEKIT_AGENT_NAME in .env' },
+  },
+  [S.LIVE]: { label: 'Interview in progress' },
+  [S.SCORING]: { label: 'Scoring interview', timeoutMs: 120000, onTimeout: { to: S.ENDED } },
+  [S.ENDED]: { label: 'Interview ended' },
+  [S.FAILED]: { label: 'Interview could not start' },
+};
+
+// States where the setup pipeline is running (loading screen visible)
+export const SETUP_STATES = [S.CREATING_AVATAR, S.STARTING_STREAM, S.JOINING_ROOM, S.WAITING_AGENT];
+// States where the interview view is mounted
+export const SESSION_STATES = [S.LIVE, S.SCORING, S.ENDED];
+
+/**
+ * Whether a transition is allowed
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Setup steps with their progress for a given state
+ * @param {string} state - Current state
+ * @param {string|null} failedState - State that was active when the setup failed
+ * @returns {Array<Object>} [{ state, label, status: 'done' | 'active' | 'pending' | 'failed' }]
+ */
+export function getSetupSteps(state, failedState = null) {
+  const current = state === S.FAILED ? failedState : state;
+  const currentStep = STATE_CONFIG[current]?.step ?? (SESSION_STATES.includes(current) ? SETUP_STATES.length : -1);
+
+  return SETUP_STATES.map((setupState) => {
+    const { step, label } = STATE_CONFIG[setupState];
+    let status = 'pending';
+    if (step < currentStep) status = 'done';
+    else if (step === currentStep) status = state === S.FAILED ? 'failed' : 'active';
+    return { state: setupState, label, status };
+  });
+}
+
+export class InterviewStateMachine {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onChange - Called with the snapshot after every transition
+   * @param {Object} options.timers - Injectable { setTimeout, clearTimeout } (for tests)
+   * @param {Object} options.config - Per-state settings (default: STATE_CONFIG)
+   */
+  constructor({ onChange, timers, config = STATE_CONFIG } = {}) {
+    this.onChange = onChange;
+    this.timers = timers || {
+      setTimeout: (fn, ms) => setTimeout(fn, ms),
+      clearTimeout: (id) => clearTimeout(id),
+    };
+    this.config = config;
+    this.state = S.IDLE;
+    this.context = this._emptyContext();
+    this.timeoutId = null;
+    this.abortController = null;
+  }
+
+  /**
+   * Current state and context
+   * @returns {Object} { state, context, steps }
+   */
+  getSnapshot() {
+    return {
+      state: this.state,
+      context: this.context,
+      steps: getSetupSteps(this.state, this.context.failedState),
+    };
+  }
+
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * Begin a new interview setup
+   * @param {Object} context - Initial context (e.g. { avatar })
+   * @returns {AbortSignal} Aborted when the setup is cancelled, fails or times out
+   */
+  start(context = {}) {
+    if (!canTransition(this.state, S.CREATING_AVATAR)) {
+      throw new Error(`Cannot start an interview while ${this.state}`);
+    }
+    this.abortController = new AbortController();
+    this.context = { ...this._emptyContext(), ...context, startedAt: Date.now() };
+    this._enter(S.CREATING_AVATAR);
+    return this.abortController.signal;
+  }
+
+  /**
+   * Move to another state
+   * Stale callers (e.g. a setup step finishing after a cancel) are ignored
+   * @param {string} to - Target state
+   * @param {Object} context - Context fields to merge
+   * @returns {boolean} Whether the transition happened
+   */
+  transition(to, context = {}) {
+    if (!canTransition(this.state, to)) {
+      console.warn(`Ignoring interview transition ${this.state} -> ${to}`);
+      return false;
+    }
+    this.context = { ...this.context, ...context };
+    this._enter(to);
+    return true;
+  }
+
+  /**
+   * Fail the interview from any active state
+   * @param {Error|string} error - What went wrong
+   * @returns {boolean} Whether the interview was active
+   */
+  fail(error) {
+    if (!canTransition(this.state, S.FAILED)) {
+      return false;
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    return this.transition(S.FAILED, { error: message, failedState: this.state });
+  }
+
+  /**
+   * Cancel a running setup or session and return to idle
+   * @returns {boolean} Whether anything was cancelled
+   */
+  cancel() {
+    if (this.state === S.IDLE) {
+      return false;
+    }
+    return this.reset();
+  }
+
+  /**
+   * Return to idle and clear the context
+   */
+  reset() {
+    if (this.state !== S.IDLE && !canTransition(this.state, S.IDLE)) {
+      return false;
+    }
+    this.context = this._emptyContext();
+    this._enter(S.IDLE);
+    return true;
+  }
+
+  /**
+   * Stop timers and abort any running setup (e.g. on unmount)
+   */
+  dispose() {
+    this._clearTimeout();
+    this._abort();
+    this.onChange = null;
+  }
+
+  // Private methods
+
+  _emptyContext() {
+    return { error: null, warning: null, failedState: null, startedAt: null };
+  }
+
+  _enter(state) {
+    this._clearTimeout();
+    this.state = state;
+
+    // Leaving the setup/session for good stops whatever was still running
+    if (state === S.IDLE || state === S.FAILED) {
+      this._abort();
+    }
+
+    const { timeoutMs, onTimeout } = this.config[state] || {};
+    if (timeoutMs && onTimeout) {
+      this.timeoutId = this.timers.setTimeout(() => {
+        this.timeoutId = null;
+        if (this.state !== state) return;
+        const { to, ...context } = onTimeout;
+        if (to === S.FAILED) {
+          this.fail(context.error);
+        } else {
+          this.transition(to, context);
+        }
+      }, timeoutMs);
+    }
+
+    this.onChange?.(this.getSnapshot());
+  }
+
+  _clearTimeout() {
+    if (this.timeoutId !== null) {
+      this.timers.clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+  }
+
+  _abort() {
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+  }
+}
@@ -0,0 +1,228 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  InterviewStateMachine,
+  INTERVIEW_STATES as S,
+  STATE_CONFIG,
+  canTransition,
+  getSetupSteps,
+} from './InterviewStateMachine';
+
+/**
+ * Timers that only fire when the test says so
+ */
+function createManualTimers() {
+  let nextId = 1;
+  const pending = new Map();
+  return {
+    setTimeout: (fn, ms) => {
+      const id = nextId++;
+      pending.set(id, { fn, ms });
+      return id;
+    },
+    clearTimeout: (id) => {
+      pending.delete(id);
+    },
+    pending,
+    // Fire the one running timer, checking its delay
+    fire(expectedMs) {
+      expect(pending.size).toBe(1);
+      const [[id, { fn, ms }]] = pending;
+      expect(ms).toBe(expectedMs);
+      pending.delete(id);
+      fn();
+    },
+  };
+}
+
+describe('canTransition', () => {
+  it('allows the setup steps in order', () => {
+    expect(canTransition(S.IDLE, S.CREATING_AVATAR)).toBe(true);
+    expect(canTransition(S.CREATING_AVATAR, S.STARTING_STREAM)).toBe(true);
+    expect(canTransition(S.STARTING_STREAM, S.JOINING_ROOM)).toBe(true);
+    expect(canTransition(S.JOINING_ROOM, S.WAITING_AGENT)).toBe(true);
+    expect(canTransition(S.WAITING_AGENT, S.LIVE)).toBe(true);
+  });
+
+  it('rejects skipped steps and unknown states', () => {
+    expect(canTransition(S.IDLE, S.LIVE)).toBe(false);
+    expect(canTransition(S.CREATING_AVATAR, S.JOINING_ROOM)).toBe(false);
+    expect(canTransition(S.ENDED, S.LIVE)).toBe(false);
+    expect(canTransition('unknown', S.IDLE)).toBe(false);
+  });
+
+  it('lets a failed interview be retried but not an idle one fail', () => {
+    expect(canTransition(S.FAILED, S.CREATING_AVATAR)).toBe(true);
+    expect(canTransition(S.IDLE, S.FAILED)).toBe(false);
+  });
+});
+
+describe('getSetupSteps', () => {
+  const statuses = (steps) => steps.map(step => step.status);
+
+  it('leaves every step pending while idle', () => {
+    expect(statuses(getSetupSteps(S.IDLE))).toEqual(['pending', 'pending', 'pending', 'pending']);
+  });
+
+  it('marks earlier steps done and the current one active', () => {
+    expect(statuses(getSetupSteps(S.JOINING_ROOM))).toEqual(['done', 'done', 'active', 'pending']);
+  });
+
+  it('marks every step done once the interview is live', () => {
+    expect(statuses(getSetupSteps(S.LIVE))).toEqual(['done', 'done', 'done', 'done']);
+  });
+
+  it('marks the step that was running as failed', () => {
+    expect(statuses(getSetupSteps(S.FAILED, S.STARTING_STREAM))).toEqual(['done', 'failed', 'pending', 'pending']);
+  });
+});
+
+describe('InterviewStateMachine', () => {
+  let timers;
+  let onChange;
+  let machine;
+
+  beforeEach(() => {
+    timers = createManualTimers();
+    onChange = vi.fn();
+    machine = new InterviewStateMachine({ onChange, timers });
+  });
+
+  it('notifies every transition with a snapshot', () => {
+    machine.start({ avatarId: 3 });
+    machine.transition(S.STARTING_STREAM);
+
+    expect(onChange).toHaveBeenCalledTimes(2);
+    const snapshot = onChange.mock.calls[1][0];
+    expect(snapshot.state).toBe(S.STARTING_STREAM);
+    expect(snapshot.context.avatarId).toBe(3);
+    expect(snapshot.steps[1].status).toBe('active');
+  });
+
+  it('refuses to start while an interview is running', () => {
+    machine.start();
+    expect(() => machine.start()).toThrow('Cannot start an interview while creating-avatar');
+  });
+
+  it('ignores transitions that are not allowed', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    machine.start();
+
+    expect(machine.transition(S.LIVE)).toBe(false);
+    expect(machine.state).toBe(S.CREATING_AVATAR);
+    warn.mockRestore();
+  });
+
+  it.each([
+    [S.CREATING_AVATAR, []],
+    [S.STARTING_STREAM, [S.STARTING_STREAM]],
+    [S.JOINING_ROOM, [S.STARTING_STREAM, S.JOINING_ROOM]],
+  ])('fails and aborts the setup when %s times out', (state, path) => {
+    const signal = machine.start();
+    path.forEach(step => machine.transition(step));
+
+    timers.fire(STATE_CONFIG[state].timeoutMs);
+
+    expect(machine.state).toBe(S.FAILED);
+    expect(machine.context.error).toBe(STATE_CONFIG[state].onTimeout.error);
+    expect(machine.context.failedState).toBe(state);
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('goes live with a warning when the agent does not join in time', () => {
+    const signal = machine.start();
+    machine.transition(S.STARTING_STREAM);
+    machine.transition(S.JOINING_ROOM);
+    machine.transition(S.WAITING_AGENT);
+
+    timers.fire(STATE_CONFIG[S.WAITING_AGENT].timeoutMs);
+
+    expect(machine.state).toBe(S.LIVE);
+    expect(machine.context.warning).toBe(STATE_CONFIG[S.WAITING_AGENT].onTimeout.warning);
+    expect(machine.context.error).toBeNull();
+    expect(signal.aborted).toBe(false);
+  });
+
+  it('ends scoring that takes too long', () => {
+    machine.start();
+    [S.STARTING_STREAM, S.JOINING_ROOM, S.WAITING_AGENT, S.LIVE, S.SCORING].forEach(step => machine.transition(step));
+
+    timers.fire(STATE_CONFIG[S.SCORING].timeoutMs);
+
+    expect(machine.state).toBe(S.ENDED);
+  });
+
+  it('clears the step timeout when the step finishes in time', () => {
+    machine.start();
+    machine.transition(S.STARTING_STREAM);
+
+    // Only the new step's timer is left
+    timers.fire(STATE_CONFIG[S.STARTING_STREAM].timeoutMs);
+    expect(machine.context.failedState).toBe(S.STARTING_STREAM);
+  });
+
+  it('has no timeout once the interview is live', () => {
+    machine.start();
+    [S.STARTING_STREAM, S.JOINING_ROOM, S.WAITING_AGENT, S.LIVE].forEach(step => machine.transition(step));
+
+    expect(timers.pending.size).toBe(0);
+  });
+
+  it('aborts the setup and returns to idle on cancel', () => {
+    const signal = machine.start({ avatarId: 3 });
+    machine.transition(S.STARTING_STREAM);
+
+    expect(machine.cancel()).toBe(true);
+    expect(signal.aborted).toBe(true);
+    expect(machine.state).toBe(S.IDLE);
+    expect(machine.context.avatarId).toBeUndefined();
+    expect(timers.pending.size).toBe(0);
+  });
+
+  it('has nothing to cancel while idle', () => {
+    expect(machine.cancel()).toBe(false);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('keeps the error and the failed step when failing', () => {
+    const signal = machine.start();
+    machine.transition(S.STARTING_STREAM);
+
+    expect(machine.fail(new Error('ICE failed'))).toBe(true);
+    expect(signal.aborted).toBe(true);
+    expect(machine.context).toMatchObject({ error: 'ICE failed', failedState: S.STARTING_STREAM });
+    // Already failed - nothing left to fail
+    expect(machine.fail('again')).toBe(false);
+  });
+
+  it('starts a fresh setup after a failure', () => {
+    machine.start();
+    machine.fail('Timed out');
+
+    const signal = machine.start();
+
+    expect(signal.aborted).toBe(false);
+    expect(machine.state).toBe(S.CREATING_AVATAR);
+    expect(machine.context.error).toBeNull();
+  });
+
+  it('stops timers and aborts on dispose', () => {
+    const signal = machine.start();
+
+    machine.dispose();
+
+    expect(signal.aborted).toBe(true);
+    expect(timers.pending.size).toBe(0);
+  });
+
+  it('ignores a timeout that fires after the state changed', () => {
+    const staleTimers = { setTimeout: vi.fn(() => 1), clearTimeout: () => {} };
+    machine = new InterviewStateMachine({ timers: staleTimers });
+    machine.start();
+    machine.transition(S.STARTING_STREAM);
+
+    // The creating-avatar timer was not cleared by these timers - firing it must do nothing
+    staleTimers.setTimeout.mock.calls[0][0]();
+
+    expect(machine.state).toBe(S.STARTING_STREAM);
+  });
+});
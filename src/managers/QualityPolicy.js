@@ -0,0 +1,158 @@
+/**
+ * Quality Policy
+ * Picks the starting avatar video quality and adapts it to measured connection stats
+ */
+import { config } from '../config';
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+// Minimum downlink (Mbps) to start at each quality
+const START_THRESHOLDS_MBPS = {
+  high: 5,
+  medium: 2,
+};
+
+// Received bitrate (kbps) below which a quality is considered starved
+const BITRATE_FLOORS_KBPS = {
+  medium: 600,
+  high: 1200,
+};
+
+const PROBE_TIMEOUT_MS = 3000;
+
+/**
+ * Estimate downlink bandwidth
+ * Uses the Network Information API when available, otherwise times a probe download
+ * @returns {Promise<number|null>} Estimated downlink in Mbps, or null if unknown
+ */
+export async function probeBandwidth() {
+  const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+  if (connection && typeof connection.downlink === 'number' && connection.downlink > 0) {
+    return connection.downlink;
+  }
+
+  if (!config.avatar.bandwidthProbeUrl) {
+    return null;
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  const startedAt = performance.now();
+
+  try {
+    const response = await fetch(`${config.avatar.bandwidthProbeUrl}?t=${Date.now()}`, {
+      cache: 'no-store',
+      signal: controller.signal,
+    });
+    const blob = await response.blob();
+    const seconds = (performance.now() - startedAt) / 1000;
+    return seconds > 0 ? (blob.size * 8) / seconds / 1e6 : null;
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Map a bandwidth estimate to a starting quality
+ * @param {number|null} downlinkMbps - Estimated downlink
+ * @returns {string} 'low', 'medium' or 'high'
+ */
+export function qualityForBandwidth(downlinkMbps) {
+  if (downlinkMbps === null || downlinkMbps === undefined) return 'low';
+  if (downlinkMbps >= START_THRESHOLDS_MBPS.high) return 'high';
+  if (downlinkMbps >= START_THRESHOLDS_MBPS.medium) return 'medium';
+  return 'low';
+}
+
+/**
+ * Pick the quality to start a session with
+ * @param {string} preference - User preference ('auto', 'low', 'medium', 'high')
+ * @returns {Promise<string>} Starting quality
+ */
+export async function pickInitialQuality(preference = 'auto') {
+  if (QUALITY_LEVELS.includes(preference)) {
+    return preference;
+  }
+  return qualityForBandwidth(await probeBandwidth());
+}
+
+export class QualityPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} options.degradeSamples - Consecutive bad samples before stepping down (default: 5)
+   * @param {number} options.headroomSamples - Consecutive clean samples before stepping up (default: 30)
+   * @param {number} options.cooldownMs - Minimum time between changes (default: 60000)
+   * @param {number} options.maxLossPct - Packet loss considered degraded (default: 5)
+   * @param {number} options.maxRttMs - RTT considered degraded (default: 400)
+   * @param {string} options.ceiling - Highest quality the policy may step up to (default: 'high')
+   */
+  constructor({
+    degradeSamples = 5,
+    headroomSamples = 30,
+    cooldownMs = 60000,
+    maxLossPct = 5,
+    maxRttMs = 400,
+    ceiling = 'high',
+  } = {}) {
+    this.degradeSamples = degradeSamples;
+    this.headroomSamples = headroomSamples;
+    this.cooldownMs = cooldownMs;
+    this.maxLossPct = maxLossPct;
+    this.maxRttMs = maxRttMs;
+    this.ceiling = ceiling;
+    this.lastChangeAt = 0;
+    this.samplesSinceChange = 0;
+  }
+
+  /**
+   * Record that the quality changed so samples from the old session are ignored
+   * @param {number} now - Timestamp (default: Date.now())
+   */
+  markChanged(now = Date.now()) {
+    this.lastChangeAt = now;
+    this.samplesSinceChange = 0;
+  }
+
+  /**
+   * Decide whether the session should move to another quality
+   * @param {Array<Object>} samples - Avatar stream samples from StatsCollector, oldest first
+   * @param {string} currentQuality - Quality of the running session
+   * @param {number} now - Timestamp (default: Date.now())
+   * @returns {string|null} New quality, or null to keep the current one
+   */
+  evaluate(samples, currentQuality, now = Date.now()) {
+    const recentSamples = samples.filter(sample => sample.timestamp > this.lastChangeAt);
+    this.samplesSinceChange = recentSamples.length;
+
+    if (now - this.lastChangeAt < this.cooldownMs) {
+      return null;
+    }
+
+    const level = QUALITY_LEVELS.indexOf(currentQuality);
+    if (level < 0) return null;
+
+    const floor = BITRATE_FLOORS_KBPS[currentQuality] || 0;
+    const isDegraded = (sample) =>
+      sample.packetLossPct > this.maxLossPct ||
+      sample.rttMs > this.maxRttMs ||
+      (sample.bitrateKbps !== null && sample.bitrateKbps < floor);
+
+    const lastDegrade = recentSamples.slice(-this.degradeSamples);
+    if (level > 0 && lastDegrade.length === this.degradeSamples && lastDegrade.every(isDegraded)) {
+      return QUALITY_LEVELS[level - 1];
+    }
+
+    const ceilingLevel = QUALITY_LEVELS.indexOf(this.ceiling);
+    const lastHeadroom = recentSamples.slice(-this.headroomSamples);
+    const isClean = (sample) =>
+      sample.packetLossPct < 1 &&
+      (sample.rttMs === null || sample.rttMs < this.maxRttMs / 2);
+    if (level < ceilingLevel && lastHeadroom.length === this.headroomSamples && lastHeadroom.every(isClean)) {
+      return QUALITY_LEVELS[level + 1];
+    }
+
+    return null;
+  }
+}
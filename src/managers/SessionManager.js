@@ -1,15 +1,45 @@
 /**
  * Session Manager Class
  * Manages streaming session lifecycle and state
+ * Delegates the avatar video backend to an AvatarProvider (HeyGen by default)
  */
-import { heygenService } from '../services/HeyGenService';
-import { WebRTCManager } from './WebRTCManager';
+import { createAvatarProvider } from '../providers';
+
+// How long a 'disconnected' connection may recover on its own before we intervene
+const DISCONNECT_GRACE_MS = 3000;
+// Session recreation attempts before giving up
+const MAX_RECREATE_ATTEMPTS = 3;
+const RECREATE_BACKOFF_MS = 2000;
 
 export class SessionManager {
-  constructor() {
+  /**
+   * @param {AvatarProvider} provider - Avatar provider (default: configured provider)
+   */
+  constructor(provider = createAvatarProvider()) {
+    this.provider = provider;
     this.sessionInfo = null;
-    this.webRTCManager = null;
     this.isConnected = false;
+
+    // Reconnection state
+    this.sessionParams = null;
+    this.sessionHandlers = null;
+    this.connectionState = 'idle';
+    this.reconnectListener = null;
+    this.unwatchConnection = null;
+    this.connectedWaiters = new Set();
+    this.isRecovering = false;
+    // Bumped on every close so in-flight recovery can tell it was cancelled
+    this.generation = 0;
+  }
+
+  /**
+   * Register callbacks for automatic reconnection
+   * @param {Object} listener
+   * @param {Function} listener.onConnectionStateChange - Called with 'connected', 'reconnecting' or 'failed'
+   * @param {Function} listener.onSessionRecreated - Called with { session, peerConnection, mediaStream } after a new session replaced a dead one
+   */
+  setReconnectListener(listener) {
+    this.reconnectListener = listener;
   }
 
   /**
@@ -17,23 +47,23 @@ export class SessionManager {
    * @param {string} avatarId - Avatar ID
    * @param {string} voiceId - Voice ID
    * @param {string} quality - Video quality (default: 'low')
-   * @returns {Promise<Object>} Session info and peer connection
+   * @returns {Promise<Object>} Session info, peer connection and/or media stream
    */
   async createSession(avatarId, voiceId, quality = 'low') {
-    const session = await heygenService.createSession(quality, avatarId, voiceId);
-    const { sdp: serverSdp, ice_servers2: iceServers } = session;
-
-    this.webRTCManager = new WebRTCManager(iceServers);
-    const peerConnection = this.webRTCManager.createPeerConnection();
-
-    await this.webRTCManager.setRemoteDescription(serverSdp);
+    const { session, peerConnection, mediaStream } = await this.provider.createSession({
+      avatarId,
+      voiceId,
+      quality,
+    });
 
     this.sessionInfo = session;
+    this.sessionParams = { avatarId, voiceId, quality };
     this.isConnected = false;
 
     return {
       session,
       peerConnection,
+      mediaStream,
     };
   }
 
@@ -41,44 +71,18 @@ export class SessionManager {
    * Start the streaming session
    * @param {Function} onTrack - Callback for track events
    * @param {Function} onDataChannel - Callback for data channel events
-   * @param {Function} onIceCandidate - Callback for ICE candidates
    * @returns {Promise<void>}
    */
-  async startSession(onTrack, onDataChannel, onIceCandidate) {
-    if (!this.sessionInfo || !this.webRTCManager) {
+  async startSession(onTrack, onDataChannel) {
+    if (!this.sessionInfo) {
       throw new Error('Please create a connection first');
     }
 
-    const peerConnection = this.webRTCManager.getPeerConnection();
-
-    // Set up event handlers
-    if (onTrack) {
-      peerConnection.ontrack = onTrack;
-    }
-
-    if (onDataChannel) {
-      peerConnection.ondatachannel = onDataChannel;
-    }
-
-    // Set up ICE candidate handler BEFORE creating answer
-    if (onIceCandidate) {
-      this.webRTCManager.setupIceCandidateHandler((candidate) => {
-        onIceCandidate(this.sessionInfo.session_id, candidate.toJSON());
-      });
-    }
-
-    // Create and set local answer (this triggers ICE candidate gathering)
-    // The SDP already contains initial ICE candidates, so we send it immediately
-    const localDescription = await this.webRTCManager.createAnswer();
-
-    // Send SDP to server immediately (don't wait for all ICE candidates)
-    // ICE candidates will continue to be sent as they arrive
-    await heygenService.startSession(this.sessionInfo.session_id, localDescription);
-
-    // Configure jitter buffer
-    this.webRTCManager.configureJitterBuffer(500);
+    await this.provider.startSession({ onTrack, onDataChannel });
 
+    this.sessionHandlers = { onTrack, onDataChannel };
     this.isConnected = true;
+    this._watchConnection();
   }
 
   /**
@@ -90,7 +94,50 @@ export class SessionManager {
     if (!this.sessionInfo) {
       throw new Error('Please create a connection first');
     }
-    return await heygenService.sendTask(this.sessionInfo.session_id, text);
+    return await this.provider.sendTask(text);
+  }
+
+  /**
+   * Switch a running session to another video quality
+   * HeyGen fixes quality at creation, so this replaces the session
+   * @param {string} quality - New video quality
+   * @returns {Promise<boolean>} Whether the session now runs at the new quality
+   */
+  async changeQuality(quality) {
+    if (!this.sessionParams || !this.isConnected || this.isRecovering) {
+      return false;
+    }
+    if (this.sessionParams.quality === quality) {
+      return true;
+    }
+
+    const generation = this.generation;
+    const isCancelled = () => generation !== this.generation;
+    const previousQuality = this.sessionParams.quality;
+
+    this.isRecovering = true;
+    this._setConnectionState('reconnecting');
+    this.sessionParams = { ...this.sessionParams, quality };
+
+    try {
+      const recreated = await this._recreateSession(isCancelled);
+      if (isCancelled()) return false;
+      if (!recreated) {
+        this.sessionParams = { ...this.sessionParams, quality: previousQuality };
+      }
+      this._setConnectionState(recreated ? 'connected' : 'failed');
+      return recreated;
+    } finally {
+      this.isRecovering = false;
+    }
+  }
+
+  /**
+   * Current session video quality
+   * @returns {string|null}
+   */
+  getQuality() {
+    return this.sessionParams?.quality || null;
   }
 
   /**
@@ -98,20 +145,157 @@ export class SessionManager {
    * @returns {Promise<void>}
    */
   async closeSession() {
-    if (!this.sessionInfo || !this.webRTCManager) {
+    if (!this.sessionInfo) {
       return;
     }
 
-    this.webRTCManager.close();
-    await heygenService.stopSession(this.sessionInfo.session_id);
-    
+    this._stopWatchingConnection();
+    this.generation++;
     this.sessionInfo = null;
-    this.webRTCManager = null;
+    this.sessionParams = null;
+    this.sessionHandlers = null;
     this.isConnected = false;
+    this.connectionState = 'idle';
+
+    await this.provider.stopSession();
+  }
+
+  /**
+   * Close the session synchronously (for cleanup during page unload)
+   */
+  closeSessionSync() {
+    if (!this.sessionInfo) {
+      return;
+    }
+    this.provider.stopSessionSync();
+  }
+
+  /**
+   * Whether the LiveKit agent should receive this provider's session ID
+   * @returns {boolean}
+   */
+  sharesSessionWithAgent() {
+    return this.provider.shareSessionWithAgent;
   }
 
   getPeerConnection() {
-    return this.webRTCManager?.getPeerConnection() || null;
+    return this.provider.getPeerConnection();
   }
-}
 
+  getMediaStream() {
+    return this.provider.getMediaStream();
+  }
+
+  // Private methods - connection recovery
+
+  _watchConnection() {
+    this._stopWatchingConnection();
+    this.unwatchConnection = this.provider.onConnectionStateChange((state) => {
+      this._handleConnectionState(state);
+    });
+    this._setConnectionState('connected');
+  }
+
+  _stopWatchingConnection() {
+    if (this.unwatchConnection) {
+      this.unwatchConnection();
+      this.unwatchConnection = null;
+    }
+    this.connectedWaiters.forEach((resolve) => resolve(false));
+    this.connectedWaiters.clear();
+  }
+
+  _setConnectionState(state) {
+    if (this.connectionState === state) {
+      return;
+    }
+    this.connectionState = state;
+    this.reconnectListener?.onConnectionStateChange?.(state);
+  }
+
+  _handleConnectionState(state) {
+    if (state === 'connected') {
+      this.connectedWaiters.forEach((resolve) => resolve(true));
+      this.connectedWaiters.clear();
+      if (!this.isRecovering) {
+        this._setConnectionState('connected');
+      }
+      return;
+    }
+
+    if ((state === 'disconnected' || state === 'failed') && !this.isRecovering) {
+      this._recover(state);
+    }
+  }
+
+  _waitForConnected(timeoutMs) {
+    return new Promise((resolve) => {
+      const settle = (connected) => {
+        clearTimeout(timer);
+        this.connectedWaiters.delete(settle);
+        resolve(connected);
+      };
+      const timer = setTimeout(() => settle(false), timeoutMs);
+      this.connectedWaiters.add(settle);
+    });
+  }
+
+  /**
+   * Escalating recovery: wait briefly, then recreate the session with the same avatar/voice/quality
+   * (HeyGen sessions can't be renegotiated, so an ICE restart would never get new credentials across)
+   */
+  async _recover(state) {
+    const generation = this.generation;
+    const isCancelled = () => generation !== this.generation;
+
+    this.isRecovering = true;
+    this._setConnectionState('reconnecting');
+
+    try {
+      // 'disconnected' is often transient - give the transport a moment first
+      if (state === 'disconnected' && await this._waitForConnected(DISCONNECT_GRACE_MS)) {
+        this._setConnectionState('connected');
+        return;
+      }
+
+      if (isCancelled()) return;
+
+      const recreated = await this._recreateSession(isCancelled);
+      if (!isCancelled()) {
+        this._setConnectionState(recreated ? 'connected' : 'failed');
+      }
+    } finally {
+      this.isRecovering = false;
+    }
+  }
+
+  async _recreateSession(isCancelled) {
+    const { avatarId, voiceId, quality } = this.sessionParams;
+    const { onTrack, onDataChannel } = this.sessionHandlers || {};
+
+    for (let attempt = 1; attempt <= MAX_RECREATE_ATTEMPTS; attempt++) {
+      try {
+        this._stopWatchingConnection();
+        await this.provider.stopSession().catch(() => {});
+        if (isCancelled()) return false;
+
+        const result = await this.createSession(avatarId, voiceId, quality);
+        if (isCancelled()) {
+          // Closed by the user while the replacement was being created
+          this.sessionInfo = null;
+          await this.provider.stopSession().catch(() => {});
+          return false;
+        }
+        this.reconnectListener?.onSessionRecreated?.(result);
+
+        await this.startSession(onTrack, onDataChannel);
+        return true;
+      } catch (error) {
+        console.warn(`Avatar session recreation attempt ${attempt} failed:`, error);
+        await new Promise((resolve) => setTimeout(resolve, RECREATE_BACKOFF_MS * attempt));
+        if (isCancelled()) return false;
+      }
+    }
+    return false;
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Stats Collector Class
+ * Polls WebRTC getStats() for the HeyGen peer connection and the LiveKit room
+ * and turns the cumulative counters into per-interval quality samples
+ */
+
+const DEFAULT_INTERVAL_MS = 2000;
+// Keep roughly 10 minutes of samples at the default interval
+const MAX_HISTORY = 300;
+
+/**
+ * Sum the counters we care about from an RTCStatsReport
+ * @param {RTCStatsReport} report - Report from getStats()/getRTCStatsReport()
+ * @param {Object} totals - Accumulator (mutated)
+ * @returns {Object} The accumulator
+ */
+function accumulateReport(report, totals) {
+  if (!report) return totals;
+
+  report.forEach((stat) => {
+    if (stat.type === 'inbound-rtp') {
+      totals.bytesReceived += stat.bytesReceived || 0;
+      totals.packetsReceived += stat.packetsReceived || 0;
+      totals.packetsLost += Math.max(stat.packetsLost || 0, 0);
+      totals.framesDropped += stat.framesDropped || 0;
+      if (typeof stat.jitter === 'number') {
+        totals.jitterMs = Math.max(totals.jitterMs ?? 0, stat.jitter * 1000);
+      }
+      if (stat.kind === 'video' && typeof stat.framesPerSecond === 'number') {
+        totals.framesPerSecond = stat.framesPerSecond;
+      }
+    } else if (stat.type === 'outbound-rtp') {
+      totals.bytesSent += stat.bytesSent || 0;
+    } else if (stat.type === 'remote-inbound-rtp') {
+      // Loss and RTT the remote side reports for what we send (e.g. our microphone)
+      totals.packetsLost += Math.max(stat.packetsLost || 0, 0);
+      if (typeof stat.roundTripTime === 'number') {
+        totals.rttMs = stat.roundTripTime * 1000;
+      }
+      if (typeof stat.jitter === 'number') {
+        totals.jitterMs = Math.max(totals.jitterMs ?? 0, stat.jitter * 1000);
+      }
+    } else if (stat.type === 'candidate-pair' && stat.state === 'succeeded' && (stat.nominated || stat.selected)) {
+      if (typeof stat.currentRoundTripTime === 'number') {
+        totals.rttMs = stat.currentRoundTripTime * 1000;
+      }
+    }
+  });
+
+  return totals;
+}
+
+function emptyTotals(timestamp) {
+  return {
+    timestamp,
+    bytesReceived: 0,
+    bytesSent: 0,
+    packetsReceived: 0,
+    packetsLost: 0,
+    framesDropped: 0,
+    jitterMs: null,
+    rttMs: null,
+    framesPerSecond: null,
+  };
+}
+
+/**
+ * Turn two cumulative snapshots into an interval sample
+ */
+function toSample(current, previous) {
+  const elapsedMs = previous ? current.timestamp - previous.timestamp : 0;
+  const delta = (key) => (previous ? Math.max(current[key] - previous[key], 0) : 0);
+
+  const received = delta('packetsReceived');
+  const lost = delta('packetsLost');
+
+  return {
+    timestamp: current.timestamp,
+    bitrateKbps: elapsedMs > 0 ? (delta('bytesReceived') * 8) / elapsedMs : null,
+    sendBitrateKbps: elapsedMs > 0 ? (delta('bytesSent') * 8) / elapsedMs : null,
+    packetLossPct: received + lost > 0 ? (lost / (received + lost)) * 100 : 0,
+    jitterMs: current.jitterMs,
+    rttMs: current.rttMs,
+    framesDropped: delta('framesDropped'),
+    framesPerSecond: current.framesPerSecond,
+  };
+}
+
+const average = (values) => {
+  const present = values.filter((v) => typeof v === 'number' && !Number.isNaN(v));
+  if (present.length === 0) return null;
+  return present.reduce((sum, v) => sum + v, 0) / present.length;
+};
+
+const round = (value, digits = 1) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Summarize a list of samples
+ * @param {Array<Object>} samples - Interval samples
+ * @returns {Object|null} Averages/maxima or null when nothing was measured
+ */
+export function summarizeSamples(samples) {
+  if (!samples || samples.length === 0) return null;
+  const bitrates = samples.map((s) => s.bitrateKbps).filter((v) => typeof v === 'number');
+  return {
+    samples: samples.length,
+    avgBitrateKbps: round(average(bitrates)),
+    minBitrateKbps: bitrates.length > 0 ? round(Math.min(...bitrates)) : null,
+    avgPacketLossPct: round(average(samples.map((s) => s.packetLossPct)), 2),
+    maxPacketLossPct: round(Math.max(...samples.map((s) => s.packetLossPct || 0)), 2),
+    avgJitterMs: round(average(samples.map((s) => s.jitterMs))),
+    avgRttMs: round(average(samples.map((s) => s.rttMs))),
+    maxRttMs: round(Math.max(...samples.map((s) => s.rttMs || 0))),
+    totalFramesDropped: samples.reduce((sum, s) => sum + (s.framesDropped || 0), 0),
+  };
+}
+
+export class StatsCollector {
+  /**
+   * @param {Object} sources
+   * @param {Function} sources.getPeerConnection - Returns the avatar RTCPeerConnection (or null)
+   * @param {Function} sources.getRoom - Returns the LiveKit Room (or null)
+   * @param {Object} options
+   * @param {number} options.intervalMs - Polling interval (default: 2000)
+   * @param {Function} options.onSample - Called with { heygen, livekit } after every poll
+   */
+  constructor({ getPeerConnection, getRoom }, { intervalMs = DEFAULT_INTERVAL_MS, onSample } = {}) {
+    this.getPeerConnection = getPeerConnection;
+    this.getRoom = getRoom;
+    this.intervalMs = intervalMs;
+    this.onSample = onSample;
+    this.timer = null;
+    this.previous = { heygen: null, livekit: null };
+    this.history = { heygen: [], livekit: [] };
+    this.startedAt = null;
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) return;
+    this.startedAt = Date.now();
+    this.timer = setInterval(() => {
+      this.poll().catch(() => {
+        // Stats are best-effort - a failed poll must never disturb the interview
+      });
+    }, this.intervalMs);
+  }
+
+  /**
+   * Stop polling (history is kept for getSummary)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Collect one sample from every source
+   * @returns {Promise<Object>} { heygen, livekit } samples (null for unavailable sources)
+   */
+  async poll() {
+    const [heygen, livekit] = await Promise.all([
+      this._collectHeyGen(),
+      this._collectLiveKit(),
+    ]);
+
+    const result = {
+      heygen: this._record('heygen', heygen),
+      livekit: this._record('livekit', livekit),
+    };
+    this.onSample?.(result);
+    return result;
+  }
+
+  /**
+   * Summarize everything collected so far
+   * @returns {Object} Per-source summaries plus collection window
+   */
+  getSummary() {
+    return {
+      started_at: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      interval_ms: this.intervalMs,
+      heygen: summarizeSamples(this.history.heygen),
+      livekit: summarizeSamples(this.history.livekit),
+    };
+  }
+
+  /**
+   * Get collected samples for a source
+   * @param {string} source - 'heygen' or 'livekit'
+   * @returns {Array<Object>} Samples, oldest first
+   */
+  getHistory(source) {
+    return this.history[source] || [];
+  }
+
+  // Private methods
+
+  _record(source, totals) {
+    if (!totals) {
+      this.previous[source] = null;
+      return null;
+    }
+    const previous = this.previous[source];
+    this.previous[source] = totals;
+    // The first snapshot only establishes a baseline for the deltas
+    if (!previous) return null;
+
+    const sample = toSample(totals, previous);
+    this.history[source].push(sample);
+    if (this.history[source].length > MAX_HISTORY) {
+      this.history[source].shift();
+    }
+    return sample;
+  }
+
+  async _collectHeyGen() {
+    const peerConnection = this.getPeerConnection?.();
+    if (!peerConnection || peerConnection.connectionState === 'closed') {
+      return null;
+    }
+    const report = await peerConnection.getStats();
+    return accumulateReport(report, emptyTotals(Date.now()));
+  }
+
+  async _collectLiveKit() {
+    const room = this.getRoom?.();
+    if (!room || room.state !== 'connected') {
+      return null;
+    }
+
+    const tracks = [];
+    room.remoteParticipants.forEach((participant) => {
+      participant.trackPublications.forEach((publication) => {
+        if (publication.track) tracks.push(publication.track);
+      });
+    });
+    room.localParticipant?.trackPublications.forEach((publication) => {
+      if (publication.track) tracks.push(publication.track);
+    });
+
+    const reports = await Promise.all(
+      tracks.map((track) => track.getRTCStatsReport?.().catch(() => undefined))
+    );
+    const totals = emptyTotals(Date.now());
+    reports.forEach((report) => accumulateReport(report, totals));
+    return totals;
+  }
+}
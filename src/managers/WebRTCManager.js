@@ -1,11 +1,27 @@
+// Public STUN servers added unless disabled (useless when only relay candidates are allowed)
+const DEFAULT_STUN_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+];
 
 export class WebRTCManager {
+  /**
+   * @param {Array<RTCIceServer>} iceServers - ICE servers provided by the streaming backend
+   * @param {Object} options
+   * @param {number} options.iceCandidatePoolSize - Candidate pool size (default: 10)
+   * @param {string} options.iceTransportPolicy - 'all' or 'relay' (default: 'all')
+   * @param {Array<RTCIceServer>} options.extraIceServers - Additional STUN/TURN servers
+   * @param {boolean} options.includeDefaultStun - Append public STUN servers (default: true)
+   */
   constructor(iceServers, options = {}) {
-    this.iceServers = this._enhanceIceServers(iceServers);
     this.options = {
       iceCandidatePoolSize: 10,
+      iceTransportPolicy: 'all',
+      extraIceServers: [],
+      includeDefaultStun: true,
       ...options,
     };
+    this.iceServers = this._enhanceIceServers(iceServers || []);
     this.peerConnection = null;
     this.iceGatheringTimeout = null;
   }
@@ -18,6 +34,7 @@ export class WebRTCManager {
     this.peerConnection = new RTCPeerConnection({
       iceServers: this.iceServers,
       iceCandidatePoolSize: this.options.iceCandidatePoolSize,
+      iceTransportPolicy: this.options.iceTransportPolicy,
     });
     return this.peerConnection;
   }
@@ -82,6 +99,51 @@ export class WebRTCManager {
   }
 
 
+  /**
+   * Watch connection health
+   * Reports the worse of connectionState and iceConnectionState so a frozen ICE
+   * transport is noticed even when the browser is slow to update connectionState
+   * @param {Function} onStateChange - Called with 'new', 'connecting', 'connected', 'disconnected', 'failed' or 'closed'
+   * @returns {Function} Unsubscribe function
+   */
+  onConnectionStateChange(onStateChange) {
+    if (!this.peerConnection) {
+      throw new Error('Peer connection not initialized');
+    }
+
+    const peerConnection = this.peerConnection;
+    const handleChange = () => {
+      onStateChange(this.getConnectionState());
+    };
+
+    peerConnection.addEventListener('connectionstatechange', handleChange);
+    peerConnection.addEventListener('iceconnectionstatechange', handleChange);
+
+    return () => {
+      peerConnection.removeEventListener('connectionstatechange', handleChange);
+      peerConnection.removeEventListener('iceconnectionstatechange', handleChange);
+    };
+  }
+
+  /**
+   * Get the combined connection state
+   * @returns {string} Connection state ('closed' when there is no peer connection)
+   */
+  getConnectionState() {
+    if (!this.peerConnection) {
+      return 'closed';
+    }
+    const { connectionState, iceConnectionState } = this.peerConnection;
+    const states = [connectionState, iceConnectionState];
+    if (states.includes('failed')) return 'failed';
+    if (states.includes('closed')) return 'closed';
+    if (states.includes('disconnected')) return 'disconnected';
+    if (connectionState === 'connected' || iceConnectionState === 'connected' || iceConnectionState === 'completed') {
+      return 'connected';
+    }
+    return connectionState || iceConnectionState;
+  }
+
   /**
    * Close the peer connection
    */
@@ -108,10 +170,12 @@ export class WebRTCManager {
   // Private methods
 
   _enhanceIceServers(iceServers) {
+    const { extraIceServers, includeDefaultStun, iceTransportPolicy } = this.options;
+    const useDefaultStun = includeDefaultStun && iceTransportPolicy !== 'relay';
     return [
       ...iceServers,
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' },
+      ...extraIceServers,
+      ...(useDefaultStun ? DEFAULT_STUN_SERVERS : []),
     ];
   }
 }
@@ -0,0 +1,85 @@
+/**
+ * Avatar Provider Base Class
+ * Defines the interface SessionManager uses to drive an avatar video backend.
+ * Each provider instance owns at most one live session at a time.
+ */
+export class AvatarProvider {
+  /**
+   * @param {string} name - Provider identifier (e.g. 'heygen', 'static')
+   * @param {Object} options
+   * @param {boolean} options.shareSessionWithAgent - Whether the LiveKit agent should receive the session ID
+   */
+  constructor(name, { shareSessionWithAgent = false } = {}) {
+    this.name = name;
+    this.shareSessionWithAgent = shareSessionWithAgent;
+  }
+
+  /**
+   * Create a new avatar session
+   * @param {Object} params
+   * @param {string} params.avatarId - Avatar ID
+   * @param {string} params.voiceId - Voice ID
+   * @param {string} params.quality - Video quality ('low', 'medium', 'high')
+   * @returns {Promise<Object>} { session, peerConnection, mediaStream } - session always has a session_id
+   */
+  async createSession() {
+    throw new Error(`${this.name} provider does not implement createSession`);
+  }
+
+  /**
+   * Start streaming for the session created by createSession
+   * @param {Object} handlers
+   * @param {Function} handlers.onTrack - Callback for track events
+   * @param {Function} handlers.onDataChannel - Callback for data channel events
+   * @returns {Promise<void>}
+   */
+  async startSession() {
+    throw new Error(`${this.name} provider does not implement startSession`);
+  }
+
+  /**
+   * Make the avatar speak the given text
+   * @param {string} text - Text to speak
+   * @returns {Promise<Object>} Task response
+   */
+  async sendTask() {
+    throw new Error(`${this.name} provider does not implement sendTask`);
+  }
+
+  /**
+   * Stop the current session and release its resources
+   * @returns {Promise<void>}
+   */
+  async stopSession() {
+    throw new Error(`${this.name} provider does not implement stopSession`);
+  }
+
+  /**
+   * Stop the current session synchronously (for page unload)
+   */
+  stopSessionSync() {}
+
+  /**
+   * Watch the health of the avatar connection
+   * Providers without a network connection never report changes
+   * @param {Function} onStateChange - Called with 'connected', 'disconnected', 'failed', ...
+   * @returns {Function} Unsubscribe function
+   */
+  onConnectionStateChange() {
+    return () => {};
+  }
+
+  /**
+   * @returns {RTCPeerConnection|null} Peer connection carrying the avatar stream, if any
+   */
+  getPeerConnection() {
+    return null;
+  }
+
+  /**
+   * @returns {MediaStream|null} Local media stream carrying the avatar video, if any
+   */
+  getMediaStream() {
+    return null;
+  }
+}
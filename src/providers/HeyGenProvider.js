@@ -0,0 +1,120 @@
+/**
+ * HeyGen Avatar Provider
+ * Streams the avatar over WebRTC using HeyGen's streaming API
+ */
+import { heygenService } from '../services/HeyGenService';
+import { preferencesService } from '../services/PreferencesService';
+import { WebRTCManager } from '../managers/WebRTCManager';
+import { AvatarProvider } from './AvatarProvider';
+
+export class HeyGenProvider extends AvatarProvider {
+  /**
+   * @param {HeyGenService} service - HeyGen API client
+   * @param {Function} getReceiverSettings - Returns receiver tuning for a new session
+   */
+  constructor(service = heygenService, getReceiverSettings = () => preferencesService.getReceiverSettings()) {
+    super('heygen', { shareSessionWithAgent: true });
+    this.service = service;
+    this.getReceiverSettings = getReceiverSettings;
+    this.receiverSettings = null;
+    this.session = null;
+    this.webRTCManager = null;
+  }
+
+  async createSession({ avatarId, voiceId, quality }) {
+    const session = await this.service.createSession(quality, avatarId, voiceId);
+    const { sdp: serverSdp, ice_servers2: iceServers } = session;
+
+    // Read per session so settings changed between interviews apply to the next one
+    const settings = this.getReceiverSettings();
+    this.receiverSettings = settings;
+    this.webRTCManager = new WebRTCManager(iceServers, {
+      iceCandidatePoolSize: settings.iceCandidatePoolSize,
+      iceTransportPolicy: settings.iceTransportPolicy,
+      extraIceServers: settings.extraIceServers,
+      includeDefaultStun: settings.includeDefaultStun,
+    });
+    const peerConnection = this.webRTCManager.createPeerConnection();
+
+    await this.webRTCManager.setRemoteDescription(serverSdp);
+
+    this.session = session;
+
+    return {
+      session,
+      peerConnection,
+      mediaStream: null,
+    };
+  }
+
+  async startSession({ onTrack, onDataChannel } = {}) {
+    if (!this.session || !this.webRTCManager) {
+      throw new Error('Please create a connection first');
+    }
+
+    const peerConnection = this.webRTCManager.getPeerConnection();
+    const sessionId = this.session.session_id;
+
+    // Set up event handlers
+    if (onTrack) {
+      peerConnection.ontrack = onTrack;
+    }
+
+    if (onDataChannel) {
+      peerConnection.ondatachannel = onDataChannel;
+    }
+
+    // Set up ICE candidate handler BEFORE creating answer
+    this.webRTCManager.setupIceCandidateHandler((candidate) => {
+      this.service.submitIceCandidate(sessionId, candidate.toJSON());
+    });
+
+    // Create and set local answer (this triggers ICE candidate gathering)
+    // The SDP already contains initial ICE candidates, so we send it immediately
+    const localDescription = await this.webRTCManager.createAnswer();
+
+    // Send SDP to server immediately (don't wait for all ICE candidates)
+    // ICE candidates will continue to be sent as they arrive
+    await this.service.startSession(sessionId, localDescription);
+
+    // Configure jitter buffer
+    this.webRTCManager.configureJitterBuffer(this.receiverSettings.jitterBufferTargetMs);
+  }
+
+  async sendTask(text) {
+    if (!this.session) {
+      throw new Error('Please create a connection first');
+    }
+    return await this.service.sendTask(this.session.session_id, text);
+  }
+
+  async stopSession() {
+    if (!this.session) {
+      return;
+    }
+    const sessionId = this.session.session_id;
+
+    this.webRTCManager?.close();
+    this.webRTCManager = null;
+    this.session = null;
+
+    await this.service.stopSession(sessionId);
+  }
+
+  stopSessionSync() {
+    if (this.session) {
+      this.service.stopSessionSync(this.session.session_id);
+    }
+  }
+
+  onConnectionStateChange(onStateChange) {
+    if (!this.webRTCManager) {
+      return () => {};
+    }
+    return this.webRTCManager.onConnectionStateChange(onStateChange);
+  }
+
+  getPeerConnection() {
+    return this.webRTCManager?.getPeerConnection() || null;
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Static Avatar Provider
+ * Shows a generated placeholder instead of a live avatar - no network access required -
+ * or loops a local clip when VITE_STATIC_AVATAR_CLIP is set.
+ * Used for offline development and tests that run without a HeyGen key.
+ */
+import { config } from '../config';
+import { AvatarProvider } from './AvatarProvider';
+
+const PLACEHOLDER_WIDTH = 640;
+const PLACEHOLDER_HEIGHT = 480;
+const PLACEHOLDER_FPS = 15;
+
+export class StaticVideoProvider extends AvatarProvider {
+  constructor(clipUrl = config.avatar.staticClipUrl) {
+    super('static', { shareSessionWithAgent: false });
+    this.clipUrl = clipUrl;
+    this.session = null;
+    this.mediaStream = null;
+    this.videoElement = null;
+    this.placeholderTimer = null;
+  }
+
+  async createSession({ avatarId }) {
+    let mediaStream = null;
+    if (this.clipUrl) {
+      try {
+        mediaStream = await this._createClipStream();
+      } catch (error) {
+        // Clip missing or captureStream unsupported - draw the placeholder instead
+        console.warn('Static avatar clip unavailable, using the placeholder:', error);
+      }
+    }
+    if (!mediaStream) {
+      mediaStream = this._createPlaceholderStream(avatarId);
+    }
+
+    this.mediaStream = mediaStream;
+    this.session = {
+      session_id: `static-${Date.now()}`,
+      provider: this.name,
+      avatar_id: avatarId,
+    };
+
+    return {
+      session: this.session,
+      peerConnection: null,
+      mediaStream,
+    };
+  }
+
+  async startSession() {
+    if (!this.session) {
+      throw new Error('Please create a connection first');
+    }
+    if (this.videoElement) {
+      await this.videoElement.play().catch(() => {});
+    }
+  }
+
+  async sendTask(text) {
+    if (!this.session) {
+      throw new Error('Please create a connection first');
+    }
+    // The static clip has no lip-sync - acknowledge the task so callers behave as with HeyGen
+    return { session_id: this.session.session_id, text };
+  }
+
+  async stopSession() {
+    this._release();
+  }
+
+  stopSessionSync() {
+    this._release();
+  }
+
+  getMediaStream() {
+    return this.mediaStream;
+  }
+
+  // Private helper methods
+
+  async _createClipStream() {
+    const video = document.createElement('video');
+    video.src = this.clipUrl;
+    video.loop = true;
+    video.muted = true;
+    video.playsInline = true;
+
+    await new Promise((resolve, reject) => {
+      video.onloadeddata = resolve;
+      video.onerror = () => reject(new Error(`Cannot load static avatar clip: ${this.clipUrl}`));
+    });
+    await video.play();
+
+    const capture = video.captureStream || video.mozCaptureStream;
+    if (!capture) {
+      throw new Error('captureStream is not supported in this browser');
+    }
+
+    this.videoElement = video;
+    return capture.call(video);
+  }
+
+  _createPlaceholderStream(avatarId) {
+    const canvas = document.createElement('canvas');
+    canvas.width = PLACEHOLDER_WIDTH;
+    canvas.height = PLACEHOLDER_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    let frame = 0;
+
+    const draw = () => {
+      const pulse = 0.5 + 0.5 * Math.sin(frame / PLACEHOLDER_FPS * Math.PI);
+      ctx.fillStyle = '#1e293b';
+      ctx.fillRect(0, 0, PLACEHOLDER_WIDTH, PLACEHOLDER_HEIGHT);
+      ctx.beginPath();
+      ctx.arc(PLACEHOLDER_WIDTH / 2, PLACEHOLDER_HEIGHT / 2 - 20, 80 + pulse * 8, 0, Math.PI * 2);
+      ctx.fillStyle = '#667eea';
+      ctx.fill();
+      ctx.fillStyle = '#f1f5f9';
+      ctx.font = '20px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText(`Offline avatar ${avatarId ?? ''}`.trim(), PLACEHOLDER_WIDTH / 2, PLACEHOLDER_HEIGHT - 60);
+      frame++;
+    };
+
+    draw();
+    this.placeholderTimer = setInterval(draw, 1000 / PLACEHOLDER_FPS);
+    return canvas.captureStream(PLACEHOLDER_FPS);
+  }
+
+  _release() {
+    if (this.placeholderTimer) {
+      clearInterval(this.placeholderTimer);
+      this.placeholderTimer = null;
+    }
+    if (this.mediaStream) {
+      this.mediaStream.getTracks().forEach((track) => track.stop());
+      this.mediaStream = null;
+    }
+    if (this.videoElement) {
+      this.videoElement.pause();
+      this.videoElement.removeAttribute('src');
+      this.videoElement = null;
+    }
+    this.session = null;
+  }
+}
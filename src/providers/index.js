@@ -0,0 +1,30 @@
+/**
+ * Avatar provider registry
+ * Resolves the configured avatar video provider
+ */
+import { config } from '../config';
+import { HeyGenProvider } from './HeyGenProvider';
+import { StaticVideoProvider } from './StaticVideoProvider';
+
+const PROVIDERS = {
+  heygen: HeyGenProvider,
+  static: StaticVideoProvider,
+  mock: StaticVideoProvider,
+};
+
+/**
+ * Create an avatar provider instance
+ * @param {string} name - Provider name ('heygen', 'static' or 'mock'), defaults to config
+ * @returns {AvatarProvider} New provider instance
+ */
+export function createAvatarProvider(name = config.avatar.provider) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown avatar provider: ${name}`);
+  }
+  return new Provider();
+}
+
+export { AvatarProvider } from './AvatarProvider';
+export { HeyGenProvider } from './HeyGenProvider';
+export { StaticVideoProvider } from './StaticVideoProvider';
@@ -0,0 +1,230 @@
+/**
+ * Admin API Service
+ * Paged, sorted and filtered reads of /api/admin/users and /api/admin/conversations
+ */
+import { config } from '../config';
+import { authService } from './AuthService';
+import { mapWithConcurrency } from '../utils/fetchUtils';
+
+export const PAGE_SIZES = [10, 25, 50, 100];
+// Page size used when walking every page for an export
+const EXPORT_PAGE_SIZE = 100;
+// Detail requests in flight at once while completing an export
+const EXPORT_DETAIL_CONCURRENCY = 4;
+
+/**
+ * Default list queries - also the set of query-string keys each admin table owns
+ */
+export const USER_QUERY_DEFAULTS = {
+  page: 1,
+  page_size: 25,
+  sort: 'created_at',
+  order: 'desc',
+  search: '',
+  role: '',
+  email: '',
+  created_from: '',
+  created_to: '',
+};
+
+export const CONVERSATION_QUERY_DEFAULTS = {
+  page: 1,
+  page_size: 25,
+  sort: 'created_at',
+  order: 'desc',
+  search: '',
+  team_id: '',
+  user: '',
+  agent_id: '',
+  tier: '',
+  min_score: '',
+  max_score: '',
+  date_from: '',
+  date_to: '',
+};
+
+export const LEADERBOARD_QUERY_DEFAULTS = {
+  team_id: '',
+  date_from: '',
+  date_to: '',
+};
+
+/**
+ * Turn a list query into URL search params, leaving out empty filters
+ * @param {Object} query - List query
+ * @returns {URLSearchParams}
+ */
+export function toSearchParams(query) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== '' && value !== null && value !== undefined) {
+      params.set(key, value);
+    }
+  });
+  return params;
+}
+
+const includesText = (value, text) =>
+  String(value ?? '').toLowerCase().includes(String(text).toLowerCase());
+
+// Local calendar day (YYYY-MM-DD) of a timestamp, to compare with date filters
+const toDay = (value) => (value ? new Date(value).toLocaleDateString('en-CA') : '');
+
+// Filters applied in the browser when an older backend ignores them (see applyQueryLocally)
+const LOCAL_FILTERS = {
+  role: (item, value) => item.role === value,
+  email: (item, value) => includesText(item.email, value),
+  created_from: (item, value) => toDay(item.created_at) >= value,
+  created_to: (item, value) => toDay(item.created_at) <= value,
+  team_id: (item, value) => String(item.team_id) === String(value),
+  user: (item, value) => includesText(item.user_username, value) || includesText(item.user_email, value),
+  agent_id: (item, value) => String(item.agent_id) === String(value),
+  tier: (item, value) => item.tier === value,
+  min_score: (item, value) => item.final_score != null && item.final_score >= Number(value),
+  max_score: (item, value) => item.final_score != null && item.final_score <= Number(value),
+  date_from: (item, value) => toDay(item.created_at) >= value,
+  date_to: (item, value) => toDay(item.created_at) <= value,
+};
+
+// Sort fields that are named differently on the row
+const LOCAL_SORT_FIELDS = { user: 'user_username' };
+
+/**
+ * Search, filter and sort a full list the way the paged API would
+ * @param {Array<Object>} items - Every row
+ * @param {Object} query - List query (page fields are ignored)
+ * @returns {Array<Object>} Matching rows in order
+ */
+export function applyQueryLocally(items, query) {
+  const filters = Object.entries(query).filter(([key, value]) =>
+    LOCAL_FILTERS[key] && value !== '' && value !== null && value !== undefined
+  );
+  const search = query.search?.trim();
+  const matching = items.filter(item =>
+    filters.every(([key, value]) => LOCAL_FILTERS[key](item, value)) &&
+    (!search || Object.values(item).some(value =>
+      (typeof value === 'string' || typeof value === 'number') && includesText(value, search)
+    ))
+  );
+
+  if (!query.sort) return matching;
+  const field = LOCAL_SORT_FIELDS[query.sort] || query.sort;
+  const direction = query.order === 'asc' ? 1 : -1;
+  return matching.sort((a, b) => {
+    const left = a[field];
+    const right = b[field];
+    // Empty values last in either direction
+    if (left == null || left === '') return right == null || right === '' ? 0 : 1;
+    if (right == null || right === '') return -1;
+    const compared = typeof left === 'number' && typeof right === 'number'
+      ? left - right
+      : String(left).localeCompare(String(right), undefined, { numeric: true });
+    return compared * direction;
+  });
+}
+
+export class AdminService {
+  constructor() {
+    this.baseUrl = config.backend.baseUrl;
+  }
+
+  /**
+   * List users
+   * @param {Object} query - Page, sort and filters (see USER_QUERY_DEFAULTS)
+   * @returns {Promise<Object>} { items, total, page, pageSize }
+   */
+  async listUsers(query = USER_QUERY_DEFAULTS) {
+    return await this._fetchPage('/api/admin/users', query, 'fetch users');
+  }
+
+  /**
+   * List conversations of all users
+   * @param {Object} query - Page, sort and filters (see CONVERSATION_QUERY_DEFAULTS)
+   * @returns {Promise<Object>} { items, total, page, pageSize }
+   */
+  async listConversations(query = CONVERSATION_QUERY_DEFAULTS) {
+    return await this._fetchPage('/api/admin/conversations', query, 'fetch conversations');
+  }
+
+  /**
+   * Get a conversation with its transcript and score data
+   * @param {number|string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Conversation detail
+   */
+  async getConversation(conversationId) {
+    const response = await authService.authFetch(`${this.baseUrl}/api/admin/conversations/${conversationId}`, {
+      headers: authService.getAuthHeader()
+    });
+    if (!response.ok) {
+      throw new Error('Failed to fetch conversation');
+    }
+    return await response.json();
+  }
+
+  /**
+   * Every conversation matching the filters (all pages), for export
+   * Summaries without per-category scores are completed from the detail endpoint, a few at a time
+   * @param {Object} query - Sort and filters (page fields are ignored)
+   * @param {Function} onProgress - Called with (loaded, total)
+   * @returns {Promise<Array>} Conversations
+   */
+  async listAllConversations(query = CONVERSATION_QUERY_DEFAULTS, onProgress = () => {}) {
+    const conversations = [];
+    let total = Infinity;
+    for (let page = 1; conversations.length < total; page++) {
+      const result = await this.listConversations({ ...query, page, page_size: EXPORT_PAGE_SIZE });
+      total = result.total;
+      conversations.push(...result.items);
+      onProgress(conversations.length, total);
+      if (result.items.length === 0) break;
+    }
+
+    return await mapWithConcurrency(conversations, EXPORT_DETAIL_CONCURRENCY, async (conv) => {
+      if (conv.weighted_points || conv.score_data?.weighted_points || conv.final_score == null) {
+        return conv;
+      }
+      try {
+        return { ...conv, ...(await this.getConversation(conv.id)) };
+      } catch (error) {
+        // One missing detail leaves that row without category scores, not the whole export
+        console.warn(`Could not load scores for conversation ${conv.id}:`, error);
+        return conv;
+      }
+    });
+  }
+
+  // Private methods
+
+  async _fetchPage(path, query, action) {
+    const response = await authService.authFetch(`${this.baseUrl}${path}?${toSearchParams(query)}`, {
+      headers: authService.getAuthHeader()
+    });
+    if (!response.ok) {
+      const error = new Error(response.status === 403 ? 'Admin access required' : `Failed to ${action}`);
+      error.status = response.status;
+      throw error;
+    }
+    const data = await response.json();
+
+    // Older backends return the whole list - search, filter, sort and page it here so the table still works
+    if (Array.isArray(data)) {
+      const rows = applyQueryLocally(data, query);
+      const start = (query.page - 1) * query.page_size;
+      return {
+        items: rows.slice(start, start + query.page_size),
+        total: rows.length,
+        page: query.page,
+        pageSize: query.page_size,
+      };
+    }
+    return {
+      items: data.items || [],
+      total: data.total ?? (data.items || []).length,
+      page: data.page ?? query.page,
+      pageSize: data.page_size ?? query.page_size,
+    };
+  }
+}
+
+// Export singleton instance
+export const adminService = new AdminService();
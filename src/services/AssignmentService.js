@@ -0,0 +1,218 @@
+/**
+ * Assignment Service
+ * Practice assignments set by managers: which personas a rep must complete,
+ * the tier they must reach and by when. Personas are ticked off automatically
+ * once a saved conversation reaches the target tier.
+ */
+import { config } from '../config';
+import { authService } from './AuthService';
+import { throwForResponse } from '../utils/fetchUtils';
+import { meetsTier } from '../data/scoringCategories';
+
+/**
+ * Parse a due date; date-only values are local calendar days, not UTC midnight
+ * @param {string} dueDate - 'YYYY-MM-DD' or ISO timestamp
+ * @returns {Date}
+ */
+export function parseDueDate(dueDate) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(dueDate) ? new Date(`${dueDate}T00:00:00`) : new Date(dueDate);
+}
+
+/**
+ * Last moment an assignment can be completed; a date-only due date lasts until the end of that local day
+ * @param {string|null} dueDate - 'YYYY-MM-DD' or ISO timestamp
+ * @returns {Date|null} Null when there is no due date
+ */
+export function getDueDeadline(dueDate) {
+  if (!dueDate) return null;
+  const deadline = parseDueDate(dueDate);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+    deadline.setHours(23, 59, 59, 999);
+  }
+  return deadline;
+}
+
+/**
+ * Whether a conversation took place before the assignment's deadline (always true without a due date)
+ * @param {Object} assignment - { due_date }
+ * @param {string|Date} heldAt - When the interview took place
+ * @returns {boolean}
+ */
+export function isHeldByDeadline(assignment, heldAt) {
+  const deadline = getDueDeadline(assignment.due_date);
+  return !deadline || new Date(heldAt) <= deadline;
+}
+
+/**
+ * Personas of an assignment that still need a qualifying conversation
+ * @param {Object} assignment - { persona_ids, completed_persona_ids }
+ * @returns {Array<number>} Persona (AVATARS) IDs
+ */
+export function getRemainingPersonaIds(assignment) {
+  const completed = assignment.completed_persona_ids || [];
+  return assignment.persona_ids.filter(id => !completed.includes(id));
+}
+
+/**
+ * Whether every persona of an assignment has been completed
+ * @param {Object} assignment - Assignment
+ * @returns {boolean}
+ */
+export function isAssignmentComplete(assignment) {
+  return assignment.status === 'completed' || getRemainingPersonaIds(assignment).length === 0;
+}
+
+/**
+ * Whether an open graded assignment still needs this persona, so coach mode must stay off
+ * @param {Array<Object>} assignments - The rep's assignments
+ * @param {number} personaId - Persona (AVATARS) ID
+ * @returns {boolean}
+ */
+export function isCoachModeBlocked(assignments, personaId) {
+  return assignments.some(assignment =>
+    assignment.coach_mode_disabled &&
+    !isAssignmentComplete(assignment) &&
+    getRemainingPersonaIds(assignment).includes(personaId)
+  );
+}
+
+export class AssignmentService {
+  constructor() {
+    this.baseUrl = config.backend.baseUrl;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Get headers with authentication
+   * @returns {Object} Headers object with auth token if available
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...authService.getAuthHeader(),
+    };
+  }
+
+  /**
+   * Subscribe to assignment progress made on this device
+   * @param {Function} listener - Called after a persona was completed
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Assignments of the signed-in rep
+   * @returns {Promise<Array>} [{ id, title, persona_ids, target_tier, due_date, coach_mode_disabled, completed_persona_ids, status }]
+   */
+  async listMyAssignments() {
+    const response = await authService.authFetch(`${this.baseUrl}/api/assignments`, {
+      headers: this.getHeaders(),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to fetch assignments');
+    }
+    return await response.json();
+  }
+
+  /**
+   * Assignments created by the current manager (all for admins)
+   * @param {Object} filters - { team_id? }
+   * @returns {Promise<Array>} Assignments with per-rep progress
+   */
+  async listAssignments(filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== '' && value != null)
+    );
+    const response = await authService.authFetch(`${this.baseUrl}/api/admin/assignments?${params}`, {
+      headers: this.getHeaders(),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to fetch assignments');
+    }
+    return await response.json();
+  }
+
+  /**
+   * Create an assignment for a team or for individual reps
+   * @param {Object} assignment - { title, persona_ids, target_tier, due_date, coach_mode_disabled, team_id?, user_ids? }
+   * @returns {Promise<Object>} Created assignment
+   */
+  async createAssignment(assignment) {
+    const response = await authService.authFetch(`${this.baseUrl}/api/admin/assignments`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(assignment),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to create assignment');
+    }
+    return await response.json();
+  }
+
+  /**
+   * Delete an assignment
+   * @param {number|string} assignmentId - Assignment ID
+   */
+  async deleteAssignment(assignmentId) {
+    const response = await authService.authFetch(`${this.baseUrl}/api/admin/assignments/${assignmentId}`, {
+      method: 'DELETE',
+      headers: this.getHeaders(),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to delete assignment');
+    }
+  }
+
+  /**
+   * Mark a persona of an assignment as done by a saved conversation
+   * @param {number|string} assignmentId - Assignment ID
+   * @param {number} personaId - Persona (AVATARS) ID
+   * @param {number|string|null} conversationId - Conversation that reached the target tier
+   */
+  async completePersona(assignmentId, personaId, conversationId) {
+    const response = await authService.authFetch(`${this.baseUrl}/api/assignments/${assignmentId}/complete`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ persona_id: personaId, conversation_id: conversationId }),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to update assignment');
+    }
+  }
+
+  /**
+   * Tick off open assignments that a newly saved conversation satisfies
+   * @param {Object} result
+   * @param {number} result.agentId - Persona of the conversation
+   * @param {string} result.tier - Tier the conversation was scored at
+   * @param {number|string|null} result.conversationId - Saved conversation ID
+   * @param {string|Date} result.heldAt - When the interview took place (late conversations don't count)
+   * @returns {Promise<Array>} Assignments that were updated
+   */
+  async recordResult({ agentId, tier, conversationId = null, heldAt = new Date() }) {
+    const assignments = await this.listMyAssignments();
+    const satisfied = assignments.filter(assignment =>
+      !isAssignmentComplete(assignment) &&
+      getRemainingPersonaIds(assignment).includes(agentId) &&
+      meetsTier(tier, assignment.target_tier) &&
+      isHeldByDeadline(assignment, heldAt)
+    );
+    if (satisfied.length === 0) {
+      return [];
+    }
+
+    await Promise.all(satisfied.map(assignment =>
+      this.completePersona(assignment.id, agentId, conversationId)
+    ));
+    this.listeners.forEach(listener => listener());
+    return satisfied;
+  }
+}
+
+// Export singleton instance
+export const assignmentService = new AssignmentService();
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AssignmentService, getDueDeadline, isHeldByDeadline } from './AssignmentService';
+
+vi.mock('./AuthService', () => ({
+  authService: {
+    authFetch: vi.fn(),
+    getAuthHeader: () => ({}),
+  },
+}));
+
+describe('getDueDeadline', () => {
+  it('runs a date-only due date to the end of that local day', () => {
+    expect(getDueDeadline('2026-03-14')).toEqual(new Date(2026, 2, 14, 23, 59, 59, 999));
+  });
+
+  it('keeps the time of a full timestamp', () => {
+    expect(getDueDeadline('2026-03-14T12:00:00Z')).toEqual(new Date('2026-03-14T12:00:00Z'));
+  });
+
+  it('has no deadline without a due date', () => {
+    expect(getDueDeadline(null)).toBeNull();
+  });
+});
+
+describe('isHeldByDeadline', () => {
+  it('counts conversations held on the due day', () => {
+    expect(isHeldByDeadline({ due_date: '2026-03-14' }, new Date(2026, 2, 14, 22, 0))).toBe(true);
+  });
+
+  it('does not count conversations held after the due day', () => {
+    expect(isHeldByDeadline({ due_date: '2026-03-14' }, new Date(2026, 2, 15, 0, 1))).toBe(false);
+  });
+
+  it('counts every conversation when there is no due date', () => {
+    expect(isHeldByDeadline({ due_date: null }, new Date(2030, 0, 1))).toBe(true);
+  });
+});
+
+describe('AssignmentService.recordResult', () => {
+  const assignment = {
+    id: 5,
+    persona_ids: [1, 2],
+    completed_persona_ids: [],
+    target_tier: 'Strong',
+    due_date: '2026-03-14',
+    status: 'open',
+  };
+
+  const createService = () => {
+    const service = new AssignmentService();
+    vi.spyOn(service, 'listMyAssignments').mockResolvedValue([assignment]);
+    vi.spyOn(service, 'completePersona').mockResolvedValue();
+    return service;
+  };
+
+  it('ticks off the persona when the conversation was held in time', async () => {
+    const service = createService();
+
+    await service.recordResult({ agentId: 1, tier: 'Excellent', conversationId: 9, heldAt: new Date(2026, 2, 14, 9, 0) });
+
+    expect(service.completePersona).toHaveBeenCalledWith(5, 1, 9);
+  });
+
+  it('leaves an overdue assignment open', async () => {
+    const service = createService();
+
+    const updated = await service.recordResult({ agentId: 1, tier: 'Excellent', conversationId: 9, heldAt: new Date(2026, 2, 16, 9, 0) });
+
+    expect(updated).toEqual([]);
+    expect(service.completePersona).not.toHaveBeenCalled();
+  });
+});
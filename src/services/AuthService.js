@@ -1,13 +1,44 @@
 /**
  * Authentication Service
  * Handles sign up, sign in, and token management
+ * Access tokens are renewed with the refresh token shortly before they expire,
+ * and authFetch retries a request once after renewing on a 401
  */
 import { config } from '../config';
 
 const TOKEN_KEY = 'auth_token';
+const REFRESH_TOKEN_KEY = 'auth_refresh_token';
 const USER_KEY = 'auth_user';
 
+// Renew this long before the access token's exp claim
+const REFRESH_AHEAD_MS = 60000;
+
+/**
+ * Read the exp claim of a JWT
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry as epoch milliseconds, or null if the token has none
+ */
+export function getTokenExpiry(token) {
+  try {
+    const payload = token.split('.')[1];
+    const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+    const { exp } = JSON.parse(json);
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 class AuthService {
+  constructor() {
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+    this.reauthPromise = null;
+    this.resolveReauth = null;
+    this.sessionExpiredListeners = new Set();
+    this.scheduleRefresh();
+  }
+
   async parseError(response) {
     try {
       const data = await response.json();
@@ -86,8 +117,7 @@ class AuthService {
       }
 
       const data = await response.json();
-      this.setToken(data.access_token);
-      this.setUser(data.user);
+      this.setSession(data);
       return data;
     } catch (error) {
       console.error('Sign up error:', error);
@@ -119,8 +149,7 @@ class AuthService {
       }
 
       const data = await response.json();
-      this.setToken(data.access_token);
-      this.setUser(data.user);
+      this.setSession(data);
       return data;
     } catch (error) {
       console.error('Sign in error:', error);
@@ -134,6 +163,7 @@ class AuthService {
   signOut() {
     this.removeToken();
     this.removeUser();
+    this._settleReauthentication(false);
   }
 
   /**
@@ -151,6 +181,21 @@ class AuthService {
     return localStorage.getItem(TOKEN_KEY);
   }
 
+  /**
+   * Get the current user's role ('user' when unknown)
+   */
+  getRole() {
+    return this.getUser()?.role || 'user';
+  }
+
+  /**
+   * Check if the current user has one of the given roles
+   * @param {...string} roles - Allowed roles
+   */
+  hasRole(...roles) {
+    return !!this.getUser() && roles.includes(this.getRole());
+  }
+
   /**
    * Check if user is authenticated
    */
@@ -163,6 +208,30 @@ class AuthService {
    */
   setToken(token) {
     localStorage.setItem(TOKEN_KEY, token);
+    this.scheduleRefresh();
+  }
+
+  /**
+   * Get current refresh token
+   */
+  getRefreshToken() {
+    return localStorage.getItem(REFRESH_TOKEN_KEY);
+  }
+
+  /**
+   * Store the tokens and user from an auth response
+   * @param {Object} data - { access_token, refresh_token?, user? }
+   */
+  setSession(data) {
+    if (data.refresh_token) {
+      localStorage.setItem(REFRESH_TOKEN_KEY, data.refresh_token);
+    }
+    if (data.user) {
+      this.setUser(data.user);
+    }
+    this.setToken(data.access_token);
+    // A successful sign-in answers any pending re-login prompt
+    this._settleReauthentication(true);
   }
 
   /**
@@ -177,6 +246,8 @@ class AuthService {
    */
   removeToken() {
     localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    this._clearRefreshTimer();
   }
 
   /**
@@ -194,6 +265,146 @@ class AuthService {
     return token ? { Authorization: `Bearer ${token}` } : {};
   }
 
+  /**
+   * Exchange the refresh token for a new access token
+   * Concurrent callers share one request
+   * @returns {Promise<boolean>} Whether a new access token was stored
+   */
+  async refreshAccessToken() {
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      return false;
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          const response = await fetch(`${config.backend.baseUrl}/api/auth/refresh`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ refresh_token: refreshToken }),
+          });
+
+          if (!response.ok) {
+            // The refresh token itself is no longer valid
+            localStorage.removeItem(REFRESH_TOKEN_KEY);
+            return false;
+          }
+
+          const data = await response.json();
+          this.setSession(data);
+          return true;
+        } catch (error) {
+          console.warn('Token refresh failed:', error);
+          return false;
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Renew the access token shortly before its exp claim
+   */
+  scheduleRefresh() {
+    this._clearRefreshTimer();
+    const token = this.getToken();
+    const expiresAt = token ? getTokenExpiry(token) : null;
+    if (!expiresAt || !this.getRefreshToken()) {
+      return;
+    }
+
+    const delay = Math.max(expiresAt - Date.now() - REFRESH_AHEAD_MS, 0);
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refreshAccessToken();
+    }, delay);
+  }
+
+  /**
+   * Whether the access token is expired or about to expire
+   */
+  isTokenExpiring() {
+    const token = this.getToken();
+    const expiresAt = token ? getTokenExpiry(token) : null;
+    return expiresAt !== null && expiresAt - Date.now() < REFRESH_AHEAD_MS;
+  }
+
+  /**
+   * Subscribe to re-login prompts
+   * @param {Function} listener - Called with true when the user must sign in again, false when resolved
+   * @returns {Function} Unsubscribe function
+   */
+  onSessionExpired(listener) {
+    this.sessionExpiredListeners.add(listener);
+    return () => {
+      this.sessionExpiredListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Ask the user to sign in again without leaving the current page
+   * @returns {Promise<boolean>} Resolves true after a successful sign-in, false if the user gave up
+   */
+  requestReauthentication() {
+    if (this.sessionExpiredListeners.size === 0) {
+      return Promise.resolve(false);
+    }
+    if (!this.reauthPromise) {
+      this.reauthPromise = new Promise((resolve) => {
+        this.resolveReauth = resolve;
+      });
+      this.sessionExpiredListeners.forEach((listener) => listener(true));
+    }
+    return this.reauthPromise;
+  }
+
+  /**
+   * Give up on a pending re-login prompt
+   */
+  cancelReauthentication() {
+    this._settleReauthentication(false);
+  }
+
+  /**
+   * fetch() for backend calls that need authentication
+   * Adds the Authorization header, renews an expiring token first, and on a 401
+   * refreshes (or prompts the user to sign in again) and retries once
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @param {Object} behaviour
+   * @param {boolean} behaviour.promptLogin - Ask the user to sign in if refreshing fails (default: true)
+   * @returns {Promise<Response>} The response (the original 401 if renewal failed)
+   */
+  async authFetch(url, options = {}, { promptLogin = true } = {}) {
+    if (this.isTokenExpiring()) {
+      await this.refreshAccessToken();
+    }
+
+    const send = () => fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...this.getAuthHeader(),
+      },
+    });
+
+    const response = await send();
+    if (response.status !== 401) {
+      return response;
+    }
+
+    const renewed =
+      (await this.refreshAccessToken()) ||
+      (promptLogin && this.isAuthenticated() && (await this.requestReauthentication()));
+    return renewed ? send() : response;
+  }
+
   /**
    * Update profile (username and/or password)
    */
@@ -204,11 +415,10 @@ class AuthService {
       new_password: newPassword || undefined,
     };
 
-    const response = await fetch(`${config.backend.baseUrl}/api/auth/profile`, {
+    const response = await this.authFetch(`${config.backend.baseUrl}/api/auth/profile`, {
       method: 'PATCH',
       headers: {
         'Content-Type': 'application/json',
-        ...this.getAuthHeader(),
       },
       body: JSON.stringify(body),
     });
@@ -221,9 +431,8 @@ class AuthService {
 
     // Refresh stored token and user
     if (data?.access_token) {
-      this.setToken(data.access_token);
-    }
-    if (data?.user) {
+      this.setSession(data);
+    } else if (data?.user) {
       this.setUser(data.user);
     }
     return data;
@@ -233,11 +442,10 @@ class AuthService {
    * Delete account (requires current password)
    */
   async deleteAccount(currentPassword) {
-    const response = await fetch(`${config.backend.baseUrl}/api/auth/profile`, {
+    const response = await this.authFetch(`${config.backend.baseUrl}/api/auth/profile`, {
       method: 'DELETE',
       headers: {
         'Content-Type': 'application/json',
-        ...this.getAuthHeader(),
       },
       body: JSON.stringify({ current_password: currentPassword }),
     });
@@ -262,11 +470,8 @@ class AuthService {
     }
 
     try {
-      const response = await fetch(`${config.backend.baseUrl}/api/auth/me`, {
-        headers: {
-          ...this.getAuthHeader(),
-        },
-      });
+      // On startup an expired session just signs out - there is nothing to preserve yet
+      const response = await this.authFetch(`${config.backend.baseUrl}/api/auth/me`, {}, { promptLogin: false });
 
       if (response.ok) {
         const user = await response.json();
@@ -281,6 +486,26 @@ class AuthService {
       return false;
     }
   }
+
+  // Private methods
+
+  _clearRefreshTimer() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  _settleReauthentication(success) {
+    if (!this.reauthPromise) {
+      return;
+    }
+    const resolve = this.resolveReauth;
+    this.reauthPromise = null;
+    this.resolveReauth = null;
+    this.sessionExpiredListeners.forEach((listener) => listener(false));
+    resolve(success);
+  }
 }
 
 export const authService = new AuthService();
@@ -0,0 +1,305 @@
+/**
+ * Conversation Outbox
+ * Persists finished interviews in IndexedDB and keeps retrying until the backend
+ * has them - on enqueue, when the browser comes back online, on app load and
+ * periodically while anything is pending
+ */
+import { authService } from './AuthService';
+import { conversationService, buildConversationPayload } from './ConversationService';
+import { assignmentService } from './AssignmentService';
+import { recordingStore } from './RecordingStore';
+import { recordingService } from './RecordingService';
+import { STORES, putRecord, getAllRecords, deleteRecord } from '../utils/indexedDb';
+
+const RETRY_INTERVAL_MS = 30000;
+// Client errors that retrying won't fix (auth problems are handled by authFetch)
+const isPermanentFailure = (status) =>
+  status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+
+class ConversationOutbox {
+  constructor() {
+    this.listeners = new Set();
+    this.flushPromise = null;
+    this.retryTimer = null;
+    this.started = false;
+    this.pendingCount = 0;
+    this.rejectedCount = 0;
+  }
+
+  /**
+   * Start retrying in the background (idempotent)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    window.addEventListener('online', () => this.flush());
+    this.flush();
+  }
+
+  /**
+   * Subscribe to the number of unsynced conversations
+   * @param {Function} listener - Called with (pendingCount, rejectedCount)
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    listener(this.pendingCount, this.rejectedCount);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Queue a finished interview and try to send it right away
+   * @param {Object} entry
+   * @param {Object} entry.conversation - Conversation fields for POST /api/conversations
+   * @param {Object} entry.scoreData - Score data, or null if it still needs scoring
+   * @param {Object} entry.scoreRequest - Body for /api/interviews/score (when scoreData is null)
+   * @param {string|null} entry.recordingId - Local recording to upload with the conversation (see RecordingStore)
+   * @returns {Promise<string>} 'synced' (the backend has it), 'queued' (kept on this device and retried),
+   *   'rejected' (kept on this device, the backend refused it) or 'failed' (neither sent nor stored)
+   */
+  async enqueue({ conversation, scoreData = null, scoreRequest = null, recordingId = null }) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const entry = {
+      id,
+      user_id: authService.getUser()?.id ?? null,
+      conversation,
+      score_data: scoreData,
+      score_request: scoreRequest,
+      recording_id: recordingId,
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      created_at: new Date().toISOString(),
+    };
+
+    try {
+      await putRecord(STORES.OUTBOX, entry);
+    } catch (error) {
+      // No IndexedDB (e.g. private mode) - fall back to a single direct attempt
+      console.warn('Could not queue conversation locally:', error);
+      return await this._sendDirect(entry) ? 'synced' : 'failed';
+    }
+
+    // A flush already in progress may have listed entries before this one was added
+    if (this.flushPromise) {
+      await this.flushPromise;
+    }
+    await this.flush();
+    const stored = (await this._listEntries()).find(e => e.id === id);
+    if (!stored || stored.status === 'sent') return 'synced';
+    return stored.status === 'rejected' ? 'rejected' : 'queued';
+  }
+
+  /**
+   * Try to send every pending entry of the signed-in user
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.flushPromise) {
+      this.flushPromise = this._flush().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  /**
+   * Conversations the backend refused (permanent 4xx), kept until the user retries or discards them
+   * @returns {Promise<Array>} Entries with last_error
+   */
+  async listRejected() {
+    return (await this._listEntries()).filter(e => e.status === 'rejected');
+  }
+
+  /**
+   * Send the rejected conversations again (e.g. after a backend fix)
+   * @returns {Promise<void>}
+   */
+  async retryRejected() {
+    const rejected = await this.listRejected();
+    await Promise.all(rejected.map(entry => putRecord(STORES.OUTBOX, { ...entry, status: 'pending' })));
+    await this.flush();
+  }
+
+  /**
+   * Delete the rejected conversations for good
+   * @returns {Promise<void>}
+   */
+  async discardRejected() {
+    const rejected = await this.listRejected();
+    await Promise.all(rejected.map(entry => deleteRecord(STORES.OUTBOX, entry.id)));
+    await this.flush();
+  }
+
+  /**
+   * Upload a recording the server refused again (e.g. after a backend fix)
+   * @param {string} recordingId - Recording ID (see RecordingStore)
+   * @returns {Promise<void>}
+   */
+  async retryRecordingUpload(recordingId) {
+    await recordingStore.clearUploadError(recordingId);
+    await this.flush();
+  }
+
+  // Private methods
+
+  async _listEntries() {
+    const userId = authService.getUser()?.id ?? null;
+    try {
+      const entries = await getAllRecords(STORES.OUTBOX);
+      return entries.filter(entry => entry.user_id === userId);
+    } catch (error) {
+      console.warn('Conversation outbox unavailable:', error);
+      return [];
+    }
+  }
+
+  async _flush() {
+    // Left over when removing a synced entry failed
+    const sent = (await this._listEntries()).filter(e => e.status === 'sent');
+    for (const entry of sent) {
+      await deleteRecord(STORES.OUTBOX, entry.id).catch(() => {});
+    }
+
+    if (authService.isAuthenticated() && navigator.onLine !== false) {
+      const entries = await this._listEntries();
+      for (const entry of entries.filter(e => e.status === 'pending')) {
+        await this._send(entry);
+      }
+      await this._uploadRecordings();
+    }
+
+    const entries = await this._listEntries();
+    const pending = entries.filter(e => e.status === 'pending');
+    this._setCounts(pending.length, entries.filter(e => e.status === 'rejected').length);
+    this._scheduleRetry(pending.length > 0);
+  }
+
+  async _sendDirect(entry) {
+    try {
+      const scoreData = entry.score_data || await conversationService.scoreInterview(entry.score_request);
+      const saved = await conversationService.saveConversation(buildConversationPayload(entry.conversation, scoreData));
+      await this._recordAssignmentProgress(entry.conversation, scoreData, saved);
+      await this._attachRecording(entry.recording_id, saved);
+      return true;
+    } catch (error) {
+      console.error('Error saving conversation:', error);
+      return false;
+    }
+  }
+
+  async _send(entry) {
+    let current = entry;
+    let saved;
+    try {
+      if (!current.score_data) {
+        const scoreData = await conversationService.scoreInterview(current.score_request);
+        // Keep the score so a failed save doesn't score the interview twice
+        current = { ...current, score_data: scoreData };
+        await putRecord(STORES.OUTBOX, current);
+      }
+      saved = await conversationService.saveConversation(
+        buildConversationPayload(current.conversation, current.score_data)
+      );
+    } catch (error) {
+      console.warn('Conversation sync failed:', error);
+      await putRecord(STORES.OUTBOX, {
+        ...current,
+        status: isPermanentFailure(error.status) ? 'rejected' : 'pending',
+        attempts: current.attempts + 1,
+        last_error: error.message,
+      }).catch(() => {});
+      return;
+    }
+
+    // The backend has it now - nothing below may put the entry back to pending
+    console.log('✅ Conversation synced from outbox');
+    await this._removeSent(current);
+    await this._recordAssignmentProgress(current.conversation, current.score_data, saved);
+    await this._attachRecording(current.recording_id, saved);
+  }
+
+  // Marked 'sent' first, so an entry whose delete fails is cleaned up on the next flush instead of posted twice
+  async _removeSent(entry) {
+    try {
+      await putRecord(STORES.OUTBOX, { ...entry, status: 'sent' });
+    } catch (error) {
+      console.warn('Could not mark conversation as sent:', error);
+    }
+    try {
+      await deleteRecord(STORES.OUTBOX, entry.id);
+    } catch (error) {
+      console.warn('Could not remove synced conversation from outbox:', error);
+    }
+  }
+
+  // A saved conversation may complete one of the rep's assignments; never fails the sync
+  async _recordAssignmentProgress(conversation, scoreData, saved) {
+    try {
+      await assignmentService.recordResult({
+        agentId: conversation.agent_id,
+        tier: scoreData.tier,
+        conversationId: saved?.id ?? null,
+        heldAt: conversation.started_at,
+      });
+    } catch (error) {
+      console.warn('Could not update assignment progress:', error);
+    }
+  }
+
+  // Tie the interview's recording to the saved conversation and upload it; never fails the sync
+  async _attachRecording(recordingId, saved) {
+    if (!recordingId || saved?.id == null) return;
+    try {
+      await recordingStore.linkToConversation(recordingId, saved.id);
+    } catch (error) {
+      console.warn('Could not link recording to conversation:', error);
+      return;
+    }
+    await this._uploadRecordings();
+  }
+
+  // Upload recordings of saved conversations; failures are retried on the next flush,
+  // except permanent refusals, which are kept on this device with the error until the user retries
+  async _uploadRecordings() {
+    let pending = [];
+    try {
+      pending = await recordingStore.listPendingUploads();
+    } catch (error) {
+      console.warn('Could not read local recordings:', error);
+    }
+    for (const recording of pending) {
+      try {
+        await recordingService.uploadRecording(recording.conversation_id, recording);
+        await recordingStore.markUploaded(recording.id);
+      } catch (error) {
+        if (!isPermanentFailure(error.status)) {
+          console.warn('Recording upload failed - will retry:', error);
+          continue;
+        }
+        console.warn('Recording upload refused:', error);
+        await recordingStore.markUploadFailed(recording.id, error.message).catch(() => {});
+      }
+    }
+  }
+
+  _setCounts(pendingCount, rejectedCount) {
+    this.pendingCount = pendingCount;
+    this.rejectedCount = rejectedCount;
+    this.listeners.forEach(listener => listener(pendingCount, rejectedCount));
+  }
+
+  _scheduleRetry(hasPending) {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    if (hasPending) {
+      this.retryTimer = setTimeout(() => this.flush(), RETRY_INTERVAL_MS);
+    }
+  }
+}
+
+export const conversationOutbox = new ConversationOutbox();
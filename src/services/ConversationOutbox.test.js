@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { conversationOutbox } from './ConversationOutbox';
+import { conversationService } from './ConversationService';
+import { recordingStore } from './RecordingStore';
+import { recordingService } from './RecordingService';
+import { deleteRecord } from '../utils/indexedDb';
+
+const records = new Map();
+
+vi.mock('../utils/indexedDb', () => ({
+  STORES: { OUTBOX: 'outbox' },
+  putRecord: vi.fn(async (store, record) => {
+    records.set(record.id, record);
+  }),
+  getAllRecords: vi.fn(async () => [...records.values()]),
+  deleteRecord: vi.fn(async (store, id) => {
+    records.delete(id);
+  }),
+}));
+
+vi.mock('./AuthService', () => ({
+  authService: {
+    getUser: () => ({ id: 7 }),
+    isAuthenticated: () => true,
+  },
+}));
+
+vi.mock('./ConversationService', () => ({
+  conversationService: {
+    scoreInterview: vi.fn(),
+    saveConversation: vi.fn(),
+  },
+  buildConversationPayload: (conversation) => conversation,
+}));
+
+vi.mock('./AssignmentService', () => ({
+  assignmentService: { recordResult: vi.fn() },
+}));
+
+vi.mock('./RecordingStore', () => ({
+  recordingStore: {
+    linkToConversation: vi.fn(),
+    listPendingUploads: vi.fn(async () => []),
+    markUploaded: vi.fn(async () => {}),
+    markUploadFailed: vi.fn(async () => {}),
+  },
+}));
+
+vi.mock('./RecordingService', () => ({
+  recordingService: { uploadRecording: vi.fn() },
+}));
+
+const entry = {
+  conversation: { agent_id: 1 },
+  scoreData: { tier: 'Gold' },
+};
+
+describe('ConversationOutbox', () => {
+  beforeEach(() => {
+    records.clear();
+    vi.clearAllMocks();
+    vi.stubGlobal('navigator', { onLine: true });
+    // Keep the 30 s retry timer from outliving the test
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('does not post a saved conversation again when removing it locally fails', async () => {
+    conversationService.saveConversation.mockResolvedValue({ id: 42 });
+    deleteRecord.mockRejectedValueOnce(new Error('IndexedDB closed'));
+
+    await expect(conversationOutbox.enqueue(entry)).resolves.toBe('synced');
+    await conversationOutbox.flush();
+
+    expect(conversationService.saveConversation).toHaveBeenCalledTimes(1);
+    expect(records.size).toBe(0);
+  });
+
+  it('keeps the conversation pending after a network failure', async () => {
+    conversationService.saveConversation.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    await expect(conversationOutbox.enqueue(entry)).resolves.toBe('queued');
+
+    const [stored] = records.values();
+    expect(stored.status).toBe('pending');
+    expect(stored.attempts).toBe(1);
+  });
+
+  it('stops uploading a recording the server refused', async () => {
+    const recording = { id: 'rec-1', conversation_id: 42 };
+    recordingStore.listPendingUploads.mockResolvedValueOnce([recording]);
+    recordingService.uploadRecording.mockRejectedValueOnce(
+      Object.assign(new Error('Recording is too large'), { status: 413 })
+    );
+
+    await conversationOutbox.flush();
+
+    expect(recordingStore.markUploadFailed).toHaveBeenCalledWith('rec-1', 'Recording is too large');
+    expect(recordingStore.markUploaded).not.toHaveBeenCalled();
+  });
+
+  it('retries a recording upload that failed on the network', async () => {
+    const recording = { id: 'rec-1', conversation_id: 42 };
+    recordingStore.listPendingUploads.mockResolvedValueOnce([recording]);
+    recordingService.uploadRecording.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    await conversationOutbox.flush();
+
+    expect(recordingStore.markUploadFailed).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Conversation Service
+ * Handles scoring, saving and reading the signed-in user's interview conversations
+ */
+import { config } from '../config';
+import { authService } from './AuthService';
+import { SCORE_CATEGORIES } from '../data/scoringCategories';
+import { analyzeRepSpeech, toSpeechAnalysisPayload } from '../utils/speechAnalysis';
+import { mapWithConcurrency, throwForResponse } from '../utils/fetchUtils';
+
+// Detail requests in flight at once when completing scores for the progress panel
+const DETAIL_CONCURRENCY = 4;
+
+/**
+ * Build the /api/interviews/score body from the interview chat
+ * The rep's filler words and questions (speech_analysis) are derived from the messages here
+ * @param {Object} avatar - Persona ({ id, name, role })
+ * @param {Array<Object>} chatMessages - InterviewView chat messages
+ * @param {Object|null} [conversationMetrics] - Talk metrics (see computeConversationMetrics)
+ * @returns {Object} Score request
+ */
+export function buildScoreRequest(avatar, chatMessages, conversationMetrics = null) {
+  return {
+    agent_id: avatar.id,
+    agent_name: avatar.name,
+    agent_role: avatar.role,
+    messages: chatMessages.map(msg => ({
+      text: msg.text,
+      sender: msg.sender,
+      timestamp: msg.timestamp,
+      timestamp_ms: msg.timestampMs,
+      start_ms: msg.startMs ?? null
+    })),
+    conversation_metrics: conversationMetrics,
+    speech_analysis: toSpeechAnalysisPayload(analyzeRepSpeech(chatMessages)),
+  };
+}
+
+/**
+ * Build the conversation fields saved with a scored interview
+ * @param {Object} params
+ * @param {Object} params.avatar - Persona ({ id, name, role })
+ * @param {Array<Object>} params.chatMessages - InterviewView chat messages
+ * @param {string|null} params.roomName - LiveKit room name
+ * @param {string} params.startedAt - ISO start time
+ * @param {Object|null} params.connectionStats - Connection quality summary
+ * @param {Object|null} params.conversationMetrics - Talk metrics (see computeConversationMetrics)
+ * @returns {Object} Conversation record
+ */
+export function buildConversationRecord({
+  avatar,
+  chatMessages,
+  roomName = null,
+  startedAt,
+  connectionStats = null,
+  conversationMetrics = null,
+}) {
+  return {
+    agent_id: avatar.id,
+    agent_name: avatar.name,
+    agent_role: avatar.role,
+    room_name: roomName,
+    started_at: startedAt,
+    connection_stats: connectionStats,
+    conversation_metrics: conversationMetrics,
+    speech_analysis: toSpeechAnalysisPayload(analyzeRepSpeech(chatMessages)),
+    messages: chatMessages.map(msg => ({
+      text: msg.text,
+      sender: msg.sender,
+      timestamp_ms: msg.timestampMs,
+      start_ms: msg.startMs ?? null,
+      participant_id: msg.participantId
+    }))
+  };
+}
+
+/**
+ * Build the POST /api/conversations body from a finished interview and its score
+ * @param {Object} conversation - Conversation fields (agent, room, started_at, messages, ...)
+ * @param {Object} scoreData - Response from /api/interviews/score
+ * @returns {Object} { conversation, score_data }
+ */
+export function buildConversationPayload(conversation, scoreData) {
+  const pickCategories = (values = {}) =>
+    Object.fromEntries(SCORE_CATEGORIES.map(({ key }) => [key, values[key]]));
+
+  return {
+    conversation,
+    score_data: {
+      final_score: scoreData.final_score,
+      tier: scoreData.tier,
+      pre_deduction_total: scoreData.pre_deduction_total,
+      raw_scores: pickCategories(scoreData.raw_scores),
+      weighted_points: pickCategories(scoreData.weighted_points),
+      deductions: scoreData.deductions,
+      strengths: scoreData.strengths,
+      coaching_items: scoreData.coaching_items,
+      detailed_feedback: scoreData.detailed_feedback,
+    },
+  };
+}
+
+export class ConversationService {
+  constructor() {
+    this.baseUrl = config.backend.baseUrl;
+    // Scored conversations don't change - details fetched for their scores are kept for the session
+    this.scoredDetails = new Map();
+  }
+
+  /**
+   * Get headers with authentication
+   * @returns {Object} Headers object with auth token if available
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...authService.getAuthHeader(),
+    };
+  }
+
+  /**
+   * Score a finished interview
+   * @param {Object} request - { agent_id, agent_name, agent_role, messages }
+   * @returns {Promise<Object>} Score data
+   */
+  async scoreInterview(request) {
+    const response = await authService.authFetch(`${this.baseUrl}/api/interviews/score`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(request),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, `Failed to calculate score: ${response.status}`);
+    }
+    return await response.json();
+  }
+
+  /**
+   * Save a scored conversation
+   * @param {Object} payload - Body from buildConversationPayload
+   * @returns {Promise<Object>} Saved conversation
+   */
+  async saveConversation(payload) {
+    const response = await authService.authFetch(`${this.baseUrl}/api/conversations`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, `Failed to save conversation: ${response.status}`);
+    }
+    return await response.json().catch(() => null);
+  }
+
+  /**
+   * List the current user's saved conversations (newest first)
+   * @returns {Promise<Array>} Conversation summaries
+   */
+  async listConversations() {
+    const response = await authService.authFetch(`${this.baseUrl}/api/conversations`, {
+      method: 'GET',
+      headers: this.getHeaders(),
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch conversations: ${response.status}`);
+    }
+    const data = await response.json();
+    const conversations = Array.isArray(data) ? data : data.items || [];
+    return [...conversations].sort(
+      (a, b) => new Date(b.created_at) - new Date(a.created_at)
+    );
+  }
+
+  /**
+   * Get a single saved conversation with its transcript and score data
+   * @param {number|string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Conversation detail
+   */
+  async getConversation(conversationId) {
+    const response = await authService.authFetch(`${this.baseUrl}/api/conversations/${conversationId}`, {
+      method: 'GET',
+      headers: this.getHeaders(),
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch conversation: ${response.status}`);
+    }
+    return await response.json();
+  }
+
+  /**
+   * List the current user's conversations including full score data
+   * Summaries that lack per-category scores are completed from the detail endpoint,
+   * a few at a time and only once per conversation
+   * @returns {Promise<Array>} Conversations with raw_scores/weighted_points
+   */
+  async listScoredConversations() {
+    const summaries = await this.listConversations();
+    return await mapWithConcurrency(summaries, DETAIL_CONCURRENCY, async (conv) => {
+      const hasScores = conv.score_data?.weighted_points || conv.weighted_points;
+      if (hasScores || conv.final_score == null) {
+        return conv;
+      }
+      if (this.scoredDetails.has(conv.id)) {
+        return this.scoredDetails.get(conv.id);
+      }
+      try {
+        const detail = await this.getConversation(conv.id);
+        this.scoredDetails.set(conv.id, detail);
+        return detail;
+      } catch (error) {
+        return conv;
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const conversationService = new ConversationService();
@@ -0,0 +1,176 @@
+/**
+ * Feedback Service
+ * Coaching feedback on saved conversations: comments anchored to a transcript
+ * message (timestamp_ms + participant_id) and one overall note per conversation.
+ * Managers and admins write it; reps read it in their history and are told about
+ * feedback they have not opened yet.
+ */
+import { config } from '../config';
+import { authService } from './AuthService';
+import { throwForResponse } from '../utils/fetchUtils';
+
+/**
+ * Whether a comment is anchored to a transcript message
+ * @param {Object} comment - { timestamp_ms, participant_id }
+ * @param {Object} message - Saved message
+ * @returns {boolean}
+ */
+export function isCommentOnMessage(comment, message) {
+  return comment.timestamp_ms === message.timestamp_ms &&
+    (comment.participant_id ?? null) === (message.participant_id ?? null);
+}
+
+export class FeedbackService {
+  constructor() {
+    this.baseUrl = config.backend.baseUrl;
+    this.listeners = new Set();
+    this.unread = { count: 0, conversationIds: [] };
+  }
+
+  /**
+   * Get headers with authentication
+   * @returns {Object} Headers object with auth token if available
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...authService.getAuthHeader(),
+    };
+  }
+
+  /**
+   * Subscribe to the rep's unread feedback
+   * @param {Function} listener - Called with { count, conversationIds }
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    listener(this.unread);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Feedback on one of the signed-in rep's conversations
+   * @param {number|string} conversationId - Conversation ID
+   * @returns {Promise<Object>} { note, comments }
+   */
+  async getFeedback(conversationId) {
+    return await this._getFeedback(`${this.baseUrl}/api/conversations/${conversationId}/feedback`);
+  }
+
+  /**
+   * Feedback on any conversation the manager/admin can see
+   * @param {number|string} conversationId - Conversation ID
+   * @returns {Promise<Object>} { note, comments }
+   */
+  async getFeedbackAsCoach(conversationId) {
+    return await this._getFeedback(`${this.baseUrl}/api/admin/conversations/${conversationId}/feedback`);
+  }
+
+  /**
+   * Comment on a transcript message
+   * @param {number|string} conversationId - Conversation ID
+   * @param {Object} comment - { timestamp_ms, participant_id, text }
+   * @returns {Promise<Object>} Saved comment
+   */
+  async addComment(conversationId, comment) {
+    const response = await authService.authFetch(
+      `${this.baseUrl}/api/admin/conversations/${conversationId}/comments`,
+      { method: 'POST', headers: this.getHeaders(), body: JSON.stringify(comment) }
+    );
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to add comment');
+    }
+    return await response.json();
+  }
+
+  /**
+   * Delete a comment
+   * @param {number|string} conversationId - Conversation ID
+   * @param {number|string} commentId - Comment ID
+   */
+  async deleteComment(conversationId, commentId) {
+    const response = await authService.authFetch(
+      `${this.baseUrl}/api/admin/conversations/${conversationId}/comments/${commentId}`,
+      { method: 'DELETE', headers: this.getHeaders() }
+    );
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to delete comment');
+    }
+  }
+
+  /**
+   * Set (or clear, with empty text) the overall coaching note
+   * @param {number|string} conversationId - Conversation ID
+   * @param {string} text - Note text
+   * @returns {Promise<Object|null>} Saved note
+   */
+  async saveNote(conversationId, text) {
+    const response = await authService.authFetch(
+      `${this.baseUrl}/api/admin/conversations/${conversationId}/note`,
+      { method: 'PUT', headers: this.getHeaders(), body: JSON.stringify({ text }) }
+    );
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to save note');
+    }
+    return await response.json().catch(() => null);
+  }
+
+  /**
+   * Fetch which of the rep's conversations have feedback they have not opened
+   * @returns {Promise<Object>} { count, conversationIds }
+   */
+  async refreshUnread() {
+    const response = await authService.authFetch(`${this.baseUrl}/api/feedback/unread`, {
+      headers: this.getHeaders(),
+    }, { promptLogin: false });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch unread feedback: ${response.status}`);
+    }
+    const data = await response.json();
+    this._setUnread(data.conversation_ids || []);
+    return this.unread;
+  }
+
+  /**
+   * Mark a conversation's feedback as read
+   * @param {number|string} conversationId - Conversation ID
+   */
+  async markRead(conversationId) {
+    if (!this.unread.conversationIds.includes(conversationId)) {
+      return;
+    }
+    const response = await authService.authFetch(
+      `${this.baseUrl}/api/conversations/${conversationId}/feedback/read`,
+      { method: 'POST', headers: this.getHeaders() }
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to mark feedback as read: ${response.status}`);
+    }
+    this._setUnread(this.unread.conversationIds.filter(id => id !== conversationId));
+  }
+
+  // Private methods
+
+  async _getFeedback(url) {
+    const response = await authService.authFetch(url, { headers: this.getHeaders() });
+    if (response.status === 404) {
+      return { note: null, comments: [] };
+    }
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to fetch feedback');
+    }
+    const data = await response.json();
+    return { note: data.note || null, comments: data.comments || [] };
+  }
+
+  _setUnread(conversationIds) {
+    this.unread = { count: conversationIds.length, conversationIds };
+    this.listeners.forEach(listener => listener(this.unread));
+  }
+}
+
+// Export singleton instance
+export const feedbackService = new FeedbackService();
@@ -0,0 +1,108 @@
+/**
+ * Interview Resume Service
+ * Remembers the running interview in localStorage so it can be picked up again
+ * after a page reload: same persona, same LiveKit room, transcript from the local draft
+ */
+import { authService } from './AuthService';
+import { transcriptStore } from './TranscriptStore';
+import { livekitService } from './LiveKitService';
+import { conversationOutbox } from './ConversationOutbox';
+import { buildScoreRequest, buildConversationRecord } from './ConversationService';
+import { computeConversationMetrics } from '../managers/ConversationMetrics';
+import { getAvatarById } from '../data/avatarData';
+
+const RESUME_KEY = 'interview_resume';
+// Interruptions older than this (since the last transcript update) are not offered for resuming
+const RESUME_MAX_AGE_MS = 30 * 60 * 1000;
+
+class InterviewResumeService {
+  /**
+   * Remember the running interview
+   * @param {Object} descriptor - { avatarId, roomName, draftId, startedAt }
+   */
+  save(descriptor) {
+    localStorage.setItem(RESUME_KEY, JSON.stringify({
+      ...descriptor,
+      userId: authService.getUser()?.id ?? null,
+      savedAt: Date.now(),
+    }));
+  }
+
+  /**
+   * Forget the interview (it ended normally or was discarded)
+   */
+  clear() {
+    localStorage.removeItem(RESUME_KEY);
+  }
+
+  /**
+   * Get the stored interview of the current user, if any
+   * @returns {Object|null} Descriptor
+   */
+  get() {
+    try {
+      const descriptor = JSON.parse(localStorage.getItem(RESUME_KEY));
+      if (!descriptor || descriptor.userId !== (authService.getUser()?.id ?? null)) {
+        return null;
+      }
+      return descriptor;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Look for an interrupted interview
+   * @returns {Promise<Object|null>} { descriptor, avatar, draft, canResume } or null
+   */
+  async findInterrupted() {
+    const descriptor = this.get();
+    if (!descriptor) {
+      return null;
+    }
+
+    const avatar = getAvatarById(descriptor.avatarId);
+    const draft = await transcriptStore.getDraft(descriptor.draftId).catch(() => null);
+    if (!avatar || !draft || draft.messages.length === 0) {
+      // Nothing worth restoring
+      this.clear();
+      return null;
+    }
+
+    // The draft is saved as the transcript grows, so its updated_at is about when the page was lost
+    const lastActivity = draft.updated_at ? new Date(draft.updated_at).getTime() : descriptor.savedAt;
+    const isRecent = Date.now() - lastActivity < RESUME_MAX_AGE_MS;
+    const canResume = isRecent && await livekitService.roomExists(descriptor.roomName);
+
+    return { descriptor, avatar, draft, canResume };
+  }
+
+  /**
+   * Give up on an interrupted interview, optionally queueing its transcript for scoring
+   * @param {Object} interrupted - Result of findInterrupted
+   * @param {boolean} keepTranscript - Score and save what was said so far
+   * @throws {Error} If the transcript could be neither sent nor queued (the draft is kept)
+   */
+  async discard({ avatar, draft }, keepTranscript) {
+    if (keepTranscript) {
+      const conversationMetrics = computeConversationMetrics(draft.speech_segments || []);
+      const outcome = await conversationOutbox.enqueue({
+        conversation: buildConversationRecord({
+          avatar,
+          chatMessages: draft.messages,
+          roomName: draft.room_name,
+          startedAt: draft.started_at,
+          conversationMetrics,
+        }),
+        scoreRequest: buildScoreRequest(avatar, draft.messages, conversationMetrics),
+      });
+      if (outcome === 'failed') {
+        throw new Error('The transcript could not be saved - please try again later');
+      }
+    }
+    this.clear();
+    await transcriptStore.deleteDraft(draft.id).catch(() => {});
+  }
+}
+
+export const interviewResumeService = new InterviewResumeService();
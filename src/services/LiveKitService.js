@@ -2,14 +2,28 @@
  * LiveKit Service
  * Handles LiveKit room connections and real-time audio/video
  */
-import { Room, RoomEvent, Track } from 'livekit-client';
+import { Room, RoomEvent, Track, DisconnectReason } from 'livekit-client';
 import { config } from '../config';
 import { authService } from './AuthService';
 
+// Disconnect reasons where rejoining the same room would be pointless or unwanted
+const FINAL_DISCONNECT_REASONS = [
+  DisconnectReason.CLIENT_INITIATED,
+  DisconnectReason.DUPLICATE_IDENTITY,
+  DisconnectReason.PARTICIPANT_REMOVED,
+  DisconnectReason.ROOM_DELETED,
+];
+
+const MAX_REJOIN_ATTEMPTS = 3;
+const REJOIN_BACKOFF_MS = 1500;
+
 export class LiveKitService {
   constructor() {
     this.baseUrl = config.backend.baseUrl;
     this.currentRoom = null;
+    this.isRejoining = false;
+    // HeyGen session the agent should drive - kept current across avatar session recreation
+    this.heygenSessionId = null;
   }
 
   /**
@@ -46,7 +60,7 @@ export class LiveKitService {
       requestBody.heygen_session_id = heygenSessionId;
     }
     
-    const response = await fetch(`${this.baseUrl}/api/livekit/token`, {
+    const response = await authService.authFetch(`${this.baseUrl}/api/livekit/token`, {
       method: 'POST',
       headers: this.getHeaders(),
       body: JSON.stringify(requestBody),
@@ -106,7 +120,10 @@ export class LiveKitService {
    * @param {string} heygenSessionId - HeyGen session ID (optional)
    * @param {Function} onTrackSubscribed - Callback when track is subscribed
    * @param {Function} onParticipantConnected - Callback when participant connects
-   * @param {Function} onDisconnected - Callback when disconnected
+   * @param {Function} onDisconnected - Callback when disconnected for good (rejoin gave up or client-initiated)
+   * @param {Object} reconnectHandlers - Optional callbacks for connection recovery
+   * @param {Function} reconnectHandlers.onReconnecting - Called when the connection dropped and recovery started
+   * @param {Function} reconnectHandlers.onReconnected - Called when the room is usable again
    * @returns {Promise<Room>} Connected room
    */
   async connectToRoom(
@@ -116,8 +133,11 @@ export class LiveKitService {
     heygenSessionId = null,
     onTrackSubscribed,
     onParticipantConnected,
-    onDisconnected
+    onDisconnected,
+    { onReconnecting, onReconnected } = {}
   ) {
+    this.heygenSessionId = heygenSessionId;
+
     // Get room token
     const tokenData = await this.createRoomToken(roomName, participantName, agentId, heygenSessionId);
 
@@ -140,7 +160,34 @@ export class LiveKitService {
       }
     });
 
-    room.on(RoomEvent.Disconnected, () => {
+    // Transient drops - LiveKit resumes the session on its own
+    room.on(RoomEvent.Reconnecting, () => {
+      onReconnecting?.();
+    });
+
+    room.on(RoomEvent.Reconnected, () => {
+      onReconnected?.();
+    });
+
+    room.on(RoomEvent.Disconnected, async (reason) => {
+      // Failed connect attempts during a rejoin also emit Disconnected - the rejoin loop handles those
+      if (this.isRejoining) {
+        return;
+      }
+
+      const isFinal = FINAL_DISCONNECT_REASONS.includes(reason) || this.currentRoom !== room;
+      if (!isFinal) {
+        // Hard disconnect: rejoin the same Room instance so event listeners,
+        // text stream handlers and app state attached to it survive
+        onReconnecting?.();
+        const rejoined = await this.rejoinRoom(room, roomName, participantName, agentId, this.heygenSessionId);
+        if (rejoined) {
+          onReconnected?.();
+          return;
+        }
+        this.currentRoom = null;
+      }
+
       if (onDisconnected) {
         onDisconnected();
       }
@@ -160,14 +207,79 @@ export class LiveKitService {
     return room;
   }
 
+  /**
+   * Rejoin a room after a hard disconnect with a freshly issued token
+   * @param {Room} room - The disconnected room instance to reconnect
+   * @param {string} roomName - Name of the room
+   * @param {string} participantName - Name of the participant
+   * @param {number} agentId - Agent ID (1-10)
+   * @param {string} heygenSessionId - HeyGen session ID (optional)
+   * @returns {Promise<boolean>} True if the room was rejoined
+   */
+  async rejoinRoom(room, roomName, participantName, agentId, heygenSessionId = null) {
+    this.isRejoining = true;
+    try {
+      for (let attempt = 1; attempt <= MAX_REJOIN_ATTEMPTS; attempt++) {
+        // Stop if the user left while we were retrying
+        if (this.currentRoom !== room) {
+          return false;
+        }
+        try {
+          const tokenData = await this.createRoomToken(roomName, participantName, agentId, heygenSessionId);
+          await room.connect(tokenData.url, tokenData.token);
+          try {
+            await room.localParticipant.setMicrophoneEnabled(true);
+          } catch (error) {
+            // Don't fail the rejoin if microphone fails
+          }
+          return true;
+        } catch (error) {
+          console.warn(`LiveKit rejoin attempt ${attempt} failed:`, error);
+          await new Promise(resolve => setTimeout(resolve, REJOIN_BACKOFF_MS * attempt));
+        }
+      }
+      return false;
+    } finally {
+      this.isRejoining = false;
+    }
+  }
+
+  /**
+   * Check whether a room is still open on the backend
+   * @param {string} roomName - Name of the room
+   * @returns {Promise<boolean>} False if the room is gone or the check failed
+   */
+  async roomExists(roomName) {
+    try {
+      const response = await authService.authFetch(
+        `${this.baseUrl}/api/livekit/room/${encodeURIComponent(roomName)}`,
+        { method: 'GET', headers: this.getHeaders() }
+      );
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Update the HeyGen session ID sent with future tokens (e.g. after the avatar session was recreated)
+   * @param {string|null} heygenSessionId - HeyGen session ID
+   */
+  updateHeyGenSessionId(heygenSessionId) {
+    this.heygenSessionId = heygenSessionId;
+  }
+
   /**
    * Disconnect from the current room
    * @returns {Promise<void>}
    */
   async disconnect() {
     if (this.currentRoom) {
-      await this.currentRoom.disconnect();
+      const room = this.currentRoom;
+      // Clear first so an in-flight rejoin stops retrying
       this.currentRoom = null;
+      this.heygenSessionId = null;
+      await room.disconnect();
     }
   }
 
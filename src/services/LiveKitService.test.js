@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { LiveKitService } from './LiveKitService';
+import { DisconnectReason } from '../test/livekitClientMock';
+
+vi.mock('livekit-client', () => import('../test/livekitClientMock'));
+
+vi.mock('./AuthService', () => ({
+  authService: {
+    authFetch: vi.fn(),
+    getAuthHeader: () => ({}),
+  },
+}));
+
+describe('LiveKitService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new LiveKitService();
+    vi.spyOn(service, 'createRoomToken').mockResolvedValue({ url: 'wss://livekit.test', token: 'token' });
+  });
+
+  it('rejoins with the id of a recreated avatar session', async () => {
+    const room = await service.connectToRoom('room-avatar-1', 'user-1', 1, 'heygen-session-1');
+
+    // The avatar session was recreated (connection recovery or quality change)
+    service.updateHeyGenSessionId('heygen-session-2');
+    await room.handlers.disconnected(DisconnectReason.SIGNAL_CLOSE);
+
+    expect(service.createRoomToken).toHaveBeenCalledTimes(2);
+    expect(service.createRoomToken).toHaveBeenLastCalledWith('room-avatar-1', 'user-1', 1, 'heygen-session-2');
+  });
+
+  it('does not rejoin after leaving the room', async () => {
+    const room = await service.connectToRoom('room-avatar-1', 'user-1', 1, 'heygen-session-1');
+
+    await service.disconnect();
+    await room.handlers.disconnected(DisconnectReason.CLIENT_INITIATED);
+
+    expect(service.createRoomToken).toHaveBeenCalledTimes(1);
+  });
+});
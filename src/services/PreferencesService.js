@@ -0,0 +1,80 @@
+/**
+ * Preferences Service
+ * Stores per-user interview preferences in localStorage
+ */
+import { authService } from './AuthService';
+import { config } from '../config';
+
+const PREFERENCES_KEY_PREFIX = 'user_preferences';
+
+export const DEFAULT_PREFERENCES = {
+  avatarQuality: 'auto', // 'auto', 'low', 'medium' or 'high'
+  recordInterviews: false, // start recording (kept on this device) as soon as the conversation starts
+  coachMode: false, // show objection-handling hints during interviews (off for graded assignments)
+  // Advanced receiver tuning - null means "use the deployment default from config.webrtc"
+  webrtc: {
+    jitterBufferTargetMs: null,
+    iceTransportPolicy: null,
+    iceCandidatePoolSize: null,
+    extraIceServers: [],
+  },
+};
+
+class PreferencesService {
+  /**
+   * Storage key for the signed-in user (falls back to a shared key when signed out)
+   */
+  getStorageKey() {
+    const user = authService.getUser();
+    return user?.id ? `${PREFERENCES_KEY_PREFIX}_${user.id}` : PREFERENCES_KEY_PREFIX;
+  }
+
+  /**
+   * Get the current user's preferences merged over the defaults
+   * @returns {Object} Preferences
+   */
+  get() {
+    try {
+      const stored = localStorage.getItem(this.getStorageKey());
+      return { ...DEFAULT_PREFERENCES, ...(stored ? JSON.parse(stored) : {}) };
+    } catch (error) {
+      return { ...DEFAULT_PREFERENCES };
+    }
+  }
+
+  /**
+   * Update some preferences
+   * @param {Object} changes - Preference fields to change
+   * @returns {Object} Updated preferences
+   */
+  update(changes) {
+    const preferences = { ...this.get(), ...changes };
+    localStorage.setItem(this.getStorageKey(), JSON.stringify(preferences));
+    return preferences;
+  }
+
+  /**
+   * Receiver tuning for a new avatar session: user overrides over config.webrtc
+   * User ICE servers are added to the deployment ones rather than replacing them
+   * @returns {Object} { jitterBufferTargetMs, iceTransportPolicy, iceCandidatePoolSize, extraIceServers, includeDefaultStun }
+   */
+  getReceiverSettings() {
+    const overrides = { ...DEFAULT_PREFERENCES.webrtc, ...this.get().webrtc };
+    return {
+      jitterBufferTargetMs: overrides.jitterBufferTargetMs ?? config.webrtc.jitterBufferTargetMs,
+      iceTransportPolicy: overrides.iceTransportPolicy || config.webrtc.iceTransportPolicy,
+      iceCandidatePoolSize: overrides.iceCandidatePoolSize ?? config.webrtc.iceCandidatePoolSize,
+      extraIceServers: [...config.webrtc.extraIceServers, ...(overrides.extraIceServers || [])],
+      includeDefaultStun: config.webrtc.includeDefaultStun,
+    };
+  }
+
+  /**
+   * Reset the current user's preferences to the defaults
+   */
+  reset() {
+    localStorage.removeItem(this.getStorageKey());
+  }
+}
+
+export const preferencesService = new PreferencesService();
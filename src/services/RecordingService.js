@@ -0,0 +1,92 @@
+/**
+ * Recording Service
+ * Uploads interview recordings to the backend with their saved conversation, so
+ * managers can replay them too, and downloads them for the history and coaching views
+ */
+import { config } from '../config';
+import { authService } from './AuthService';
+import { throwForResponse } from '../utils/fetchUtils';
+
+export class RecordingService {
+  constructor() {
+    this.baseUrl = config.backend.baseUrl;
+  }
+
+  /**
+   * Upload a recording for a saved conversation (replaces an earlier one)
+   * @param {number|string} conversationId - Saved conversation ID
+   * @param {Object} recording - Local recording ({ blob, mime_type, recording_started_at, duration_ms, has_video })
+   * @returns {Promise<Object>} Stored recording metadata
+   * @throws {Error} With the HTTP status (e.g. 413 when the file is too large)
+   */
+  async uploadRecording(conversationId, recording) {
+    const form = new FormData();
+    form.append('file', recording.blob, `interview-${conversationId}.webm`);
+    form.append('mime_type', recording.mime_type);
+    form.append('recording_started_at', String(recording.recording_started_at));
+    form.append('duration_ms', String(recording.duration_ms));
+    form.append('has_video', String(!!recording.has_video));
+
+    // No Content-Type header - the browser sets the multipart boundary
+    const response = await authService.authFetch(`${this.baseUrl}/api/conversations/${conversationId}/recording`, {
+      method: 'POST',
+      headers: authService.getAuthHeader(),
+      body: form,
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to upload recording');
+    }
+    return await response.json();
+  }
+
+  /**
+   * Recording of one of the signed-in rep's conversations
+   * @param {Object} conversation - Saved conversation ({ id, agent_name, started_at })
+   * @returns {Promise<Object|null>} Recording ({ blob, mime_type, recording_started_at, duration_ms, has_video }) or null
+   */
+  async getRecording(conversation) {
+    return await this._getRecording(`${this.baseUrl}/api/conversations/${conversation.id}/recording`, conversation);
+  }
+
+  /**
+   * Recording of any conversation the manager/admin can see
+   * @param {Object} conversation - Saved conversation ({ id, agent_name, started_at })
+   * @returns {Promise<Object|null>} Recording or null
+   */
+  async getRecordingAsCoach(conversation) {
+    return await this._getRecording(`${this.baseUrl}/api/admin/conversations/${conversation.id}/recording`, conversation);
+  }
+
+  // Private methods
+
+  async _getRecording(url, conversation) {
+    const response = await authService.authFetch(url, {
+      headers: authService.getAuthHeader(),
+    });
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to fetch recording');
+    }
+    const metadata = await response.json();
+
+    const file = await authService.authFetch(`${url}/file`, {
+      headers: authService.getAuthHeader(),
+    });
+    if (!file.ok) {
+      await throwForResponse(file, 'Failed to download recording');
+    }
+    return {
+      ...metadata,
+      // Download file names use these
+      agent_name: conversation.agent_name,
+      started_at: conversation.started_at,
+      blob: await file.blob(),
+      source: 'server',
+    };
+  }
+}
+
+// Export singleton instance
+export const recordingService = new RecordingService();
@@ -0,0 +1,129 @@
+/**
+ * Recording Store
+ * Keeps interview recordings on this device (IndexedDB) until they are uploaded with their
+ * conversation (see RecordingService), and as a local copy for fast replay from History
+ */
+import { authService } from './AuthService';
+import { STORES, putRecord, getAllRecords, getRecord, deleteRecord } from '../utils/indexedDb';
+
+// Recordings are large - drop them after a month
+const RECORDING_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const toTime = (value) => (value ? new Date(value).getTime() : NaN);
+
+class RecordingStore {
+  /**
+   * Save a finished recording
+   * @param {Object} recording - { id, agent_id, agent_name, started_at, blob, mime_type, recording_started_at, duration_ms, has_video }
+   * @returns {Promise<Object>} Stored record
+   */
+  async saveRecording(recording) {
+    const record = {
+      ...recording,
+      user_id: authService.getUser()?.id ?? null,
+      created_at: new Date().toISOString(),
+    };
+    await putRecord(STORES.RECORDINGS, record);
+    return record;
+  }
+
+  /**
+   * List the current user's recordings (newest first), pruning expired ones
+   * @returns {Promise<Array>}
+   */
+  async listRecordings() {
+    const userId = authService.getUser()?.id ?? null;
+    const recordings = await getAllRecords(STORES.RECORDINGS);
+    const now = Date.now();
+
+    const expired = recordings.filter(r => now - toTime(r.created_at) > RECORDING_MAX_AGE_MS);
+    await Promise.all(expired.map(r => deleteRecord(STORES.RECORDINGS, r.id)));
+
+    return recordings
+      .filter(r => !expired.includes(r) && r.user_id === userId)
+      .sort((a, b) => toTime(b.created_at) - toTime(a.created_at));
+  }
+
+  /**
+   * Find the local recording of a saved conversation
+   * @param {Object} conversation - Conversation from the backend
+   * @returns {Promise<Object|null>}
+   */
+  async findForConversation(conversation) {
+    if (!conversation?.id) return null;
+    try {
+      const recordings = await this.listRecordings();
+      return recordings.find(r => String(r.conversation_id) === String(conversation.id)) || null;
+    } catch (error) {
+      console.warn('Could not read local recordings:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Tie a recording to the conversation it was made in, once that conversation is saved
+   * @param {string} id - Recording ID
+   * @param {number|string} conversationId - Saved conversation ID
+   * @returns {Promise<Object|null>} Updated record, or null if it is no longer on this device
+   */
+  async linkToConversation(id, conversationId) {
+    const record = await getRecord(STORES.RECORDINGS, id);
+    if (!record) return null;
+    const linked = { ...record, conversation_id: conversationId };
+    await putRecord(STORES.RECORDINGS, linked);
+    return linked;
+  }
+
+  /**
+   * Remember that a recording is on the server
+   * @param {string} id - Recording ID
+   */
+  async markUploaded(id) {
+    const record = await getRecord(STORES.RECORDINGS, id);
+    if (record) {
+      await putRecord(STORES.RECORDINGS, { ...record, uploaded_at: new Date().toISOString(), upload_error: null });
+    }
+  }
+
+  /**
+   * Remember that the server refused a recording (e.g. too large), so it isn't sent again on every flush
+   * @param {string} id - Recording ID
+   * @param {string} message - Reason shown with the recording in History
+   */
+  async markUploadFailed(id, message) {
+    const record = await getRecord(STORES.RECORDINGS, id);
+    if (record) {
+      await putRecord(STORES.RECORDINGS, { ...record, upload_error: message });
+    }
+  }
+
+  /**
+   * Queue a refused recording for upload again
+   * @param {string} id - Recording ID
+   */
+  async clearUploadError(id) {
+    const record = await getRecord(STORES.RECORDINGS, id);
+    if (record) {
+      await putRecord(STORES.RECORDINGS, { ...record, upload_error: null });
+    }
+  }
+
+  /**
+   * Recordings of saved conversations that still need uploading (refused ones wait for a manual retry)
+   * @returns {Promise<Array>}
+   */
+  async listPendingUploads() {
+    const recordings = await this.listRecordings();
+    return recordings.filter(r => r.conversation_id != null && !r.uploaded_at && !r.upload_error);
+  }
+
+  /**
+   * Delete a recording
+   * @param {string} id - Recording ID
+   */
+  async deleteRecording(id) {
+    await deleteRecord(STORES.RECORDINGS, id);
+  }
+}
+
+export const recordingStore = new RecordingStore();
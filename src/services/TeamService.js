@@ -0,0 +1,136 @@
+/**
+ * Team API Service
+ * Team CRUD and membership for admins and sales managers
+ * Managers only ever see (and can only change) the teams they manage - the backend scopes every call
+ */
+import { config } from '../config';
+import { authService } from './AuthService';
+import { throwForResponse } from '../utils/fetchUtils';
+
+export class TeamService {
+  constructor() {
+    this.baseUrl = `${config.backend.baseUrl}/api/admin/teams`;
+  }
+
+  /**
+   * Get headers with authentication
+   * @returns {Object} Headers object with auth token if available
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...authService.getAuthHeader(),
+    };
+  }
+
+  /**
+   * List the teams visible to the current user
+   * @returns {Promise<Array>} [{ id, name, description, manager_id, manager_username, member_count }]
+   */
+  async listTeams() {
+    const response = await authService.authFetch(this.baseUrl, { headers: this.getHeaders() });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to fetch teams');
+    }
+    const data = await response.json();
+    return Array.isArray(data) ? data : data.items || [];
+  }
+
+  /**
+   * Create a team (managers become its manager)
+   * @param {Object} team - { name, description, manager_id? }
+   * @returns {Promise<Object>} Created team
+   */
+  async createTeam(team) {
+    const response = await authService.authFetch(this.baseUrl, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(team),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to create team');
+    }
+    return await response.json();
+  }
+
+  /**
+   * Update a team
+   * @param {number|string} teamId - Team ID
+   * @param {Object} team - Fields to change
+   * @returns {Promise<Object>} Updated team
+   */
+  async updateTeam(teamId, team) {
+    const response = await authService.authFetch(`${this.baseUrl}/${teamId}`, {
+      method: 'PUT',
+      headers: this.getHeaders(),
+      body: JSON.stringify(team),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to update team');
+    }
+    return await response.json();
+  }
+
+  /**
+   * Delete a team (members and their conversations are kept)
+   * @param {number|string} teamId - Team ID
+   */
+  async deleteTeam(teamId) {
+    const response = await authService.authFetch(`${this.baseUrl}/${teamId}`, {
+      method: 'DELETE',
+      headers: this.getHeaders(),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to delete team');
+    }
+  }
+
+  /**
+   * List a team's reps
+   * @param {number|string} teamId - Team ID
+   * @returns {Promise<Array>} Users
+   */
+  async listMembers(teamId) {
+    const response = await authService.authFetch(`${this.baseUrl}/${teamId}/members`, {
+      headers: this.getHeaders(),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to fetch team members');
+    }
+    return await response.json();
+  }
+
+  /**
+   * Add a rep to a team
+   * @param {number|string} teamId - Team ID
+   * @param {number|string} userId - User ID
+   */
+  async addMember(teamId, userId) {
+    const response = await authService.authFetch(`${this.baseUrl}/${teamId}/members`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ user_id: userId }),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to add team member');
+    }
+  }
+
+  /**
+   * Remove a rep from a team
+   * @param {number|string} teamId - Team ID
+   * @param {number|string} userId - User ID
+   */
+  async removeMember(teamId, userId) {
+    const response = await authService.authFetch(`${this.baseUrl}/${teamId}/members/${userId}`, {
+      method: 'DELETE',
+      headers: this.getHeaders(),
+    });
+    if (!response.ok) {
+      await throwForResponse(response, 'Failed to remove team member');
+    }
+  }
+}
+
+// Export singleton instance
+export const teamService = new TeamService();
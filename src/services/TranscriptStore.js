@@ -0,0 +1,63 @@
+/**
+ * Transcript Store
+ * Keeps the transcript (and score, once known) of the running interview in IndexedDB
+ * so a failed save, a crash or a closed tab doesn't lose it
+ */
+import { authService } from './AuthService';
+import { STORES, putRecord, getRecord, getAllRecords, deleteRecord } from '../utils/indexedDb';
+
+// Drafts nobody resumed or synced are dropped after a week
+const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+class TranscriptStore {
+  /**
+   * Create or update a draft
+   * @param {Object} draft - { id, agent_id, agent_name, room_name, started_at, messages, score? }
+   * @returns {Promise<Object>} Stored draft
+   */
+  async saveDraft(draft) {
+    const record = {
+      ...draft,
+      user_id: draft.user_id ?? authService.getUser()?.id ?? null,
+      updated_at: new Date().toISOString(),
+    };
+    await putRecord(STORES.DRAFTS, record);
+    return record;
+  }
+
+  /**
+   * Get a draft by ID
+   * @param {string} id - Draft ID
+   * @returns {Promise<Object|null>}
+   */
+  async getDraft(id) {
+    return (await getRecord(STORES.DRAFTS, id)) || null;
+  }
+
+  /**
+   * List the current user's drafts (newest first), pruning expired ones
+   * @returns {Promise<Array>}
+   */
+  async listDrafts() {
+    const userId = authService.getUser()?.id ?? null;
+    const drafts = await getAllRecords(STORES.DRAFTS);
+    const now = Date.now();
+
+    const expired = drafts.filter(d => now - new Date(d.updated_at).getTime() > DRAFT_MAX_AGE_MS);
+    await Promise.all(expired.map(d => deleteRecord(STORES.DRAFTS, d.id)));
+
+    return drafts
+      .filter(d => !expired.includes(d) && d.user_id === userId)
+      .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+  }
+
+  /**
+   * Delete a draft (once the outbox or backend owns the data)
+   * @param {string} id - Draft ID
+   */
+  async deleteDraft(id) {
+    await deleteRecord(STORES.DRAFTS, id);
+  }
+}
+
+export const transcriptStore = new TranscriptStore();
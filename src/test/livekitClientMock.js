@@ -0,0 +1,38 @@
+/**
+ * Stand-in for livekit-client in unit tests: rooms connect instantly and keep their
+ * event handlers so a test can fire them (e.g. room.handlers.disconnected(reason))
+ */
+import { vi } from 'vitest';
+
+export class Room {
+  constructor() {
+    this.handlers = {};
+    this.localParticipant = { setMicrophoneEnabled: vi.fn().mockResolvedValue() };
+    this.remoteParticipants = new Map();
+    this.connect = vi.fn().mockResolvedValue();
+    this.disconnect = vi.fn().mockResolvedValue();
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+    return this;
+  }
+}
+
+export const RoomEvent = {
+  TrackSubscribed: 'trackSubscribed',
+  ParticipantConnected: 'participantConnected',
+  Reconnecting: 'reconnecting',
+  Reconnected: 'reconnected',
+  Disconnected: 'disconnected',
+};
+
+export const Track = {};
+
+export const DisconnectReason = {
+  CLIENT_INITIATED: 1,
+  DUPLICATE_IDENTITY: 2,
+  PARTICIPANT_REMOVED: 4,
+  ROOM_DELETED: 5,
+  SIGNAL_CLOSE: 14,
+};
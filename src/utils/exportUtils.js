@@ -0,0 +1,179 @@
+/**
+ * Export utility functions
+ * Turn saved conversations into CSV/JSON rows and transcripts, and download them
+ */
+import { SCORE_CATEGORIES, toScorePayload } from '../data/scoringCategories';
+
+/**
+ * Offer a string as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type
+ */
+export function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * File-name friendly timestamp (e.g. 2024-05-01-1432)
+ */
+export const fileTimestamp = (date = new Date()) =>
+  date.toISOString().slice(0, 16).replace('T', '-').replace(':', '');
+
+/**
+ * Download an interview recording (local, see RecordingStore, or uploaded, see RecordingService)
+ * @param {Object} recording - Stored recording ({ blob, mime_type, agent_name, started_at })
+ */
+export function downloadRecording(recording) {
+  const extension = recording.mime_type?.startsWith('audio/') ? 'weba' : 'webm';
+  const name = (recording.agent_name || 'interview').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  downloadFile(
+    `interview-${name}-${fileTimestamp(new Date(recording.started_at))}.${extension}`,
+    recording.blob,
+    recording.mime_type
+  );
+}
+
+const countBy = (messages, sender) =>
+  Array.isArray(messages) ? messages.filter(msg => msg.sender === sender).length : null;
+
+/**
+ * Flatten a conversation and its score into one export row
+ * @param {Object} conversation - Admin conversation (summary or detail)
+ * @returns {Object} Row keyed by column name
+ */
+export function toExportRow(conversation) {
+  const score = toScorePayload(conversation);
+  const deductions = score?.deductions || [];
+  const row = {
+    id: conversation.id,
+    user_username: conversation.user_username ?? '',
+    user_email: conversation.user_email ?? '',
+    agent_id: conversation.agent_id ?? '',
+    agent_name: conversation.agent_name ?? '',
+    agent_role: conversation.agent_role ?? '',
+    created_at: conversation.created_at ?? '',
+    final_score: score?.final_score ?? '',
+    tier: score?.tier ?? '',
+    pre_deduction_total: score?.pre_deduction_total ?? '',
+  };
+
+  SCORE_CATEGORIES.forEach(({ key }) => {
+    row[`raw_${key}`] = score?.raw_scores[key] ?? '';
+  });
+  SCORE_CATEGORIES.forEach(({ key }) => {
+    row[`weighted_${key}`] = score?.weighted_points[key] ?? '';
+  });
+
+  row.deduction_count = deductions.length;
+  row.deduction_points = deductions.reduce((sum, d) => sum + (Number(d.points) || 0), 0);
+  row.deductions = deductions.map(d => `${d.reason} (${d.points})`).join('; ');
+  row.message_count = conversation.message_count ?? conversation.messages?.length ?? '';
+  row.user_message_count = conversation.user_message_count ?? countBy(conversation.messages, 'user') ?? '';
+  row.agent_message_count = conversation.agent_message_count ?? countBy(conversation.messages, 'agent') ?? '';
+
+  const metrics = conversation.conversation_metrics;
+  row.talk_ratio = metrics?.talk_ratio ?? '';
+  row.user_wpm = metrics?.user_wpm ?? '';
+  row.longest_monologue_ms = metrics?.longest_monologue_ms ?? '';
+  row.user_interruptions = metrics?.user_interruptions ?? '';
+
+  const speech = conversation.speech_analysis;
+  row.filler_words = speech?.filler_words ?? '';
+  row.open_questions = speech?.open_questions ?? '';
+  row.closed_questions = speech?.closed_questions ?? '';
+  row.discovery_questions = speech?.discovery_questions ?? '';
+  return row;
+}
+
+// Spreadsheets run cells starting with these as formulas - user and model text must not
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_TRIGGER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows to CSV (header from the first row's keys)
+ * @param {Array<Object>} rows - Rows with identical keys
+ * @returns {string} CSV text
+ */
+export function toCsv(rows) {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escapeCsv(row[column])).join(',')),
+  ].join('\r\n');
+}
+
+const speakerName = (msg, conversation) =>
+  msg.sender === 'user' ? (conversation.user_username || 'Rep') : (conversation.agent_name || 'Agent');
+
+const messageTime = (msg) =>
+  msg.timestamp_ms ? new Date(msg.timestamp_ms).toLocaleTimeString() : '';
+
+/**
+ * Transcript as plain text
+ * @param {Object} conversation - Conversation detail with messages
+ * @returns {string}
+ */
+export function transcriptToText(conversation) {
+  const score = toScorePayload(conversation);
+  const header = [
+    `Conversation #${conversation.id} - ${conversation.agent_name || 'Agent'}`,
+    `Rep: ${conversation.user_username || ''} ${conversation.user_email ? `<${conversation.user_email}>` : ''}`.trim(),
+    `Date: ${new Date(conversation.created_at).toLocaleString()}`,
+    score ? `Score: ${Math.round(score.final_score)}/100 (${score.tier})` : null,
+  ].filter(Boolean);
+
+  const lines = (conversation.messages || []).map(msg => {
+    const time = messageTime(msg);
+    return `${time ? `[${time}] ` : ''}${speakerName(msg, conversation)}: ${msg.text}`;
+  });
+
+  return [...header, '', ...lines, ''].join('\n');
+}
+
+/**
+ * Transcript as Markdown
+ * @param {Object} conversation - Conversation detail with messages
+ * @returns {string}
+ */
+export function transcriptToMarkdown(conversation) {
+  const score = toScorePayload(conversation);
+  const out = [
+    `# Conversation #${conversation.id} - ${conversation.agent_name || 'Agent'}`,
+    '',
+    `- **Rep:** ${conversation.user_username || ''}${conversation.user_email ? ` (${conversation.user_email})` : ''}`,
+    `- **Agent:** ${conversation.agent_name || ''}${conversation.agent_role ? ` - ${conversation.agent_role}` : ''}`,
+    `- **Date:** ${new Date(conversation.created_at).toLocaleString()}`,
+  ];
+
+  if (score) {
+    out.push(`- **Score:** ${Math.round(score.final_score)}/100 (${score.tier})`);
+    if (score.detailed_feedback) {
+      out.push('', '## Feedback', '', score.detailed_feedback);
+    }
+  }
+
+  out.push('', '## Transcript', '');
+  (conversation.messages || []).forEach(msg => {
+    const time = messageTime(msg);
+    out.push(`**${speakerName(msg, conversation)}**${time ? ` _${time}_` : ''}`, '', msg.text, '');
+  });
+
+  return out.join('\n');
+}
@@ -23,3 +23,36 @@ export async function fetchWithRetry(url, options = {}, retries = 3, timeout = 3
   }
 }
 
+/**
+ * Map over items with at most `limit` calls in flight, keeping the input order
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper (item, index)
+ * @returns {Promise<Array>} Results
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Throw with the backend's `detail` message when there is one
+ * The error carries the HTTP status so callers can tell permanent failures (4xx) from retryable ones
+ * @param {Response} response - Failed response
+ * @param {string} fallback - Message when the body has no detail
+ * @throws {Error} With `status` set to the response status
+ */
+export async function throwForResponse(response, fallback) {
+  const errorData = await response.json().catch(() => ({}));
+  const error = new Error(errorData.detail || fallback);
+  error.status = response.status;
+  throw error;
+}
@@ -0,0 +1,80 @@
+/**
+ * Minimal promise wrapper around the app's IndexedDB database
+ * Used to keep interview data on the device until the backend has it
+ */
+
+const DB_NAME = 'ai-avatar-interview';
+const DB_VERSION = 2;
+
+// Object stores (all keyed by `id`)
+export const STORES = {
+  DRAFTS: 'transcriptDrafts',
+  OUTBOX: 'conversationOutbox',
+  RECORDINGS: 'interviewRecordings',
+};
+
+let dbPromise = null;
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create/upgrade) the database once per page
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(STORES).forEach((storeName) => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, { keyPath: 'id' });
+        }
+      });
+    };
+    dbPromise = promisifyRequest(request).catch((error) => {
+      // Allow a later call to try again (e.g. private mode blocked the first open)
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  // Listen before awaiting anything - the transaction may complete in the meantime
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const result = await promisifyRequest(operation(transaction.objectStore(storeName)));
+  await completed;
+  return result;
+}
+
+export function putRecord(storeName, record) {
+  return withStore(storeName, 'readwrite', (store) => store.put(record));
+}
+
+export function getRecord(storeName, id) {
+  return withStore(storeName, 'readonly', (store) => store.get(id));
+}
+
+export function getAllRecords(storeName) {
+  return withStore(storeName, 'readonly', (store) => store.getAll());
+}
+
+export function deleteRecord(storeName, id) {
+  return withStore(storeName, 'readwrite', (store) => store.delete(id));
+}
@@ -0,0 +1,181 @@
+/**
+ * Score analytics utility functions
+ * Aggregate saved conversation scores into progress trends
+ */
+import { SCORE_CATEGORIES, toScorePayload } from '../data/scoringCategories';
+import { getAvatarById } from '../data/avatarData';
+
+/**
+ * Convert a category's weighted points into a 0-100 percentage of its max
+ */
+const toCategoryPercent = (score, category) => {
+  const points = score.weighted_points?.[category.key];
+  if (typeof points === 'number') {
+    return (points / category.max) * 100;
+  }
+  const raw = score.raw_scores?.[category.key];
+  return typeof raw === 'number' ? (raw / 5) * 100 : null;
+};
+
+const average = (values) => {
+  const present = values.filter(v => typeof v === 'number' && !Number.isNaN(v));
+  if (present.length === 0) return null;
+  return present.reduce((sum, v) => sum + v, 0) / present.length;
+};
+
+/**
+ * Build a chronological series of scored sessions
+ * @param {Array} conversations - Saved conversations (with score data)
+ * @returns {Array<Object>} Points with date, agentId, finalScore, tier and per-category percentages
+ */
+export function buildProgressSeries(conversations) {
+  return (conversations || [])
+    .map(conv => ({ conv, score: toScorePayload(conv) }))
+    .filter(({ score }) => score)
+    .map(({ conv, score }) => ({
+      id: conv.id,
+      date: new Date(conv.started_at || conv.created_at),
+      agentId: conv.agent_id,
+      finalScore: score.final_score,
+      tier: score.tier,
+      categories: Object.fromEntries(
+        SCORE_CATEGORIES.map(category => [category.key, toCategoryPercent(score, category)])
+      ),
+    }))
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Average each rubric category across a series
+ * @param {Array<Object>} series - Output of buildProgressSeries
+ * @returns {Array<Object>} Category definitions with an `average` percentage
+ */
+export function averageByCategory(series) {
+  return SCORE_CATEGORIES.map(category => ({
+    ...category,
+    average: average(series.map(point => point.categories[category.key])),
+  }));
+}
+
+/**
+ * Find the weakest rubric category, weighting recent sessions
+ * @param {Array<Object>} series - Output of buildProgressSeries
+ * @param {number} recent - How many of the latest sessions to consider (default: 5)
+ * @returns {Object|null} Category definition with its `average` percentage
+ */
+export function findWeakestCategory(series, recent = 5) {
+  const averages = averageByCategory(series.slice(-recent))
+    .filter(category => category.average !== null);
+  if (averages.length === 0) return null;
+  return averages.reduce((weakest, category) =>
+    category.average < weakest.average ? category : weakest
+  );
+}
+
+/**
+ * Break results down by persona (AVATARS id)
+ * @param {Array<Object>} series - Output of buildProgressSeries
+ * @returns {Array<Object>} One entry per persona with attempts, average, best and latest score
+ */
+export function summarizeByPersona(series) {
+  const byAgent = new Map();
+  series.forEach(point => {
+    if (!byAgent.has(point.agentId)) {
+      byAgent.set(point.agentId, []);
+    }
+    byAgent.get(point.agentId).push(point);
+  });
+
+  return Array.from(byAgent.entries())
+    .map(([agentId, points]) => {
+      const latest = points[points.length - 1];
+      return {
+        agentId,
+        avatar: getAvatarById(agentId),
+        attempts: points.length,
+        averageScore: average(points.map(p => p.finalScore)),
+        bestScore: Math.max(...points.map(p => p.finalScore)),
+        latestScore: latest.finalScore,
+        latestTier: latest.tier,
+        weakestCategory: findWeakestCategory(points),
+      };
+    })
+    .sort((a, b) => b.attempts - a.attempts);
+}
+
+/**
+ * Rank reps by their saved interview scores
+ * @param {Array} conversations - Conversations with user fields and score data (e.g. one team's)
+ * @returns {Array<Object>} One entry per rep, best average first, with sessions, average/best/latest
+ *   score, latest tier, per-category averages and weakest category
+ */
+export function buildLeaderboard(conversations) {
+  const byUser = new Map();
+  (conversations || []).forEach(conv => {
+    const key = conv.user_id ?? conv.user_email;
+    if (!byUser.has(key)) {
+      byUser.set(key, { userId: conv.user_id, username: conv.user_username, email: conv.user_email, sessions: [] });
+    }
+    byUser.get(key).sessions.push(conv);
+  });
+
+  return Array.from(byUser.values())
+    .map(({ sessions, ...user }) => {
+      const scored = sessions
+        .map(conv => ({ date: new Date(conv.started_at || conv.created_at), score: toScorePayload(conv) }))
+        .filter(({ score }) => score)
+        .sort((a, b) => a.date - b.date);
+      const latest = scored[scored.length - 1];
+      const categories = SCORE_CATEGORIES.map(category => ({
+        ...category,
+        average: average(scored.map(({ score }) => toCategoryPercent(score, category))),
+      }));
+      const ranked = categories.filter(category => category.average !== null);
+
+      return {
+        ...user,
+        sessions: sessions.length,
+        scoredSessions: scored.length,
+        averageScore: average(scored.map(({ score }) => score.final_score)),
+        bestScore: scored.length > 0 ? Math.max(...scored.map(({ score }) => score.final_score)) : null,
+        latestScore: latest?.score.final_score ?? null,
+        latestTier: latest?.score.tier ?? null,
+        lastActive: latest?.date ?? null,
+        categories,
+        weakestCategory: ranked.length > 0
+          ? ranked.reduce((weakest, category) => (category.average < weakest.average ? category : weakest))
+          : null,
+      };
+    })
+    .sort((a, b) => (b.averageScore ?? -1) - (a.averageScore ?? -1));
+}
+
+/**
+ * Points a score earned in a category (weighted points, or the raw 1-5 score scaled to the category max)
+ */
+const toCategoryPoints = (score, category) => {
+  const points = score?.weighted_points?.[category.key];
+  if (typeof points === 'number') return points;
+  const raw = score?.raw_scores?.[category.key];
+  return typeof raw === 'number' ? (raw / 5) * category.max : null;
+};
+
+/**
+ * Compare two scored attempts
+ * @param {Object|null} before - Score payload of the earlier attempt (toScorePayload)
+ * @param {Object|null} after - Score payload of the later attempt
+ * @returns {Object} { finalDelta, tierBefore, tierAfter, categories: [{ ...category, before, after, delta }] }
+ */
+export function compareScores(before, after) {
+  const delta = (a, b) => (typeof a === 'number' && typeof b === 'number' ? b - a : null);
+  return {
+    finalDelta: delta(before?.final_score, after?.final_score),
+    tierBefore: before?.tier ?? null,
+    tierAfter: after?.tier ?? null,
+    categories: SCORE_CATEGORIES.map(category => {
+      const beforePoints = toCategoryPoints(before, category);
+      const afterPoints = toCategoryPoints(after, category);
+      return { ...category, before: beforePoints, after: afterPoints, delta: delta(beforePoints, afterPoints) };
+    }),
+  };
+}
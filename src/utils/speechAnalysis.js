@@ -0,0 +1,140 @@
+/**
+ * Speech analysis for the rep's side of the conversation
+ * Counts filler words and classifies questions (open/closed, discovery) with plain text rules,
+ * so it runs in the browser with no backend or network
+ */
+import { countWords } from './transcriptUtils';
+
+// Fillers that are (almost) always filler
+const FILLER_PATTERNS = [
+  { word: 'um', pattern: /\b(?:um+|umm+|uhm+)\b/gi },
+  { word: 'uh', pattern: /\b(?:uh+|er+m*|ah+)\b/gi },
+  // Only when it trails off ("..., you know, ..."), not "do you know your numbers?"
+  { word: 'you know', pattern: /\byou know\b(?=\s*(?:[,.!?]|$))/gi },
+  { word: 'I mean', pattern: /\bI mean\b(?=\s*,)/gi },
+  { word: 'basically', pattern: /\bbasically\b/gi },
+  { word: 'literally', pattern: /\bliterally\b/gi },
+  { word: 'kind of', pattern: /\b(?:kind|sort) of\b(?=\s*,)/gi },
+  // "like" is only filler when set off by pauses: "it's, like, really fast" / "Like, we could..."
+  { word: 'like', pattern: /(?:^|[,.!?]\s*)like\s*,/gi },
+];
+
+// Prompts that ask for an answer without being phrased as a question
+const PROMPT_OPENERS = ['tell me', 'walk me through', 'talk me through', 'describe', 'explain', 'help me understand'];
+
+// Openers that invite a long answer - any other question is closed (yes/no or a single fact)
+const OPEN_OPENERS = [
+  ...PROMPT_OPENERS,
+  'what', 'how', 'why', 'share', 'in what way', 'could you tell', 'could you walk', 'could you describe',
+  'can you tell', 'can you walk', 'can you describe', 'can you explain', 'would you tell',
+];
+
+// Discovery questions dig into the customer's problems, goals, process and buying decision.
+// Only real discovery stems count - time words ("today", "right now") and generic ones ("need", "team")
+// would turn small talk like "How are you today?" into discovery
+const DISCOVERY_TOPICS = /\b(?:challeng|problem|issue|pain(?:s|ful)?\b|struggl|frustrat|bottleneck|goal|priorit|objective|process|workflow|impact|budget|spend|decision|decid|timeline|improv|success|concern|worr)/i;
+const ABOUT_CUSTOMER = /\b(?:you|your|you're|yours|company|business|organization)\b/i;
+
+const startsWithAny = (sentence, openers) => {
+  const lower = sentence.toLowerCase();
+  return openers.some(opener => lower === opener || lower.startsWith(`${opener} `) || lower.startsWith(`${opener},`));
+};
+
+// Leading "so", "and", "okay" etc. don't change what kind of question it is
+const stripLeadIn = (sentence) =>
+  sentence.replace(/^(?:(?:so|and|but|okay|ok|well|now|great|alright|all right|um+|uh+)\b[,\s]*)+/i, '');
+
+/**
+ * Split text into sentences, keeping the terminal punctuation
+ */
+function splitSentences(text) {
+  return (text.match(/[^.!?]+[.!?]*/g) || []).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Classify a sentence as a question
+ * @param {string} sentence - One sentence
+ * @returns {Object|null} { text, type: 'open'|'closed', discovery } or null if it isn't a question
+ */
+export function classifyQuestion(sentence) {
+  const core = stripLeadIn(sentence.trim());
+  const open = startsWithAny(core, OPEN_OPENERS);
+  const isQuestion = core.endsWith('?') ||
+    startsWithAny(core, PROMPT_OPENERS) ||
+    // Transcription sometimes drops the question mark - trust an interrogative opener instead
+    (open && !/[.!]$/.test(core));
+  if (!isQuestion) return null;
+
+  return {
+    text: sentence.trim(),
+    type: open ? 'open' : 'closed',
+    discovery: ABOUT_CUSTOMER.test(core) && DISCOVERY_TOPICS.test(core),
+  };
+}
+
+/**
+ * Analyze one rep utterance
+ * @param {string} text - Final transcription text
+ * @returns {Object} { words, fillers: { [word]: count }, questions: [{ text, type, discovery }] }
+ */
+export function analyzeUtterance(text) {
+  const fillers = {};
+  FILLER_PATTERNS.forEach(({ word, pattern }) => {
+    const count = (text.match(pattern) || []).length;
+    if (count > 0) fillers[word] = count;
+  });
+
+  return {
+    words: countWords(text),
+    fillers,
+    questions: splitSentences(text).map(classifyQuestion).filter(Boolean),
+  };
+}
+
+/**
+ * Analyze everything the rep said
+ * @param {Array<Object>} messages - Transcript messages (only sender 'user' is analyzed)
+ * @returns {Object|null} Summary or null if the rep hasn't said anything
+ */
+export function analyzeRepSpeech(messages) {
+  const utterances = messages
+    .filter(msg => msg.sender === 'user' && msg.text?.trim())
+    .map(msg => analyzeUtterance(msg.text));
+  if (utterances.length === 0) return null;
+
+  const fillerCounts = {};
+  let words = 0;
+  const questions = [];
+  utterances.forEach(utterance => {
+    words += utterance.words;
+    questions.push(...utterance.questions);
+    Object.entries(utterance.fillers).forEach(([word, count]) => {
+      fillerCounts[word] = (fillerCounts[word] || 0) + count;
+    });
+  });
+
+  const fillerTotal = Object.values(fillerCounts).reduce((sum, count) => sum + count, 0);
+  return {
+    words,
+    filler_words: fillerTotal,
+    fillers_per_100_words: words ? Math.round((fillerTotal / words) * 1000) / 10 : 0,
+    filler_counts: fillerCounts,
+    questions: questions.length,
+    open_questions: questions.filter(q => q.type === 'open').length,
+    closed_questions: questions.filter(q => q.type === 'closed').length,
+    discovery_questions: questions.filter(q => q.discovery).length,
+    question_list: questions,
+  };
+}
+
+/**
+ * The summary without the question list, as sent to the backend
+ * @param {Object|null} analysis - Result of analyzeRepSpeech
+ * @returns {Object|null}
+ */
+export function toSpeechAnalysisPayload(analysis) {
+  if (!analysis) return null;
+  const summary = { ...analysis };
+  delete summary.question_list;
+  return summary;
+}
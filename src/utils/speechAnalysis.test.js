@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { classifyQuestion, analyzeRepSpeech } from './speechAnalysis';
+
+describe('classifyQuestion', () => {
+  it.each([
+    'What are your biggest challenges with the current setup?',
+    'How does your team decide on new equipment?',
+    'What would success look like for your business this year?',
+    'Walk me through your ordering process.',
+    'Do you have a budget set aside for this?',
+  ])('counts "%s" as discovery', (sentence) => {
+    expect(classifyQuestion(sentence).discovery).toBe(true);
+  });
+
+  it.each([
+    'How are you today?',
+    'Do you have a minute right now?',
+    'Is your team in the office today?',
+    'What do you currently need from me?',
+    'Did you see the game last night?',
+  ])('does not count small talk "%s" as discovery', (sentence) => {
+    expect(classifyQuestion(sentence).discovery).toBe(false);
+  });
+
+  it('tells open questions from closed ones', () => {
+    expect(classifyQuestion('Why did you switch suppliers?').type).toBe('open');
+    expect(classifyQuestion('Are you happy with them?').type).toBe('closed');
+  });
+
+  it('ignores statements', () => {
+    expect(classifyQuestion('We install in two days.')).toBeNull();
+  });
+});
+
+describe('analyzeRepSpeech', () => {
+  it('only counts the rep\'s discovery questions', () => {
+    const analysis = analyzeRepSpeech([
+      { sender: 'user', text: 'Hi, how are you today? What are the main goals for your showroom?' },
+      { sender: 'agent', text: 'What problem are you solving for me?' },
+    ]);
+
+    expect(analysis.questions).toBe(2);
+    expect(analysis.discovery_questions).toBe(1);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Transcript utility functions
+ * Timing helpers shared by the transcript viewer and the recording replay
+ */
+
+// Typical conversational speaking rate (150 words per minute)
+const WORDS_PER_SECOND = 2.5;
+
+/**
+ * Message timestamp in ms - saved conversations use timestamp_ms, the live chat timestampMs
+ * @param {Object} message - Transcript message
+ * @returns {number|null}
+ */
+export const getMessageTime = (message) => message?.timestamp_ms ?? message?.timestampMs ?? null;
+
+/**
+ * Format a duration in milliseconds as m:ss
+ * @param {number} ms - Duration
+ * @returns {string}
+ */
+export function formatClock(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Count the words in a message
+ * @param {string} text - Message text
+ * @returns {number}
+ */
+export const countWords = (text) => (text || '').trim().split(/\s+/).filter(Boolean).length;
+
+/**
+ * Estimate how long a message took to say (messages only carry the time they started or arrived)
+ * @param {string} text - Message text
+ * @returns {number} Milliseconds
+ */
+export const estimateSpeakingMs = (text) => Math.round((countWords(text) / WORDS_PER_SECOND) * 1000);
+
+/**
+ * When a message started being said - saved conversations use start_ms, the live chat startMs
+ * Older messages only carry the time they were last updated, so their start is estimated from their length
+ * @param {Object} message - Transcript message
+ * @returns {number|null}
+ */
+export function getMessageStart(message) {
+  const start = message?.start_ms ?? message?.startMs;
+  if (start !== null && start !== undefined) return start;
+  const time = getMessageTime(message);
+  return time !== null ? time - estimateSpeakingMs(message.text) : null;
+}
+
+/**
+ * When the transcript starts: the interview's started_at, or the first message if that is missing
+ * @param {Array} messages - Transcript messages
+ * @param {string} [startedAt] - Interview start (ISO)
+ * @returns {number|null} Epoch ms
+ */
+export function getTranscriptOrigin(messages, startedAt) {
+  const start = startedAt ? new Date(startedAt).getTime() : NaN;
+  if (!Number.isNaN(start)) return start;
+  const times = messages.map(getMessageStart).filter(time => time !== null);
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Estimated talk time per speaker
+ * @param {Array} messages - Transcript messages
+ * @returns {Object} { user: { ms, words, messages }, agent: {...}, totalMs }
+ */
+export function summarizeTalkTime(messages) {
+  const summary = {
+    user: { ms: 0, words: 0, messages: 0 },
+    agent: { ms: 0, words: 0, messages: 0 },
+    totalMs: 0,
+  };
+  messages.forEach(msg => {
+    const speaker = summary[msg.sender];
+    if (!speaker) return;
+    const ms = estimateSpeakingMs(msg.text);
+    speaker.ms += ms;
+    speaker.words += countWords(msg.text);
+    speaker.messages += 1;
+    summary.totalMs += ms;
+  });
+  return summary;
+}